@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Article Parser
+ * Splits Hugo articles into front matter and body, parses the body into markdown block nodes
+ * (headings, paragraphs, lists, tables, code, shortcodes, ...) and extracts the prose paragraphs
+ * eligible for rewriting
+ *
+ * The body is parsed by markdown-it (CommonMark plus GFM tables, HTML enabled) with an extra block
+ * rule for Hugo shortcodes. Only top-level blocks become nodes: nested lists, code and shortcodes
+ * inside list items or blockquotes stay part of their container. A shortcode tag may span several
+ * lines, and a paired shortcode such as {{< note >}}...{{< /note >}} is one node up to its closing
+ * tag, blank lines included
+ *
+ * Every node carries { type, start, end, raw } where start/end are offsets into the parsed body
+ */
+
+const MarkdownIt = require('markdown-it');
+const FrontMatter = require('./front-matter.js');
+
+const CONCLUSION_HEADING = /\b(conclusion|summary|final thoughts|wrapping up|wrap-up|in closing|closing thoughts)\b/i;
+
+// Sections whose intro paragraphs are rewrite candidates start with a `##` heading
+const SECTION_HEADING_DEPTH = 2;
+
+const SHORTCODE_START = /^\{\{([<%])\s*(\/?)([\w\/.-]+)/;
+const IMAGE_OR_SHORTCODE_ONLY = /^(?:\s*(?:!\[[^\]]*\]\([^)]*\)|\{\{[<%][\s\S]*?[%>]\}\}))+\s*$/;
+
+// Node type of each top-level markdown-it block token
+const BLOCK_TYPES = {
+    heading_open: 'heading',
+    paragraph_open: 'paragraph',
+    fence: 'code',
+    code_block: 'code',
+    bullet_list_open: 'list',
+    ordered_list_open: 'list',
+    blockquote_open: 'blockquote',
+    hr: 'hr',
+    html_block: 'html',
+    table_open: 'table',
+    shortcode: 'shortcode'
+};
+
+/**
+ * Parse YAML (---) or TOML (+++) front matter from markdown file
+ *
+ * Returns { frontMatter, content, fields } where fields is the typed FrontMatter
+ */
+function parseFrontMatter(content) {
+    const fields = FrontMatter.parse(content);
+
+    return {
+        frontMatter: fields.raw,
+        content: fields.content,
+        fields
+    };
+}
+
+/**
+ * Split text into lines with their offsets; line text excludes the line ending
+ */
+function splitLines(text) {
+    const lines = [];
+    const pattern = /([^\r\n]*)(\r\n|\n|\r|$)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            break;
+        }
+        lines.push({ text: match[1], start: match.index, end: match.index + match[1].length });
+    }
+
+    return lines;
+}
+
+/**
+ * markdown-it block rule for Hugo shortcodes starting a line ({{< name ... >}} or {{% name ... %}}).
+ * The block ends with the line closing the tag, or with the closing tag of a paired shortcode
+ */
+function shortcodeRule(state, startLine, endLine, silent) {
+    // Four spaces of indentation make an indented code block
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+        return false;
+    }
+    const lineText = line => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+    const match = lineText(startLine).match(SHORTCODE_START);
+    if (!match) {
+        return false;
+    }
+    if (silent) {
+        return true;
+    }
+
+    const [, delimiter, closingSlash, name] = match;
+    const tagEnd = delimiter === '<' ? '>}}' : '%}}';
+    let last = startLine;
+    while (last < endLine - 1 && !lineText(last).includes(tagEnd)) {
+        last++;
+    }
+    if (!closingSlash) {
+        const closingTag = new RegExp(`\\{\\{[<%]\\s*/${name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}\\s*[%>]\\}\\}`);
+        for (let line = last; line < endLine; line++) {
+            if (closingTag.test(lineText(line))) {
+                last = line;
+                break;
+            }
+        }
+    }
+
+    const token = state.push('shortcode', '', 0);
+    token.map = [startLine, last + 1];
+    token.info = name;
+    token.block = true;
+    state.line = last + 1;
+    return true;
+}
+
+const markdown = new MarkdownIt({ html: true });
+markdown.block.ruler.before('code', 'shortcode', shortcodeRule, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+
+/**
+ * Parse a markdown body into top-level block nodes
+ */
+function parseBlocks(body) {
+    const lines = splitLines(body);
+    const tokens = markdown.parse(body, {});
+    const nodes = [];
+
+    tokens.forEach((token, index) => {
+        const type = BLOCK_TYPES[token.type];
+        if (!type || token.level !== 0 || !token.map) {
+            return;
+        }
+
+        // Token line ranges may end with the blank lines before the next block
+        let last = token.map[1] - 1;
+        while (last > token.map[0] && lines[last].text.trim().length === 0) {
+            last--;
+        }
+        const start = lines[token.map[0]].start;
+        const end = lines[last].end;
+        const raw = body.slice(start, end);
+
+        if (type === 'heading') {
+            nodes.push({ type, start, end, raw, depth: Number(token.tag.slice(1)), text: tokens[index + 1].content.trim() });
+        } else if (type === 'shortcode') {
+            nodes.push({ type, start, end, raw, name: token.info });
+        } else if (type === 'paragraph') {
+            nodes.push({ type: IMAGE_OR_SHORTCODE_ONLY.test(raw) ? 'media' : 'paragraph', start, end, raw });
+        } else {
+            nodes.push({ type, start, end, raw });
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Whether a node is a genuine prose paragraph that may be rewritten
+ */
+function isProseParagraph(node) {
+    return node.type === 'paragraph' && /\p{L}{2,}/u.test(node.raw);
+}
+
+/**
+ * Locate the rewrite candidates in an article body
+ *
+ * Returns { nodes, opening, intros, closing }:
+ * - opening: the first prose paragraph before the first heading or gist
+ * - intros: { heading, node } for each `##` heading directly followed by a prose paragraph that is
+ *   neither the opening nor a closing paragraph
+ * - closing: prose paragraphs after the last gist, or under a "Conclusion"/"Summary" style heading
+ *   when the article has no gists
+ */
+function extractSections(body) {
+    const nodes = parseBlocks(body);
+    const isGist = node => node.type === 'shortcode' && node.name === 'gist';
+
+    let opening = null;
+    for (const node of nodes) {
+        if (node.type === 'heading' || isGist(node)) {
+            break;
+        }
+        if (isProseParagraph(node)) {
+            opening = node;
+            break;
+        }
+    }
+
+    let closing = [];
+    const lastGistIndex = nodes.map(isGist).lastIndexOf(true);
+
+    if (lastGistIndex !== -1) {
+        closing = nodes.slice(lastGistIndex + 1).filter(isProseParagraph);
+    } else {
+        const conclusionIndex = nodes.map(node => node.type === 'heading' && CONCLUSION_HEADING.test(node.text)).lastIndexOf(true);
+        if (conclusionIndex !== -1) {
+            const conclusion = nodes[conclusionIndex];
+            for (const node of nodes.slice(conclusionIndex + 1)) {
+                if (node.type === 'heading' && node.depth <= conclusion.depth) {
+                    break;
+                }
+                if (isProseParagraph(node)) {
+                    closing.push(node);
+                }
+            }
+        }
+    }
+
+    // The opening paragraph is never also a closing paragraph
+    closing = closing.filter(node => node !== opening);
+
+    const intros = [];
+    nodes.forEach((node, index) => {
+        const next = nodes[index + 1];
+        if (node.type === 'heading' && node.depth === SECTION_HEADING_DEPTH && next &&
+            isProseParagraph(next) && next !== opening && !closing.includes(next)) {
+            intros.push({ heading: node, node: next });
+        }
+    });
+
+    return { nodes, opening, intros, closing };
+}
+
+/**
+ * Extract opening paragraph text (first prose paragraph before the first heading or gist)
+ */
+function extractOpeningParagraph(content) {
+    const { opening } = extractSections(content);
+    return opening ? opening.raw.trim() : '';
+}
+
+/**
+ * Extract closing paragraph texts - returns array of individual paragraphs
+ */
+function extractClosingParagraphs(content) {
+    return extractSections(content).closing.map(node => node.raw.trim());
+}
+
+module.exports = {
+    parseFrontMatter,
+    parseBlocks,
+    isProseParagraph,
+    extractSections,
+    extractOpeningParagraph,
+    extractClosingParagraphs
+};
@@ -2,39 +2,86 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const RewriteLedger = require('./rewrite-ledger.js');
+const { parseFrontMatter, extractOpeningParagraph } = require('./article-parser.js');
+const { discoverLocales, discoverPlatforms } = require('./locales.js');
+const { loadConfig, loadConfigOrExit } = require('./config.js');
 
 /**
  * Article Selector for Content Rewriting
- * Selects random articles from en/total/{java|net} that haven't been modified in 30+ days
+ * Ranks articles from every locale's {java|net} folders that haven't been modified in 30+ days and
+ * are not blocked by the rewrite ledger, then picks the highest priority ones per platform and
+ * locale quota
  */
 
-// Path relative to repository root
-const CONTENT_BASE = path.resolve(__dirname, '../../content/en/total');
-const DAYS_THRESHOLD = 30;
-const MIN_ARTICLES_PER_RUN = 2;
-const MAX_ARTICLES_PER_RUN = 5;
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Check whether parsed front matter (null when the article has none) sets a field; like
+ * FrontMatter#has, a null or empty string value counts as unset
+ */
+function hasFrontMatterField(fields, field) {
+    return fields !== null && fields.has(field);
+}
 
 class ArticleSelector {
-    constructor() {
+    /**
+     * `log` (default console) receives the progress messages
+     */
+    constructor(config = loadConfig(), log = console) {
+        this.config = config;
+        this.log = log;
+        this.ledger = new RewriteLedger(config.paths.ledgerFile, config.paths.repoRoot);
         this.selectedArticles = [];
+        this.locales = {};
+        // Real path of every file under the content root -> date of the last commit touching it
+        this.gitDates = null;
     }
 
     /**
-     * Get last modified date of a file using git
+     * Commit dates of the files under the content root, read with a single `git log` pass the
+     * first time they are needed (empty outside a git work tree)
      */
-    getLastModifiedDate(filePath) {
+    getGitDates() {
+        if (this.gitDates !== null) {
+            return this.gitDates;
+        }
+
+        this.gitDates = new Map();
+        const contentRoot = this.config.paths.contentBase.split('{locale}')[0];
+        const options = { cwd: this.config.paths.repoRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 };
         try {
-            const gitLog = execSync(`git log -1 --format=%cd --date=short -- "${filePath}"`, { 
-                encoding: 'utf8' 
-            }).trim();
-            return gitLog ? new Date(gitLog) : new Date(0);
+            const topLevel = execFileSync('git', ['rev-parse', '--show-toplevel'], options).trim();
+            // Newest commits first, so the first date seen for a file is its last change
+            const output = execFileSync('git', ['-c', 'core.quotePath=false', 'log', '--format=@%cd', '--date=short', '--name-only', '--', contentRoot], options);
+            let date = null;
+            for (const line of output.split('\n')) {
+                if (line.startsWith('@')) {
+                    date = new Date(line.slice(1));
+                } else if (line) {
+                    const filePath = path.resolve(topLevel, line);
+                    if (!this.gitDates.has(filePath)) {
+                        this.gitDates.set(filePath, date);
+                    }
+                }
+            }
         } catch (error) {
-            console.warn(`Warning: Could not get git history for ${filePath}`);
-            // Fallback to file system modification time
-            const stats = fs.statSync(filePath);
-            return stats.mtime;
+            this.log.warn(`Warning: Could not read git history of ${contentRoot}, using file modification times`);
         }
+        return this.gitDates;
+    }
+
+    /**
+     * Date of the last commit touching a file, or its modification time when git has no history of it
+     */
+    getLastModifiedDate(filePath) {
+        const gitDates = this.getGitDates();
+        const realPath = fs.realpathSync(filePath);
+        return gitDates.has(realPath) ? gitDates.get(realPath) : fs.statSync(filePath).mtime;
     }
 
     /**
@@ -43,11 +90,25 @@ class ArticleSelector {
     isFileOldEnough(filePath) {
         const lastModified = this.getLastModifiedDate(filePath);
         const thresholdDate = new Date();
-        thresholdDate.setDate(thresholdDate.getDate() - DAYS_THRESHOLD);
+        thresholdDate.setDate(thresholdDate.getDate() - this.config.selection.daysThreshold);
         
         return lastModified < thresholdDate;
     }
 
+    /**
+     * Check the rewrite ledger rules for a file
+     */
+    isAllowedByLedger(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const eligibility = this.ledger.checkEligibility(filePath, content, this.config.ledger);
+
+        if (!eligibility.eligible) {
+            this.log.log(`  ⏭️  Skipping ${path.basename(filePath)} (${eligibility.reason})`);
+        }
+
+        return eligibility.eligible;
+    }
+
     /**
      * Get all markdown files from a directory
      */
@@ -56,69 +117,193 @@ class ArticleSelector {
             return fs.readdirSync(dirPath)
                 .filter(file => file.endsWith('.md') && !file.startsWith('_index'))
                 .map(file => path.join(dirPath, file))
-                .filter(filePath => this.isFileOldEnough(filePath));
+                .filter(filePath => this.isFileOldEnough(filePath))
+                .filter(filePath => this.isAllowedByLedger(filePath));
         } catch (error) {
-            console.warn(`Warning: Could not read directory ${dirPath}`);
+            this.log.warn(`Warning: Could not read directory ${dirPath}`);
             return [];
         }
     }
 
     /**
-     * Randomly select between java (1) and net (0)
+     * Stable pseudo-random fraction in [0, 1) for an article under the given seed
      */
-    randomPlatformChoice() {
-        return Math.random() < 0.5 ? 'net' : 'java';
+    seededFraction(seed, filePath) {
+        const hash = crypto.createHash('sha256').update(`${seed}:${this.ledger.getArticleKey(filePath)}`).digest();
+        return hash.readUInt32BE(0) / 0x100000000;
     }
 
     /**
-     * Select random articles for rewriting
+     * Score an article's rewrite priority; higher scores are selected first
      */
-    selectArticles() {
-        // First, randomly decide how many articles to process (2-5)
-        const articlesToProcess = Math.floor(Math.random() * (MAX_ARTICLES_PER_RUN - MIN_ARTICLES_PER_RUN + 1)) + MIN_ARTICLES_PER_RUN;
-        
-        console.log(`🎲 Randomly selected to process ${articlesToProcess} articles this run`);
-        
-        const availableArticles = {
-            java: this.getMarkdownFiles(path.join(CONTENT_BASE, 'java')),
-            net: this.getMarkdownFiles(path.join(CONTENT_BASE, 'net'))
-        };
+    scoreArticle(filePath, seed, now = new Date()) {
+        const { weights, ageSaturationDays, targetOpeningLength } = this.config.selection;
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        let fields = null;
+        let body = content;
+        try {
+            ({ fields, content: body } = parseFrontMatter(content));
+        } catch (error) {
+            // Articles without front matter still get scored on age and body
+        }
 
-        console.log(`Found ${availableArticles.java.length} eligible Java articles`);
-        console.log(`Found ${availableArticles.net.length} eligible .NET articles`);
+        const lastModified = this.getLastModifiedDate(filePath);
+        const ageDays = Math.max(0, (now - lastModified) / (24 * 60 * 60 * 1000));
+        const openingLength = extractOpeningParagraph(body).length;
 
-        const selected = [];
+        // Every feature is normalized to 0..1 before weighting
+        const features = {
+            age: Math.min(1, ageDays / ageSaturationDays),
+            openingLength: Math.max(0, 1 - openingLength / targetOpeningLength),
+            missingLastmod: hasFrontMatterField(fields, 'lastmod') ? 0 : 1,
+            missingDescription: hasFrontMatterField(fields, 'description') ? 0 : 1,
+            overlongDescription: hasFrontMatterField(fields, 'description') &&
+                String(fields.get('description')).trim().length > this.config.seo.descriptionMaxLength ? 1 : 0,
+            random: this.seededFraction(seed, filePath)
+        };
+
+        const breakdown = {};
+        let total = 0;
+        for (const [name, value] of Object.entries(features)) {
+            const points = value * weights[name];
+            breakdown[name] = { value: round(value), weight: weights[name], points: round(points) };
+            total += points;
+        }
 
-        for (let i = 0; i < articlesToProcess; i++) {
-            const platform = this.randomPlatformChoice();
-            const articles = availableArticles[platform];
-            
-            if (articles.length === 0) {
-                console.log(`No eligible articles found for ${platform}, skipping iteration ${i + 1}`);
-                continue;
+        return {
+            total: round(total),
+            breakdown,
+            details: {
+                ageDays: Math.floor(ageDays),
+                openingLength
             }
+        };
+    }
+
+    /**
+     * Resolve the seed for this run (defaults to today's date so daily runs differ but are reproducible)
+     */
+    getSeed() {
+        return this.config.selection.seed || new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Select the highest priority articles for rewriting, honouring per-platform quotas and
+     * per-locale quotas
+     */
+    selectArticles() {
+        const { minArticlesPerRun, maxArticlesPerRun, platforms, quotas, locales, localeQuotas } = this.config.selection;
+        const seed = this.getSeed();
+        this.seed = seed;
+
+        this.log.log(`🌱 Selection seed: ${seed}`);
 
-            // Remove already selected articles from the pool
-            const unselectedArticles = articles.filter(article => 
-                !selected.some(sel => sel.path === article)
-            );
+        const candidates = [];
+        this.locales = {};
+        for (const { locale, base } of discoverLocales(this.config.paths.contentBase, locales)) {
+            const localePlatforms = discoverPlatforms(base, platforms);
+            this.log.log(`🌐 Locale ${locale}: ${localePlatforms.length > 0 ? localePlatforms.join(', ') : 'no platform folders'}`);
+            // quota: the configured cap, or null; share: the slots the locale is filled up to first
+            this.locales[locale] = { eligible: 0, quota: null, share: 0, selected: 0 };
 
-            if (unselectedArticles.length === 0) {
-                console.log(`All ${platform} articles already selected, skipping iteration ${i + 1}`);
-                continue;
+            for (const platform of localePlatforms) {
+                const files = this.getMarkdownFiles(path.join(base, platform));
+                this.log.log(`Found ${files.length} eligible ${locale}/${platform} articles`);
+                this.locales[locale].eligible += files.length;
+
+                for (const filePath of files) {
+                    candidates.push({ path: filePath, locale, platform, score: this.scoreArticle(filePath, seed) });
+                }
             }
+        }
+
+        // Locales with candidates share the run evenly unless selection.localeQuotas says otherwise
+        const activeLocales = Object.keys(this.locales).filter(locale => this.locales[locale].eligible > 0);
+        for (const locale of activeLocales) {
+            if (localeQuotas[locale] !== undefined) {
+                this.locales[locale].quota = localeQuotas[locale];
+            }
+            this.locales[locale].share = localeQuotas[locale] !== undefined
+                ? localeQuotas[locale]
+                : Math.ceil(maxArticlesPerRun / activeLocales.length);
+        }
 
-            const randomIndex = Math.floor(Math.random() * unselectedArticles.length);
-            const selectedPath = unselectedArticles[randomIndex];
-            
+        // Highest score first; path as tie-breaker keeps the order reproducible
+        candidates.sort((a, b) => b.score.total - a.score.total || a.path.localeCompare(b.path));
+
+        const selected = [];
+        const take = candidate => {
             selected.push({
-                path: selectedPath,
-                platform: platform,
-                filename: path.basename(selectedPath),
-                lastModified: this.getLastModifiedDate(selectedPath).toISOString().split('T')[0]
+                path: candidate.path,
+                locale: candidate.locale,
+                platform: candidate.platform,
+                filename: path.basename(candidate.path),
+                lastModified: this.getLastModifiedDate(candidate.path).toISOString().split('T')[0],
+                previousRewrites: this.ledger.getEntries(candidate.path).length,
+                score: candidate.score
             });
+        };
+
+        const isSelected = candidate => selected.some(sel => sel.path === candidate.path);
+        const withinLocaleShare = candidate =>
+            selected.filter(sel => sel.locale === candidate.locale).length < this.locales[candidate.locale].share;
+        // Configured quotas are caps; the default even shares may be exceeded when topping up
+        const withinConfiguredQuotas = candidate =>
+            (quotas[candidate.platform] === undefined ||
+                selected.filter(sel => sel.platform === candidate.platform).length < quotas[candidate.platform]) &&
+            (this.locales[candidate.locale].quota === null || withinLocaleShare(candidate));
 
-            console.log(`Selected: ${platform}/${path.basename(selectedPath)}`);
+        // Fill each platform's quota (default: an even share of the run) with its best candidates
+        // from locales that still have room in their share
+        const defaultQuota = Math.ceil(maxArticlesPerRun / platforms.length);
+        for (const platform of platforms) {
+            const quota = quotas[platform] !== undefined ? quotas[platform] : defaultQuota;
+            let taken = 0;
+
+            for (const candidate of candidates) {
+                if (taken >= quota) break;
+                if (candidate.platform === platform && withinLocaleShare(candidate)) {
+                    take(candidate);
+                    taken++;
+                }
+            }
+
+            if (taken < quota) {
+                this.log.log(`Only ${taken} of ${quota} ${platform} articles available for its quota`);
+            }
+        }
+
+        // Trim to the run size by score, then top up from the best remaining candidates of any
+        // platform - first within the locale shares, then from any locale - without going past
+        // a configured quota
+        const byScore = (a, b) => b.score.total - a.score.total || a.path.localeCompare(b.path);
+        selected.sort(byScore);
+        selected.splice(maxArticlesPerRun);
+
+        for (const respectLocaleShare of [true, false]) {
+            for (const candidate of candidates) {
+                if (selected.length >= maxArticlesPerRun) break;
+                if (!isSelected(candidate) && withinConfiguredQuotas(candidate) && (!respectLocaleShare || withinLocaleShare(candidate))) {
+                    take(candidate);
+                }
+            }
+        }
+
+        selected.sort(byScore);
+
+        for (const article of selected) {
+            this.locales[article.locale].selected++;
+            this.log.log(`Selected: ${article.locale}/${article.platform}/${article.filename} (score ${article.score.total})`);
+        }
+
+        for (const [locale, counts] of Object.entries(this.locales)) {
+            const limit = counts.quota !== null ? `quota ${counts.quota}` : `share ${counts.share}`;
+            this.log.log(`🌐 ${locale}: ${counts.selected} selected (${limit}, ${counts.eligible} eligible)`);
+        }
+
+        if (selected.length > 0 && selected.length < minArticlesPerRun) {
+            this.log.warn(`Warning: only ${selected.length} articles selected (minimum ${minArticlesPerRun})`);
         }
 
         this.selectedArticles = selected;
@@ -126,25 +311,25 @@ class ArticleSelector {
     }
 
     /**
-     * Export selected articles as JSON for GitHub Actions
+     * Write the selected articles to the selection file
      */
     exportSelection() {
         const selection = {
             timestamp: new Date().toISOString(),
+            seed: this.seed,
             articles: this.selectedArticles,
             summary: {
-                total: this.selectedArticles.length,
-                java: this.selectedArticles.filter(a => a.platform === 'java').length,
-                net: this.selectedArticles.filter(a => a.platform === 'net').length
+                total: this.selectedArticles.length
             }
         };
 
-        // Write to file for GitHub Actions to consume (write to repo root)
-        const outputPath = path.resolve(__dirname, '../../selected-articles.json');
-        fs.writeFileSync(outputPath, JSON.stringify(selection, null, 2));
-        
-        // Also output to stdout for GitHub Actions
-        console.log('SELECTED_ARTICLES=' + JSON.stringify(selection.articles));
+        for (const platform of this.config.selection.platforms) {
+            selection.summary[platform] = this.selectedArticles.filter(a => a.platform === platform).length;
+        }
+        selection.summary.locales = this.locales;
+
+        // Written for `kb-rewriter.js process` (repo root by default)
+        fs.writeFileSync(this.config.paths.selectionFile, JSON.stringify(selection, null, 2));
         
         return selection;
     }
@@ -152,11 +337,12 @@ class ArticleSelector {
 
 // Main execution
 if (require.main === module) {
-    const selector = new ArticleSelector();
+    const config = loadConfigOrExit();
+    const selector = new ArticleSelector(config);
     
     console.log('🔍 Scanning for articles to rewrite...');
-    console.log(`📅 Looking for articles older than ${DAYS_THRESHOLD} days`);
-    console.log(`🎯 Will randomly select between ${MIN_ARTICLES_PER_RUN}-${MAX_ARTICLES_PER_RUN} articles`);
+    console.log(`📅 Looking for articles older than ${config.selection.daysThreshold} days`);
+    console.log(`🎯 Will select up to ${config.selection.maxArticlesPerRun} articles by priority score`);
     
     const selected = selector.selectArticles();
     
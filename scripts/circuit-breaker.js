@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Circuit Breaker
+ * Opens after a number of consecutive LLM failures (or at once on an auth failure) and stays
+ * open for the rest of the run, so remaining articles stop early instead of failing one by one
+ */
+
+class CircuitOpenError extends Error {
+    constructor(reason) {
+        super(`LLM circuit breaker open: ${reason}`);
+        this.name = 'CircuitOpenError';
+        this.reason = reason;
+    }
+}
+
+class CircuitBreaker {
+    constructor({ failureThreshold = 5 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.consecutiveFailures = 0;
+        this.reason = null;
+        this.openedAt = null;
+    }
+
+    get isOpen() {
+        return this.reason !== null;
+    }
+
+    /**
+     * Throw CircuitOpenError when the circuit is open
+     */
+    check() {
+        if (this.isOpen) {
+            throw new CircuitOpenError(this.reason);
+        }
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+
+        if (this.isOpen) {
+            return;
+        }
+        if (error.kind === 'auth') {
+            this.open(`authentication failed (${error.message})`);
+        } else if (this.consecutiveFailures >= this.failureThreshold) {
+            this.open(`${this.consecutiveFailures} consecutive failures, last: ${error.message}`);
+        }
+    }
+
+    open(reason) {
+        this.reason = reason;
+        this.openedAt = new Date().toISOString();
+        console.error(`🛑 ${new CircuitOpenError(reason).message}`);
+    }
+
+    toJSON() {
+        return {
+            state: this.isOpen ? 'open' : 'closed',
+            reason: this.reason,
+            openedAt: this.openedAt,
+            consecutiveFailures: this.consecutiveFailures
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError
+};
@@ -0,0 +1,563 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Central configuration for the content rewriting workflow
+ * Merges built-in defaults, an optional JSON or YAML config file, environment variables and CLI overrides
+ */
+
+const DEFAULT_REPO_ROOT = path.resolve(__dirname, '../..');
+// Looked up in the repo root in this order
+const DEFAULT_CONFIG_FILES = ['kb-rewriter.config.json', 'kb-rewriter.config.yaml', 'kb-rewriter.config.yml'];
+const ENV_PREFIX = 'KB_REWRITER_';
+const LINT_SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Configuration schema - every leaf describes type, default value and constraints
+ */
+const SCHEMA = {
+    paths: {
+        repoRoot: { type: 'string', default: DEFAULT_REPO_ROOT },
+        // `{locale}` stands for every locale directory, e.g. content/en/total and content/de/total
+        contentBase: { type: 'string', default: 'content/{locale}/total' },
+        selectionFile: { type: 'string', default: 'selected-articles.json' },
+        ledgerFile: { type: 'string', default: 'rewrite-ledger.json' },
+        reportFile: { type: 'string', default: path.join(__dirname, 'processing-report.json') },
+        // Review report rendered from the processing report; the Markdown file is the PR body
+        reviewMarkdownFile: { type: 'string', default: path.join(__dirname, 'review-report.md') },
+        reviewHtmlFile: { type: 'string', default: path.join(__dirname, 'review-report.html') },
+        previewDir: { type: 'string', default: path.join(__dirname, 'preview') },
+        editPlanDir: { type: 'string', default: path.join(__dirname, 'edit-plans') },
+        frontMatterSchemaFile: { type: 'string', default: path.join(__dirname, 'front-matter-schema.json') },
+        promptDir: { type: 'string', default: path.join(__dirname, 'prompts') },
+        // Lint findings grandfathered by `validate --update-baseline`
+        lintBaselineFile: { type: 'string', default: 'lint-baseline.json' }
+    },
+    selection: {
+        daysThreshold: { type: 'integer', default: 30, min: 0 },
+        minArticlesPerRun: { type: 'integer', default: 2, min: 1 },
+        maxArticlesPerRun: { type: 'integer', default: 5, min: 1 },
+        platforms: { type: 'string[]', default: ['java', 'net'], minLength: 1 },
+        quotas: { type: 'integerMap', default: {} },
+        // Empty means every locale directory found under paths.contentBase
+        locales: { type: 'string[]', default: [] },
+        localeQuotas: { type: 'integerMap', default: {} },
+        seed: { type: 'string', default: '', allowEmpty: true },
+        ageSaturationDays: { type: 'integer', default: 365, min: 1 },
+        targetOpeningLength: { type: 'integer', default: 400, min: 1 },
+        weights: {
+            age: { type: 'number', default: 1.0, min: 0 },
+            openingLength: { type: 'number', default: 0.5, min: 0 },
+            missingLastmod: { type: 'number', default: 0.3, min: 0 },
+            missingDescription: { type: 'number', default: 0.3, min: 0 },
+            overlongDescription: { type: 'number', default: 0.2, min: 0 },
+            random: { type: 'number', default: 0.1, min: 0 }
+        }
+    },
+    ledger: {
+        cooldownDays: { type: 'integer', default: 90, min: 0 },
+        maxRewritesPerYear: { type: 'integer', default: 2, min: 1 },
+        skipHumanEdited: { type: 'boolean', default: true }
+    },
+    llm: {
+        provider: { type: 'string', default: 'openai', enum: ['openai', 'ollama', 'echo'] },
+        // Empty means the provider's own default endpoint
+        apiUrl: { type: 'url', default: '', allowEmpty: true },
+        echoTransform: { type: 'string', default: 'tidy', enum: ['tidy', 'swap', 'identity'] },
+        model: { type: 'string', default: 'gpt-oss' },
+        temperature: { type: 'number', default: 0.7, min: 0, max: 2 },
+        maxTokens: { type: 'integer', default: 1000, min: 1 },
+        maxRetries: { type: 'integer', default: 3, min: 1 },
+        timeoutMs: { type: 'integer', default: 60000, min: 1000 },
+        retryBaseDelayMs: { type: 'integer', default: 2000, min: 0 },
+        retryMaxDelayMs: { type: 'integer', default: 60000, min: 0 },
+        circuitBreakerThreshold: { type: 'integer', default: 5, min: 1 },
+        // Price per million tokens keyed by model name, e.g. "gpt-4o-mini=0.15"; cached responses cost nothing
+        pricing: {
+            inputPerMillion: { type: 'numberMap', default: {} },
+            outputPerMillion: { type: 'numberMap', default: {} }
+        },
+        // Per-run caps checked before each request; once one is reached the remaining articles
+        // are skipped. 0 disables a cap
+        budget: {
+            maxCost: { type: 'number', default: 0, min: 0 },
+            maxTokens: { type: 'integer', default: 0, min: 0 }
+        },
+        // Shared by every LLM call of a run; 0 disables a limit
+        rateLimit: {
+            requestsPerMinute: { type: 'integer', default: 30, min: 0 },
+            tokensPerMinute: { type: 'integer', default: 0, min: 0 }
+        },
+        cache: {
+            mode: { type: 'string', default: 'passthrough', enum: ['passthrough', 'record', 'replay'] },
+            dir: { type: 'string', default: path.join(__dirname, 'llm-cache') }
+        }
+    },
+    processing: {
+        dryRun: { type: 'boolean', default: false },
+        concurrency: { type: 'integer', default: 3, min: 1, max: 16 }
+    },
+    rewrite: {
+        // Paragraphs to rewrite: the opening, the intro paragraph under each `##` heading, the closing paragraphs
+        targets: { type: 'string[]', default: ['opening', 'intro', 'closing'], enum: ['opening', 'intro', 'closing'], minLength: 1 },
+        // Per-article caps; when more paragraphs qualify, the hardest to read are rewritten
+        maxParagraphs: {
+            opening: { type: 'integer', default: 1, min: 0, max: 1 },
+            intro: { type: 'integer', default: 3, min: 0 },
+            closing: { type: 'integer', default: 5, min: 0 }
+        },
+        // Rewrites generated per paragraph; the best-scoring candidate that passes every check wins
+        candidates: { type: 'integer', default: 3, min: 1, max: 10 },
+        // Score of a valid candidate: weighted Flesch reading ease gain (English only) and similarity to the original
+        candidateWeights: {
+            readability: { type: 'number', default: 1, min: 0 },
+            similarity: { type: 'number', default: 1, min: 0 }
+        }
+    },
+    seo: {
+        // Generate a description when it is missing or outside the length range, or on every rewrite
+        description: { type: 'string', default: 'missing-or-invalid', enum: ['off', 'missing-or-invalid', 'always'] },
+        descriptionMinLength: { type: 'integer', default: 70, min: 1 },
+        descriptionMaxLength: { type: 'integer', default: 160, min: 1 },
+        // Keywords are only ever added to articles that have none
+        keywords: { type: 'boolean', default: false },
+        keywordsField: { type: 'string', default: 'keywords' },
+        maxKeywords: { type: 'integer', default: 8, min: 1 }
+    },
+    validation: {
+        minLengthRatio: { type: 'number', default: 0.5, min: 0 },
+        maxLengthRatio: { type: 'number', default: 2.0, min: 0 },
+        // Keep the original paragraph when a rewrite's Flesch reading ease drops by more than this many points
+        readabilityGate: { type: 'boolean', default: true },
+        readabilityMargin: { type: 'number', default: 5, min: 0 },
+        // Keep the original paragraph when a rewrite is not in the article's language
+        languageCheck: { type: 'boolean', default: true },
+        // Keep the original paragraph when a rewrite barely changes it (word-pair similarity at or
+        // above maxSimilarity) or drifts off-topic (less than minKeyTermCoverage of its key terms
+        // kept, or word-pair similarity below minSimilarity; 0 sets no floor)
+        similarityCheck: { type: 'boolean', default: true },
+        maxSimilarity: { type: 'number', default: 0.95, min: 0, max: 1 },
+        minSimilarity: { type: 'number', default: 0, min: 0, max: 1 },
+        minKeyTermCoverage: { type: 'number', default: 0.4, min: 0, max: 1 }
+    },
+    duplicates: {
+        // Reject rewrites that read almost the same as another article's opening or closing paragraph
+        enabled: { type: 'boolean', default: true },
+        // Estimated Jaccard similarity of word shingles at which two paragraphs count as near-duplicates
+        threshold: { type: 'number', default: 0.6, min: 0, max: 1 },
+        shingleSize: { type: 'integer', default: 3, min: 1 },
+        // MinHash signature length, split into bands for the locality-sensitive lookup
+        numHashes: { type: 'integer', default: 128, min: 1 },
+        bands: { type: 'integer', default: 32, min: 1 },
+        // Shorter paragraphs ("Happy coding!") are neither indexed nor checked
+        minWords: { type: 'integer', default: 12, min: 1 }
+    },
+    lint: {
+        // Globs relative to the repository root; without include (or paths on the command line)
+        // every article under paths.contentBase is linted
+        include: { type: 'string[]', default: [] },
+        exclude: { type: 'string[]', default: [] },
+        // Severity per rule: error fails the lint, warning is only reported, off skips the rule
+        rules: {
+            frontMatter: { type: 'string', default: 'error', enum: LINT_SEVERITIES },
+            unmatchedBrackets: { type: 'string', default: 'error', enum: LINT_SEVERITIES },
+            codeFence: { type: 'string', default: 'error', enum: LINT_SEVERITIES },
+            linkParentheses: { type: 'string', default: 'warning', enum: LINT_SEVERITIES },
+            emptyLink: { type: 'string', default: 'error', enum: LINT_SEVERITIES },
+            shortcodeDelimiters: { type: 'string', default: 'error', enum: LINT_SEVERITIES }
+        }
+    }
+};
+
+/**
+ * Error raised when the configuration cannot be loaded or contains invalid values
+ */
+class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isLeaf(node) {
+    return node && typeof node.type === 'string';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert a camelCase config key to SCREAMING_SNAKE_CASE for env var names
+ */
+function toEnvSegment(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Walk the schema and call visitor(keyPath, leaf) for every leaf
+ */
+function walkSchema(schema, visitor, keyPath = []) {
+    for (const [key, node] of Object.entries(schema)) {
+        const currentPath = [...keyPath, key];
+        if (isLeaf(node)) {
+            visitor(currentPath, node);
+        } else {
+            walkSchema(node, visitor, currentPath);
+        }
+    }
+}
+
+function getSchemaLeaf(keyPath) {
+    let node = SCHEMA;
+    for (const key of keyPath) {
+        if (!isPlainObject(node) || isLeaf(node) || !(key in node)) {
+            return null;
+        }
+        node = node[key];
+    }
+    return isLeaf(node) ? node : null;
+}
+
+function setPath(target, keyPath, value) {
+    let node = target;
+    for (const key of keyPath.slice(0, -1)) {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    node[keyPath[keyPath.length - 1]] = value;
+}
+
+function getPath(source, keyPath) {
+    return keyPath.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), source);
+}
+
+/**
+ * Build a fresh copy of the default configuration
+ */
+function getDefaults() {
+    const defaults = {};
+    walkSchema(SCHEMA, (keyPath, leaf) => {
+        let value = leaf.default;
+        if (Array.isArray(value)) {
+            value = [...value];
+        } else if (isPlainObject(value)) {
+            value = { ...value };
+        }
+        setPath(defaults, keyPath, value);
+    });
+    return defaults;
+}
+
+/**
+ * Parse a raw string (from env or CLI) according to the leaf type
+ */
+function parseRawValue(raw, leaf) {
+    const value = String(raw).trim();
+    switch (leaf.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value);
+            return value !== '' && !Number.isNaN(number) ? number : value;
+        }
+        case 'boolean':
+            if (/^(true|1|yes)$/i.test(value)) return true;
+            if (/^(false|0|no)$/i.test(value)) return false;
+            return value;
+        case 'string[]':
+            return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+        case 'integerMap':
+        case 'numberMap': {
+            // e.g. "java=3,net=2"
+            const map = {};
+            for (const pair of value.split(',').map(item => item.trim()).filter(item => item.length > 0)) {
+                const [key, amount] = pair.split('=').map(part => part.trim());
+                map[key] = amount === undefined || amount === '' || Number.isNaN(Number(amount)) ? amount : Number(amount);
+            }
+            return map;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Check a single value against its schema leaf, returning a problem description or null
+ */
+function checkValue(name, value, leaf) {
+    switch (leaf.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `${name} must be an integer (got ${JSON.stringify(value)})`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number (got ${JSON.stringify(value)})`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${name} must be true or false (got ${JSON.stringify(value)})`;
+            break;
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (value.length === 0 && !leaf.allowEmpty) return `${name} must be a non-empty string`;
+            break;
+        case 'url':
+            if (value === '' && leaf.allowEmpty) break;
+            try {
+                new URL(value);
+            } catch (error) {
+                return `${name} must be a valid URL (got ${JSON.stringify(value)})`;
+            }
+            break;
+        case 'string[]':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.length === 0)) {
+                return `${name} must be a list of non-empty strings`;
+            }
+            if (leaf.minLength !== undefined && value.length < leaf.minLength) {
+                return `${name} must contain at least ${leaf.minLength} item(s)`;
+            }
+            if (leaf.enum && value.some(item => !leaf.enum.includes(item))) {
+                return `${name} may only contain ${leaf.enum.join(', ')} (got ${JSON.stringify(value)})`;
+            }
+            return null;
+        case 'integerMap':
+            if (!isPlainObject(value)) return `${name} must be an object of integers`;
+            for (const [key, amount] of Object.entries(value)) {
+                if (!Number.isInteger(amount) || amount < 0) {
+                    return `${name}.${key} must be a non-negative integer (got ${JSON.stringify(amount)})`;
+                }
+            }
+            break;
+        case 'numberMap':
+            if (!isPlainObject(value)) return `${name} must be an object of numbers`;
+            for (const [key, amount] of Object.entries(value)) {
+                if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+                    return `${name}.${key} must be a non-negative number (got ${JSON.stringify(amount)})`;
+                }
+            }
+            break;
+    }
+
+    if (leaf.min !== undefined && value < leaf.min) return `${name} must be >= ${leaf.min} (got ${value})`;
+    if (leaf.max !== undefined && value > leaf.max) return `${name} must be <= ${leaf.max} (got ${value})`;
+    if (leaf.enum && !leaf.enum.includes(value)) return `${name} must be one of ${leaf.enum.join(', ')} (got ${JSON.stringify(value)})`;
+
+    return null;
+}
+
+/**
+ * Merge a config file object onto the target, reporting unknown keys
+ */
+function mergeFileConfig(target, fileConfig, problems, keyPath = []) {
+    for (const [key, value] of Object.entries(fileConfig)) {
+        const currentPath = [...keyPath, key];
+        const schemaNode = getPath(SCHEMA, currentPath);
+
+        if (schemaNode === undefined) {
+            problems.push(`Unknown config key: ${currentPath.join('.')}`);
+        } else if (isLeaf(schemaNode)) {
+            setPath(target, currentPath, value);
+        } else if (isPlainObject(value)) {
+            mergeFileConfig(target, value, problems, currentPath);
+        } else {
+            problems.push(`${currentPath.join('.')} must be an object`);
+        }
+    }
+}
+
+/**
+ * Extract --config, --set and shorthand flag overrides (--dry-run, --seed) from CLI arguments
+ */
+function parseCliArgs(argv) {
+    const result = { configPath: null, overrides: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') {
+            result.configPath = argv[++i];
+        } else if (arg.startsWith('--config=')) {
+            result.configPath = arg.slice('--config='.length);
+        } else if (arg === '--set') {
+            result.overrides.push(argv[++i]);
+        } else if (arg.startsWith('--set=')) {
+            result.overrides.push(arg.slice('--set='.length));
+        } else if (arg === '--dry-run') {
+            result.overrides.push('processing.dryRun=true');
+        } else if (arg === '--seed') {
+            result.overrides.push(`selection.seed=${argv[++i]}`);
+        } else if (arg.startsWith('--seed=')) {
+            result.overrides.push(`selection.seed=${arg.slice('--seed='.length)}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Locate the config file: --config, then KB_REWRITER_CONFIG, then the first of
+ * kb-rewriter.config.{json,yaml,yml} in the repo root
+ */
+function resolveConfigPath(cliPath, env, repoRoot) {
+    if (cliPath) return { filePath: path.resolve(cliPath), required: true };
+    if (env.KB_REWRITER_CONFIG) return { filePath: path.resolve(env.KB_REWRITER_CONFIG), required: true };
+    const candidates = DEFAULT_CONFIG_FILES.map(name => path.join(repoRoot, name));
+    return { filePath: candidates.find(candidate => fs.existsSync(candidate)) || candidates[0], required: false };
+}
+
+/**
+ * Parse a config file's text: YAML for .yaml/.yml files, JSON otherwise. YAML is read with the
+ * JSON schema, so unquoted dates and similar scalars stay strings
+ */
+function parseConfigFile(filePath, text) {
+    if (!/\.ya?ml$/i.test(filePath)) {
+        return JSON.parse(text);
+    }
+    const data = yaml.load(text, { filename: filePath, schema: yaml.JSON_SCHEMA });
+    // An empty YAML file sets nothing
+    return data === undefined || data === null ? {} : data;
+}
+
+/**
+ * Load and validate configuration
+ *
+ * Precedence (lowest to highest): defaults, config file, KB_REWRITER_* env vars, --set CLI overrides
+ */
+function loadConfig({ argv = [], env = process.env } = {}) {
+    const problems = [];
+    const config = getDefaults();
+    const cli = parseCliArgs(argv);
+
+    if (cli.configPath === undefined) {
+        throw new ConfigError('--config requires a file path');
+    }
+
+    const repoRootOverride = env[`${ENV_PREFIX}PATHS_REPO_ROOT`];
+    const repoRoot = repoRootOverride ? path.resolve(repoRootOverride) : DEFAULT_REPO_ROOT;
+    const { filePath, required } = resolveConfigPath(cli.configPath, env, repoRoot);
+
+    if (fs.existsSync(filePath)) {
+        let fileConfig;
+        try {
+            fileConfig = parseConfigFile(filePath, fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(`Could not parse config file ${filePath}: ${error.message}`);
+        }
+        if (!isPlainObject(fileConfig)) {
+            throw new ConfigError(`Config file ${filePath} must contain an object of settings`);
+        }
+        mergeFileConfig(config, fileConfig, problems);
+    } else if (required) {
+        throw new ConfigError(`Config file not found: ${filePath}`);
+    }
+
+    // Environment overrides, e.g. KB_REWRITER_SELECTION_DAYS_THRESHOLD=45 (empty values count as unset)
+    walkSchema(SCHEMA, (keyPath, leaf) => {
+        const envName = ENV_PREFIX + keyPath.map(toEnvSegment).join('_');
+        if (env[envName] !== undefined && env[envName] !== '') {
+            setPath(config, keyPath, parseRawValue(env[envName], leaf));
+        }
+    });
+
+    // CLI overrides, e.g. --set llm.model=gpt-4o
+    for (const override of cli.overrides) {
+        const match = typeof override === 'string' ? override.match(/^([\w.]+)=(.*)$/) : null;
+        if (!match) {
+            problems.push(`Invalid --set override ${JSON.stringify(override)} (expected key.path=value)`);
+            continue;
+        }
+        const keyPath = match[1].split('.');
+        const leaf = getSchemaLeaf(keyPath);
+        if (!leaf) {
+            problems.push(`Unknown config key in --set: ${match[1]}`);
+            continue;
+        }
+        setPath(config, keyPath, parseRawValue(match[2], leaf));
+    }
+
+    walkSchema(SCHEMA, (keyPath, leaf) => {
+        const problem = checkValue(keyPath.join('.'), getPath(config, keyPath), leaf);
+        if (problem) problems.push(problem);
+    });
+
+    if (config.selection.minArticlesPerRun > config.selection.maxArticlesPerRun) {
+        problems.push('selection.minArticlesPerRun must not be greater than selection.maxArticlesPerRun');
+    }
+    for (const platform of Object.keys(config.selection.quotas || {})) {
+        if (!config.selection.platforms.includes(platform)) {
+            problems.push(`selection.quotas.${platform} refers to a platform not listed in selection.platforms`);
+        }
+    }
+    const localeSegments = config.paths.contentBase.split(/[\\/]/).filter(segment => segment.includes('{locale}'));
+    if (localeSegments.length > 1 || localeSegments.some(segment => segment !== '{locale}')) {
+        problems.push('paths.contentBase may contain {locale} only once, as a whole directory name');
+    }
+    for (const locale of Object.keys(config.selection.localeQuotas || {})) {
+        if (config.selection.locales.length > 0 && !config.selection.locales.includes(locale)) {
+            problems.push(`selection.localeQuotas.${locale} refers to a locale not listed in selection.locales`);
+        }
+    }
+    if (config.seo.descriptionMinLength > config.seo.descriptionMaxLength) {
+        problems.push('seo.descriptionMinLength must not be greater than seo.descriptionMaxLength');
+    }
+    if (config.validation.minLengthRatio >= config.validation.maxLengthRatio) {
+        problems.push('validation.minLengthRatio must be lower than validation.maxLengthRatio');
+    }
+    if (config.validation.minSimilarity >= config.validation.maxSimilarity) {
+        problems.push('validation.minSimilarity must be lower than validation.maxSimilarity');
+    }
+    const { model, pricing, budget } = config.llm;
+    const hasPrice = prices => isPlainObject(prices) && Object.prototype.hasOwnProperty.call(prices, model);
+    if (budget.maxCost > 0 && !(hasPrice(pricing.inputPerMillion) && hasPrice(pricing.outputPerMillion))) {
+        problems.push(`llm.budget.maxCost needs input and output prices for ${model} in llm.pricing`);
+    }
+    if (config.duplicates.numHashes % config.duplicates.bands !== 0) {
+        problems.push('duplicates.numHashes must be a multiple of duplicates.bands');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError('Invalid configuration', problems);
+    }
+
+    // Resolve paths against the repository root
+    config.paths.repoRoot = path.resolve(config.paths.repoRoot);
+    for (const key of ['contentBase', 'selectionFile', 'ledgerFile', 'reportFile', 'reviewMarkdownFile', 'reviewHtmlFile', 'previewDir', 'editPlanDir', 'frontMatterSchemaFile', 'promptDir', 'lintBaselineFile']) {
+        config.paths[key] = path.resolve(config.paths.repoRoot, config.paths[key]);
+    }
+    config.llm.cache.dir = path.resolve(config.paths.repoRoot, config.llm.cache.dir);
+    config.configFile = fs.existsSync(filePath) ? filePath : null;
+
+    return config;
+}
+
+/**
+ * Load configuration for a script entry point, exiting with a readable message on failure
+ */
+function loadConfigOrExit(argv = process.argv.slice(2)) {
+    try {
+        return loadConfig({ argv });
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+
+// Main execution - print the effective configuration
+if (require.main === module) {
+    const config = loadConfigOrExit();
+    console.log(JSON.stringify(config, null, 2));
+}
+
+module.exports = {
+    loadConfig,
+    loadConfigOrExit,
+    getDefaults,
+    ConfigError,
+    SCHEMA
+};
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const FrontMatter = require('./front-matter.js');
+const { FrontMatterSchema } = require('./front-matter-schema.js');
+
+/**
+ * Content Linter
+ * Bulk lint of articles as they are, human-written or not: front matter schema, markdown structure,
+ * links and shortcodes. Every finding names its rule and line; lint.rules sets each rule's severity,
+ * findings recorded in the baseline file are suppressed, and results can be written as JUnit XML or
+ * SARIF for review annotations
+ */
+
+const RULES = {
+    frontMatter: 'Front matter is present, parses and matches the front matter schema',
+    unmatchedBrackets: 'Square brackets are balanced',
+    codeFence: 'Code fences are closed',
+    linkParentheses: 'Link targets close their parentheses',
+    emptyLink: 'Links have a target',
+    shortcodeDelimiters: 'Shortcode delimiters ({{< >}}, {{% %}}) are balanced'
+};
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const SHORTCODE_DELIMITERS = /\{\{[<%]|[>%]\}\}/g;
+const CLOSING_DELIMITER = { '{{<': '>}}', '{{%': '%}}' };
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 1-based line number of an offset
+ */
+function lineAt(content, offset) {
+    return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Baseline key of a finding; lines are left out so edits elsewhere in the file keep it suppressed
+ */
+function baselineKey(file, { rule, message }) {
+    return `${file}\n${rule}\n${message}`;
+}
+
+class ContentLinter {
+    constructor(rules, frontMatterSchema) {
+        this.rules = rules;
+        this.frontMatterSchema = frontMatterSchema;
+    }
+
+    /**
+     * Linter with the rule severities of lint.rules and the configured front matter schema
+     */
+    static fromConfig(config) {
+        return new ContentLinter(config.lint.rules, FrontMatterSchema.fromConfig(config));
+    }
+
+    /**
+     * Front matter findings; schema problems point at their field's line when it can be found
+     */
+    checkFrontMatter(content, filePath) {
+        let fields;
+        try {
+            fields = FrontMatter.parse(content);
+        } catch (error) {
+            return { fields: null, findings: [{ rule: 'frontMatter', line: 1, message: `Missing or malformed front matter: ${error.message}` }] };
+        }
+
+        const findings = this.frontMatterSchema.validate(fields, filePath).map(message => {
+            const [, field] = message.match(/^(?:Missing required field: )?([\w-]+)/) || [];
+            const fieldLine = field ? fields.findFieldLine(field) : null;
+            const line = fieldLine ? lineAt(content, fields.start + fieldLine.index) : 1;
+            return { rule: 'frontMatter', line, message };
+        });
+        return { fields, findings };
+    }
+
+    /**
+     * Markdown findings for the body, which starts on line `firstLine`; fenced code is skipped
+     * except for shortcodes, which Hugo expands there too
+     */
+    checkMarkdown(body, firstLine) {
+        const findings = [];
+        const openBrackets = [];
+        let fence = null;
+
+        body.split('\n').forEach((text, index) => {
+            const line = firstLine + index;
+            const fenceMatch = text.match(FENCE_PATTERN);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence.marker[0] && fenceMatch[1].length >= fence.marker.length && fenceMatch[2].trim() === '') {
+                    fence = null;
+                }
+                return;
+            }
+            if (fenceMatch) {
+                fence = { marker: fenceMatch[1], line };
+                return;
+            }
+
+            // Inline code and escaped brackets are not markdown syntax
+            const prose = text.replace(/(`+)[^`]*?\1/g, match => ' '.repeat(match.length)).replace(/\\[[\]()]/g, '  ');
+
+            for (const char of prose) {
+                if (char === '[') {
+                    openBrackets.push(line);
+                } else if (char === ']' && openBrackets.pop() === undefined) {
+                    findings.push({ rule: 'unmatchedBrackets', line, message: 'Closing ] without an opening [' });
+                }
+            }
+
+            let linkStart = prose.indexOf('](');
+            while (linkStart !== -1) {
+                let depth = 1;
+                let end = linkStart + 2;
+                for (; end < prose.length && depth > 0; end++) {
+                    if (prose[end] === '(') depth++;
+                    if (prose[end] === ')') depth--;
+                }
+                if (depth > 0) {
+                    findings.push({ rule: 'linkParentheses', line, message: 'Link target is missing its closing )' });
+                } else if (prose.slice(linkStart + 2, end - 1).trim() === '') {
+                    findings.push({ rule: 'emptyLink', line, message: 'Link has an empty target' });
+                }
+                linkStart = prose.indexOf('](', linkStart + 2);
+            }
+        });
+
+        for (const line of openBrackets) {
+            findings.push({ rule: 'unmatchedBrackets', line, message: 'Opening [ without a closing ]' });
+        }
+        if (fence) {
+            findings.push({ rule: 'codeFence', line: fence.line, message: `Code fence ${fence.marker} is never closed` });
+        }
+
+        const openShortcodes = [];
+        for (const match of body.matchAll(SHORTCODE_DELIMITERS)) {
+            const line = firstLine + lineAt(body, match.index) - 1;
+            if (CLOSING_DELIMITER[match[0]]) {
+                openShortcodes.push({ delimiter: match[0], line });
+                continue;
+            }
+            const open = openShortcodes.pop();
+            if (!open) {
+                findings.push({ rule: 'shortcodeDelimiters', line, message: `${match[0]} without an opening delimiter` });
+            } else if (CLOSING_DELIMITER[open.delimiter] !== match[0]) {
+                findings.push({ rule: 'shortcodeDelimiters', line, message: `${open.delimiter} closed by ${match[0]}` });
+            }
+        }
+        for (const open of openShortcodes) {
+            findings.push({ rule: 'shortcodeDelimiters', line: open.line, message: `${open.delimiter} is never closed` });
+        }
+
+        return findings;
+    }
+
+    /**
+     * Findings of one article with their configured severity, in line order; rules set to off are left out
+     */
+    lintContent(content, filePath = null) {
+        const { fields, findings } = this.checkFrontMatter(content, filePath);
+        const body = fields ? content.slice(fields.bodyOffset) : content;
+        findings.push(...this.checkMarkdown(body, fields ? lineAt(content, fields.bodyOffset) : 1));
+
+        return findings
+            .map(finding => ({ ...finding, severity: this.rules[finding.rule] }))
+            .filter(finding => finding.severity !== 'off')
+            .sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Lint articles; findings in the baseline (see loadBaseline) are counted as suppressed
+     *
+     * Returns { total, failed, suppressed, files: [{ file, errors, warnings, findings, suppressed }] }
+     * with files relative to repoRoot; errors and warnings are "line N: message [rule]" strings
+     */
+    lintFiles(files, repoRoot, baseline = new Map()) {
+        const remaining = new Map(baseline);
+        const results = files.map(filePath => {
+            const file = path.relative(repoRoot, filePath).split(path.sep).join('/');
+            const findings = [];
+            let suppressed = 0;
+
+            for (const finding of this.lintContent(fs.readFileSync(filePath, 'utf8'), filePath)) {
+                const key = baselineKey(file, finding);
+                if (remaining.get(key) > 0) {
+                    remaining.set(key, remaining.get(key) - 1);
+                    suppressed++;
+                } else {
+                    findings.push(finding);
+                }
+            }
+
+            const format = finding => `line ${finding.line}: ${finding.message} [${finding.rule}]`;
+            return {
+                file,
+                errors: findings.filter(finding => finding.severity === 'error').map(format),
+                warnings: findings.filter(finding => finding.severity === 'warning').map(format),
+                findings,
+                suppressed
+            };
+        });
+
+        return {
+            total: results.length,
+            failed: results.filter(result => result.errors.length > 0).length,
+            suppressed: results.reduce((total, result) => total + result.suppressed, 0),
+            files: results
+        };
+    }
+
+    /**
+     * Baseline of grandfathered findings as a Map of key → count; an absent file is an empty baseline
+     */
+    static loadBaseline(baselineFile) {
+        const baseline = new Map();
+        if (!fs.existsSync(baselineFile)) {
+            return baseline;
+        }
+        for (const entry of JSON.parse(fs.readFileSync(baselineFile, 'utf8')).findings || []) {
+            const key = baselineKey(entry.file, entry);
+            baseline.set(key, (baseline.get(key) || 0) + 1);
+        }
+        return baseline;
+    }
+
+    /**
+     * Record every finding of the results as grandfathered; returns the number of findings written
+     */
+    static writeBaseline(baselineFile, results) {
+        const findings = results.files.flatMap(result =>
+            result.findings.map(({ rule, message }) => ({ file: result.file, rule, message })));
+        fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+        fs.writeFileSync(baselineFile, JSON.stringify({ version: 1, findings }, null, 2) + '\n');
+        return findings.length;
+    }
+
+    /**
+     * JUnit XML: one test case per article, failing when it has errors; warnings go to system-out
+     */
+    static toJUnit(results) {
+        const cases = results.files.map(result => {
+            const opening = `    <testcase classname="content-lint" name="${escapeXml(result.file)}"`;
+            if (result.errors.length === 0 && result.warnings.length === 0) {
+                return `${opening} />`;
+            }
+            const lines = [`${opening}>`];
+            if (result.errors.length > 0) {
+                lines.push(`      <failure message="${escapeXml(`${result.errors.length} lint error(s)`)}" type="lint">${escapeXml(result.errors.join('\n'))}</failure>`);
+            }
+            if (result.warnings.length > 0) {
+                lines.push(`      <system-out>${escapeXml(result.warnings.join('\n'))}</system-out>`);
+            }
+            lines.push('    </testcase>');
+            return lines.join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="kb-rewriter validate" tests="${results.total}" failures="${results.failed}">`,
+            `  <testsuite name="content-lint" tests="${results.total}" failures="${results.failed}">`,
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * SARIF 2.1.0 log with one result per finding, located by repository-relative path and line
+     */
+    toSarif(results) {
+        const rules = Object.entries(RULES)
+            .filter(([id]) => this.rules[id] !== 'off')
+            .map(([id, description]) => ({
+                id,
+                shortDescription: { text: description },
+                defaultConfiguration: { level: this.rules[id] }
+            }));
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: { driver: { name: 'kb-rewriter validate', rules } },
+                results: results.files.flatMap(result => result.findings.map(finding => ({
+                    ruleId: finding.rule,
+                    level: finding.severity,
+                    message: { text: finding.message },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: result.file },
+                            region: { startLine: finding.line }
+                        }
+                    }]
+                })))
+            }]
+        };
+    }
+
+    /**
+     * Print lint results to `log` (default console): articles with errors or warnings, then a summary line
+     */
+    static printResults({ total, failed, suppressed, files }, log = console) {
+        for (const result of files.filter(result => result.errors.length > 0 || result.warnings.length > 0)) {
+            log.log(`${result.errors.length > 0 ? '❌' : '⚠️ '} ${result.file}`);
+            result.errors.forEach(error => log.log(`    ${error}`));
+            result.warnings.forEach(warning => log.log(`    ⚠️  ${warning}`));
+        }
+        log.log(`\n📊 Linted ${total} articles: ${total - failed} passed, ${failed} failed${suppressed > 0 ? ` (${suppressed} findings suppressed by the baseline)` : ''}`);
+    }
+}
+
+module.exports = {
+    ContentLinter,
+    LINT_RULES: RULES
+};
@@ -4,16 +4,104 @@ const fs = require('fs');
 const path = require('path');
 const LLMRewriter = require('./llm-rewriter.js');
 const ContentValidator = require('./content-validator.js');
+const { FrontMatterSchema } = require('./front-matter-schema.js');
+const PreviewWriter = require('./preview-writer.js');
+const RewriteLedger = require('./rewrite-ledger.js');
+const articleParser = require('./article-parser.js');
+const { EditPlan } = require('./edit-plan.js');
+const { CircuitOpenError } = require('./circuit-breaker.js');
+const { UsageTracker, BudgetExceededError, formatUsage } = require('./usage-tracker.js');
+const { compareReadability, scoreReadability } = require('./readability.js');
+const { checkLanguage } = require('./language-detector.js');
+const { getLanguage, getDefaultLocale, resolveContentLocation } = require('./locales.js');
+const { getDescriptionProblem } = require('./seo-fields.js');
+const { PromptTemplates } = require('./prompt-templates.js');
+const { DuplicateIndex } = require('./duplicate-index.js');
+const { ReviewReport } = require('./review-report.js');
+const { loadConfig } = require('./config.js');
 
 /**
  * Content Rewriting Logic
- * Processes selected articles and rewrites opening/closing paragraphs
+ * Processes selected articles and rewrites their opening, section intro and closing paragraphs
  */
 
+// Flesch reading ease gain (or loss) that earns a candidate the full readability score
+const MAX_FLESCH_GAIN = 20;
+
+/**
+ * Count with a singular or plural noun, e.g. "1 section intro", "2 section intros"
+ */
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Map items through an async worker with at most `concurrency` in flight; results keep input order
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runWorker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+    return results;
+}
+
+/**
+ * Progress lines of one article. A buffered log holds its lines back until flush(), so articles
+ * processed side by side print as whole blocks instead of interleaving
+ */
+class ArticleLog {
+    constructor(buffered = false, output = console) {
+        this.buffered = buffered;
+        this.output = output;
+        this.lines = [];
+    }
+
+    log(...args) {
+        this.write('log', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+
+    write(level, args) {
+        if (this.buffered) {
+            this.lines.push({ level, args });
+        } else {
+            this.output[level](...args);
+        }
+    }
+
+    flush() {
+        for (const { level, args } of this.lines) {
+            this.output[level](...args);
+        }
+        this.lines = [];
+    }
+}
+
 class ContentProcessor {
-    constructor(apiKey) {
-        this.llmRewriter = new LLMRewriter(apiKey);
-        this.validator = new ContentValidator();
+    /**
+     * `log` (default console) receives the progress messages of the run and its articles
+     */
+    constructor(apiKey, config = loadConfig(), log = console) {
+        this.config = config;
+        this.log = log;
+        this.llmRewriter = new LLMRewriter(apiKey, config.llm, PromptTemplates.fromConfig(config));
+        this.validator = new ContentValidator(config.validation, FrontMatterSchema.fromConfig(config));
+        this.dryRun = config.processing.dryRun;
+        this.previewWriter = new PreviewWriter(config.paths.previewDir, config.paths.repoRoot);
+        this.ledger = new RewriteLedger(config.paths.ledgerFile, config.paths.repoRoot);
+        this.runId = RewriteLedger.getRunId();
+        this.duplicateIndex = null;
         this.processedFiles = [];
     }
 
@@ -21,197 +109,742 @@ class ContentProcessor {
      * Parse front matter from markdown file
      */
     parseFrontMatter(content) {
-        // Handle both Unix (\n) and Windows (\r\n) line endings
-        const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
-        if (!frontMatterMatch) {
-            throw new Error('No front matter found in file');
+        return articleParser.parseFrontMatter(content);
+    }
+
+    /**
+     * Update lastmod field in front matter, keeping the existing value's format (date or timestamp);
+     * a missing lastmod is added after the date field
+     */
+    updateLastMod(fields, now = new Date()) {
+        return fields.setField('lastmod', now, { after: 'date' });
+    }
+
+    /**
+     * Extract opening paragraph (first prose paragraph before the first heading or gist)
+     */
+    extractOpeningParagraph(content) {
+        return articleParser.extractOpeningParagraph(content);
+    }
+
+    /**
+     * Extract closing paragraphs (prose after the last gist, or under a conclusion heading) - returns array of individual paragraphs
+     */
+    extractClosingParagraphs(content) {
+        return articleParser.extractClosingParagraphs(content);
+    }
+
+    /**
+     * Write new content to disk, restoring the original if validation fails; returns the validation result
+     */
+    writeWithValidation(absolutePath, newFileContent, originalContent, context = {}, log = console) {
+        // Create backup before writing
+        const backupPath = ContentValidator.createBackup(absolutePath);
+        
+        try {
+            // Write the updated content
+            fs.writeFileSync(absolutePath, newFileContent);
+            
+            // Validate the new content
+            const validation = this.validator.validateFile(absolutePath, originalContent, context);
+            
+            if (!validation.valid) {
+                // Restore from backup if validation fails
+                ContentValidator.restoreFromBackup(absolutePath, backupPath);
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+            
+            // Clean up backup if validation passed
+            fs.unlinkSync(backupPath);
+            
+            // Add validation info to result
+            if (validation.warnings.length > 0) {
+                log.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
+            }
+            
+            return validation;
+        } catch (error) {
+            // Ensure backup is cleaned up even on error
+            if (fs.existsSync(backupPath)) {
+                ContentValidator.restoreFromBackup(absolutePath, backupPath);
+            }
+            throw error;
         }
+    }
+
+    /**
+     * Trimmed span of a paragraph node as absolute file offsets
+     */
+    getParagraphSpan(node, bodyOffset) {
+        const leading = node.raw.length - node.raw.trimStart().length;
+        const original = node.raw.trim();
+        const start = bodyOffset + node.start + leading;
+        return { start, end: start + original.length, original };
+    }
 
+    /**
+     * Where the edit plan for an article is saved: <editPlanDir>/<runId>/<flattened path>.json
+     */
+    getEditPlanPath(absolutePath) {
+        const name = this.ledger.getArticleKey(absolutePath).replace(/\.md$/, '').replace(/\//g, '__');
+        return path.join(this.config.paths.editPlanDir, this.runId, `${name}.json`);
+    }
+
+    /**
+     * Paragraphs to rewrite per rewrite.targets, each target type capped by rewrite.maxParagraphs;
+     * over a cap, the paragraphs with the lowest Flesch reading ease are chosen
+     *
+     * Returns { found: { <target>: count }, chosen: [{ target, section, node, heading }] } with
+     * chosen in document order
+     */
+    chooseRewriteTargets({ opening, intros, closing }) {
+        const { targets, maxParagraphs } = this.config.rewrite;
+        const candidates = {
+            opening: opening ? [{ node: opening, heading: null }] : [],
+            intro: intros.map(({ heading, node }) => ({ node, heading: heading.text })),
+            closing: closing.map(node => ({ node, heading: null }))
+        };
+        
+        const found = {};
+        const chosen = [];
+        for (const target of targets) {
+            // Section keys number every candidate, so they stay the same whatever the cap
+            const list = candidates[target].map((candidate, i) => ({
+                ...candidate,
+                target,
+                section: target === 'opening' ? 'opening' : `${target}:${i + 1}`,
+                flesch: scoreReadability(candidate.node.raw).fleschReadingEase
+            }));
+            found[target] = list.length;
+            
+            list.sort((a, b) => a.flesch - b.flesch || a.node.start - b.node.start);
+            chosen.push(...list.slice(0, maxParagraphs[target]).map(({ flesch, ...choice }) => choice));
+        }
+        
+        chosen.sort((a, b) => a.node.start - b.node.start);
+        return { found, chosen };
+    }
+
+    /**
+     * Report entry for the chosen rewrite targets: candidates found per target type and the
+     * sections chosen (with their headings)
+     */
+    describeTargets({ found, chosen }) {
+        return {
+            found,
+            chosen: chosen.map(({ section, heading }) => (heading ? { section, heading } : { section }))
+        };
+    }
+
+    /**
+     * Texts of the nearest headings before and after a node, for the prompt templates
+     */
+    getSurroundingHeadings(nodes, node) {
+        const headings = nodes.filter(candidate => candidate.type === 'heading');
+        const before = headings.filter(heading => heading.start < node.start).pop();
+        const after = headings.find(heading => heading.start > node.start);
+        return {
+            heading: before ? before.text : null,
+            nextHeading: after ? after.text : null
+        };
+    }
+
+    /**
+     * Locale of an article from its path below paths.contentBase, and the language it is written in
+     */
+    getArticleLanguage(absolutePath) {
+        const { contentBase } = this.config.paths;
+        const location = resolveContentLocation(absolutePath, contentBase, this.config.selection.locales);
+        return getLanguage(location ? location.locale : getDefaultLocale(this.config.selection.locales));
+    }
+
+    /**
+     * Reject a usable rewrite that is not written in the article's language
+     */
+    applyLanguageCheck(rewrite, language) {
+        if (!rewrite.ok || !this.config.validation.languageCheck) {
+            return rewrite;
+        }
+        
+        const check = checkLanguage(rewrite.text, language.code);
+        if (check.accepted) {
+            return { ...rewrite, language: check };
+        }
+        return {
+            ...rewrite,
+            ok: false,
+            text: null,
+            language: check,
+            rejectedBy: 'language',
+            sanitization: { ...rewrite.sanitization, failure: check.reason }
+        };
+    }
+
+    /**
+     * Score a usable rewrite against the original and reject it when readability gets worse
+     * by more than validation.readabilityMargin; Flesch reading ease is calibrated for English,
+     * so other languages are only scored
+     */
+    applyReadabilityGate(originalText, rewrite, language) {
+        if (!rewrite.ok) {
+            return rewrite;
+        }
+        
+        const { readabilityGate, readabilityMargin } = this.config.validation;
+        const readability = compareReadability(originalText, rewrite.text.trim(), readabilityMargin);
+        
+        if (!readabilityGate || readability.accepted || language.code !== 'en') {
+            return { ...rewrite, readability };
+        }
         return {
-            frontMatter: frontMatterMatch[1],
-            content: frontMatterMatch[2]
+            ...rewrite,
+            ok: false,
+            text: null,
+            readability,
+            rejectedBy: 'readability',
+            sanitization: { ...rewrite.sanitization, failure: readability.reason }
         };
     }
 
     /**
-     * Update lastmod field in front matter
+     * Reject a usable rewrite that loses a technical fact of the original or invents an identifier
      */
-    updateLastMod(frontMatter) {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    applyFactCheck(originalText, rewrite, factContext) {
+        if (!rewrite.ok) {
+            return rewrite;
+        }
         
-        // Replace existing lastmod or add it after date
-        if (frontMatter.includes('lastmod:')) {
-            return frontMatter.replace(/lastmod:\s*\d{4}-\d{2}-\d{2}/, `lastmod: ${today}`);
+        const { missing, invented } = ContentValidator.compareTechnicalFacts(originalText, rewrite.text.trim(), factContext);
+        if (missing.length === 0 && invented.length === 0) {
+            return rewrite;
+        }
+        
+        const problems = [
+            ...missing.map(value => `missing "${value}"`),
+            ...invented.map(value => `invented "${value}"`)
+        ];
+        return {
+            ...rewrite,
+            ok: false,
+            text: null,
+            rejectedBy: 'facts',
+            sanitization: { ...rewrite.sanitization, failure: `facts: ${problems.join(', ')}` }
+        };
+    }
+
+    /**
+     * Score a usable rewrite's similarity to the original and reject it when it barely changes
+     * the paragraph (no-op) or drifts away from it
+     */
+    applySimilarityCheck(originalText, rewrite) {
+        if (!rewrite.ok) {
+            return rewrite;
+        }
+        
+        const check = this.validator.compareSimilarity(originalText, rewrite.text.trim());
+        if (!this.config.validation.similarityCheck || !check.reason) {
+            return { ...rewrite, similarity: check };
+        }
+        return {
+            ...rewrite,
+            ok: false,
+            text: null,
+            similarity: check,
+            rejectedBy: 'similarity',
+            sanitization: { ...rewrite.sanitization, failure: check.reason }
+        };
+    }
+
+    /**
+     * Reject a usable rewrite that reads almost like another article's opening or closing paragraph
+     * (and more so than the original did)
+     */
+    applyDuplicateCheck(originalText, rewrite, { language, article }) {
+        if (!rewrite.ok || !this.duplicateIndex) {
+            return rewrite;
+        }
+        
+        const [match] = this.duplicateIndex.findNewMatches(originalText, rewrite.text.trim(), { locale: language.locale, article });
+        if (!match) {
+            return rewrite;
+        }
+        return {
+            ...rewrite,
+            ok: false,
+            text: null,
+            duplicate: match,
+            rejectedBy: 'duplicate',
+            sanitization: {
+                ...rewrite.sanitization,
+                failure: `duplicate: ${Math.round(match.similarity * 100)}% similar to the ${match.section} paragraph of ${match.article}`
+            }
+        };
+    }
+
+    /**
+     * Run a rewrite candidate through the language, readability, fact, similarity and duplicate
+     * checks and score it when it passes: readability weight × Flesch gain (±MAX_FLESCH_GAIN points
+     * scaled to ±1, English only) + similarity weight × similarity to the original
+     *
+     * context holds the article's language, factContext and article key. A rejected candidate's
+     * rejectedBy names the check that failed it: sanitizer (unusable response), language,
+     * readability, facts, similarity or duplicate
+     */
+    checkCandidate(originalText, candidate, context) {
+        const { language, factContext } = context;
+        let checked = candidate.ok ? candidate : { ...candidate, rejectedBy: 'sanitizer' };
+        checked = this.applyLanguageCheck(checked, language);
+        checked = this.applyReadabilityGate(originalText, checked, language);
+        checked = this.applyFactCheck(originalText, checked, factContext);
+        checked = this.applySimilarityCheck(originalText, checked);
+        checked = this.applyDuplicateCheck(originalText, checked, context);
+        if (!checked.ok) {
+            return { ...checked, score: null };
+        }
+        
+        const weights = this.config.rewrite.candidateWeights;
+        const gain = language.code === 'en'
+            ? Math.max(-1, Math.min(1, checked.readability.delta / MAX_FLESCH_GAIN))
+            : 0;
+        const score = weights.readability * gain + weights.similarity * checked.similarity.similarity;
+        
+        return { ...checked, score: Math.round(score * 1000) / 1000 };
+    }
+
+    /**
+     * Pick the best-scoring valid candidate (the earliest on a tie); when none is valid the first
+     * candidate is returned with the reasons all of them were rejected and `rejectedBy`, the checks
+     * that rejected them, so the original is kept
+     *
+     * The result carries `selection` { generated, valid, chosen, reason, candidates } for the report
+     */
+    pickCandidate(candidates, language) {
+        const valid = candidates.filter(candidate => candidate.ok);
+        const selection = {
+            generated: candidates.length,
+            valid: valid.length,
+            chosen: null,
+            reason: null,
+            candidates: candidates.map(candidate => ({
+                candidate: candidate.candidate,
+                status: candidate.ok ? 'valid' : 'rejected',
+                score: candidate.score,
+                fleschDelta: candidate.readability ? candidate.readability.delta : null,
+                similarity: candidate.similarity ? candidate.similarity.similarity : null,
+                keyTermCoverage: candidate.similarity ? candidate.similarity.keyTermCoverage : null,
+                failure: candidate.ok ? null : candidate.sanitization.failure,
+                rejectedBy: candidate.ok ? null : candidate.rejectedBy
+            }))
+        };
+        
+        if (valid.length === 0) {
+            const failures = [...new Set(selection.candidates.map(candidate => candidate.failure))];
+            const failure = candidates.length === 1
+                ? failures[0]
+                : `all ${candidates.length} candidates rejected (${failures.join('; ')})`;
+            selection.reason = failure;
+            const rejectedBy = [...new Set(selection.candidates.map(candidate => candidate.rejectedBy))];
+            return { ...candidates[0], sanitization: { ...candidates[0].sanitization, failure }, rejectedBy, selection };
+        }
+        
+        const winner = valid.reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
+        selection.chosen = winner.candidate;
+        if (candidates.length === 1) {
+            selection.reason = 'single candidate';
+        } else if (valid.length === 1) {
+            selection.reason = `only valid candidate of ${candidates.length}`;
         } else {
-            // Add lastmod after date field
-            return frontMatter.replace(
-                /(date:\s*\d{4}-\d{2}-\d{2})/,
-                `$1\nlastmod: ${today}`
-            );
+            const parts = [`similarity ${winner.similarity.similarity}`];
+            if (language.code === 'en') {
+                const delta = winner.readability.delta;
+                parts.push(`Flesch ${delta >= 0 ? '+' : ''}${delta}`);
+            }
+            selection.reason = `highest score of ${valid.length} valid candidates: ${winner.score} (${parts.join(', ')})`;
         }
+        
+        return { ...winner, selection };
     }
 
     /**
-     * Extract opening paragraph (before first heading or gist)
+     * Average Flesch reading ease before/after over the accepted rewrites (null when nothing was scored)
      */
-    extractOpeningParagraph(content) {
-        // Find the first occurrence of ## heading or {{< gist
-        const firstHeadingMatch = content.match(/^## /m);
-        const firstGistMatch = content.match(/\{\{<\s*gist/);
+    summarizeReadability(paragraphs) {
+        const scored = paragraphs.filter(paragraph => paragraph.readability);
+        if (scored.length === 0) {
+            return null;
+        }
+        
+        const accepted = scored.filter(paragraph => paragraph.status === 'rewritten');
+        const average = values => values.length > 0
+            ? Math.round(values.reduce((total, value) => total + value, 0) / values.length * 10) / 10
+            : null;
+        
+        return {
+            scored: scored.length,
+            fleschBefore: average(accepted.map(paragraph => paragraph.readability.before.fleschReadingEase)),
+            fleschAfter: average(accepted.map(paragraph => paragraph.readability.after.fleschReadingEase))
+        };
+    }
+
+    /**
+     * Paragraphs kept original per check that rejected their candidates, e.g. { readability: 2, sanitizer: 1 };
+     * a paragraph whose candidates failed different checks counts once for each
+     */
+    summarizeRejections(paragraphs) {
+        const rejections = {};
+        for (const check of paragraphs.flatMap(paragraph => paragraph.rejectedBy || [])) {
+            rejections[check] = (rejections[check] || 0) + 1;
+        }
+        return rejections;
+    }
+
+    /**
+     * Report entry for one paragraph rewrite, logging the picked candidate and rejected responses
+     */
+    describeRewrite(section, rewrite, log = console) {
+        const { actions, failure } = rewrite.sanitization;
+        
+        if (!rewrite.ok) {
+            log.log(`  ⚠️  Kept original ${section}: ${failure}`);
+        } else if (rewrite.selection && rewrite.selection.generated > 1) {
+            log.log(`  🏆 Picked candidate ${rewrite.selection.chosen} of ${rewrite.selection.generated} for ${section}: ${rewrite.selection.reason}`);
+        }
+        if (rewrite.ok && actions.length > 0) {
+            log.log(`  🧹 Sanitized ${section}: ${actions.join(', ')}`);
+        }
         
-        let endPosition = content.length;
+        const entry = {
+            section,
+            status: rewrite.ok ? 'rewritten' : 'kept-original',
+            rejectedBy: rewrite.ok ? [] : rewrite.rejectedBy,
+            prompt: rewrite.prompt,
+            sanitization: { actions, failure }
+        };
         
-        if (firstHeadingMatch && firstGistMatch) {
-            endPosition = Math.min(firstHeadingMatch.index, firstGistMatch.index);
-        } else if (firstHeadingMatch) {
-            endPosition = firstHeadingMatch.index;
-        } else if (firstGistMatch) {
-            endPosition = firstGistMatch.index;
+        if (rewrite.selection) {
+            entry.candidates = rewrite.selection;
         }
         
-        return content.substring(0, endPosition).trim();
+        if (rewrite.readability) {
+            const { original, rewritten, delta } = rewrite.readability;
+            entry.readability = { before: original, after: rewritten, fleschDelta: delta };
+        }
+        
+        if (rewrite.language) {
+            const { expected, detected, confidence } = rewrite.language;
+            entry.language = { expected, detected, confidence };
+        }
+        
+        if (rewrite.similarity) {
+            const { similarity: score, keyTermCoverage, noop, drift } = rewrite.similarity;
+            entry.similarity = { score, keyTermCoverage, noop, drift };
+        }
+        
+        if (rewrite.duplicate) {
+            entry.duplicate = rewrite.duplicate;
+        }
+        
+        return entry;
     }
 
     /**
-     * Extract closing paragraphs (after last gist) - returns array of individual paragraphs
+     * Generate `description` (when missing, outside the configured length, or always) and keywords
+     * (when the article has none), writing accepted values into the parsed front matter
+     *
+     * Returns a report entry { reason, updated, description, keywords, failure, prompt, usage }, or null when nothing was requested
      */
-    extractClosingParagraphs(content) {
-        // Find all gist occurrences - fixed regex to match full gist shortcode including closing }}
-        const gistMatches = [...content.matchAll(/\{\{<\s*gist[\s\S]*?\>\}\}/g)];
+    async refreshSeoFields(fields, context, log = console) {
+        const seoConfig = this.config.seo;
+        const currentDescription = fields.getString('description');
+        const problem = getDescriptionProblem(currentDescription, seoConfig);
+        const wantDescription = seoConfig.description === 'always' || (seoConfig.description === 'missing-or-invalid' && problem !== null);
+        const wantKeywords = seoConfig.keywords && !fields.has(seoConfig.keywordsField);
         
-        if (gistMatches.length === 0) {
-            return []; // No gist found, no closing paragraphs to rewrite
+        if (!wantDescription && !wantKeywords) {
+            return null;
         }
         
-        const lastGist = gistMatches[gistMatches.length - 1];
-        const afterLastGist = content.substring(lastGist.index + lastGist[0].length);
+        const reason = wantDescription ? `description ${problem || 'refresh'}` : `no ${seoConfig.keywordsField}`;
+        log.log(`  🤖 Generating SEO fields (${reason})...`);
         
-        // Split into individual paragraphs (separated by double newlines or more)
-        const paragraphs = afterLastGist
-            .split(/\n\s*\n/)
-            .map(p => p.trim())
-            .filter(p => p.length > 0 && !p.match(/^#+\s/)); // Filter out empty paragraphs and headings
+        const entry = { reason, updated: [], description: { before: currentDescription, after: currentDescription }, keywords: null, failure: null };
+        const generated = await this.llmRewriter.generateSeoFields({ ...context, currentDescription, wantKeywords }, seoConfig, log);
+        entry.prompt = generated.prompt;
+        entry.usage = generated.usage;
         
-        return paragraphs;
+        try {
+            if (!generated.ok) {
+                throw new Error(generated.failure);
+            }
+            if (this.config.validation.languageCheck) {
+                const check = checkLanguage(generated.description, context.language.code);
+                if (!check.accepted) {
+                    throw new Error(check.reason);
+                }
+            }
+            if (wantDescription && generated.description !== currentDescription) {
+                fields.setField('description', generated.description, { after: 'title' });
+                entry.description.after = generated.description;
+                entry.updated.push('description');
+            }
+            if (wantKeywords) {
+                fields.setField(seoConfig.keywordsField, generated.keywords, { after: 'description' });
+                entry.keywords = generated.keywords;
+                entry.updated.push(seoConfig.keywordsField);
+            }
+        } catch (error) {
+            log.log(`  ⚠️  Kept SEO fields: ${error.message}`);
+            entry.failure = error.message;
+        }
+        
+        return entry;
+    }
+
+    /**
+     * Result for an article skipped because the LLM circuit breaker is open or the run's LLM
+     * budget is spent
+     */
+    stoppedResult(absolutePath) {
+        const { circuitBreaker, usage } = this.llmRewriter;
+        return {
+            filePath: absolutePath,
+            fileName: path.basename(absolutePath),
+            reason: circuitBreaker.isOpen ? `circuit breaker open: ${circuitBreaker.reason}` : `budget: ${usage.reason}`,
+            status: 'skipped'
+        };
     }
 
     /**
      * Process a single article file
      */
-    async processArticle(filePath) {
-        console.log(`📝 Processing: ${path.basename(filePath)}`);
+    async processArticle(filePath, log = new ArticleLog(false, this.log)) {
+        log.log(`📝 Processing: ${path.basename(filePath)}`);
         
         // Ensure we have the correct absolute path
-        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(__dirname, '../..', filePath);
+        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(this.config.paths.repoRoot, filePath);
+        
+        // After the circuit breaker opens or the budget runs out, the remaining articles are skipped without any LLM calls
+        if (this.llmRewriter.circuitBreaker.isOpen) {
+            log.log(`  ⏭️  Skipped: LLM circuit breaker is open`);
+            return this.stoppedResult(absolutePath);
+        }
+        if (this.llmRewriter.usage.isExhausted) {
+            log.log(`  ⏭️  Skipped: LLM budget exhausted`);
+            return this.stoppedResult(absolutePath);
+        }
         
         try {
             // Read file content
             const originalContent = fs.readFileSync(absolutePath, 'utf8');
-            const { frontMatter, content } = this.parseFrontMatter(originalContent);
+            const { fields, content } = this.parseFrontMatter(originalContent);
             
             // Extract title and platform from frontmatter
-            const titleMatch = frontMatter.match(/title:\s*"([^"]+)"/);
-            const platformMatch = frontMatter.match(/platformkey:\s*"([^"]+)"/);
+            const title = fields.getString('title');
+            const platform = fields.getString('platformkey');
             
-            if (!titleMatch || !platformMatch) {
+            if (!title || !platform) {
                 throw new Error('Could not extract title or platform from front matter');
             }
             
-            const title = titleMatch[1];
-            const platform = platformMatch[1];
+            const productName = fields.getString('productname');
+            const language = this.getArticleLanguage(absolutePath);
+            const promptContext = {
+                title,
+                platform,
+                product: productName,
+                productKey: fields.getString('productkey'),
+                language
+            };
+            // The title and product name may introduce identifiers
+            const factContext = {
+                productName,
+                allowedText: [title, productName].filter(Boolean).join('\n')
+            };
             
-            console.log(`  📋 Title: ${title}`);
-            console.log(`  🔧 Platform: ${platform}`);
+            log.log(`  📋 Title: ${title}`);
+            log.log(`  🔧 Platform: ${platform}`);
+            log.log(`  🌐 Locale: ${language.locale} (${language.name})`);
             
-            // Extract paragraphs to rewrite
-            const openingParagraph = this.extractOpeningParagraph(content);
-            const closingParagraphs = this.extractClosingParagraphs(content);
+            // Locate paragraphs to rewrite; node offsets are relative to the body
+            const bodyOffset = fields.bodyOffset;
+            const { nodes, opening, intros, closing } = articleParser.extractSections(content);
+            const openingParagraph = opening ? opening.raw.trim() : '';
+            const targets = this.chooseRewriteTargets({ opening, intros, closing });
             
-            console.log(`  📝 Opening paragraph length: ${openingParagraph.length} chars`);
-            console.log(`  📝 Found ${closingParagraphs.length} closing paragraphs to rewrite`);
+            log.log(`  📝 Opening paragraph length: ${openingParagraph.length} chars`);
+            log.log(`  📝 Found ${pluralize(intros.length, 'section intro')} and ${pluralize(closing.length, 'closing paragraph')}`);
             
-            if (!openingParagraph && closingParagraphs.length === 0) {
-                console.log(`  ⚠️  No content found to rewrite, skipping`);
+            if (targets.chosen.length === 0) {
+                log.log(`  ⚠️  No content found to rewrite, skipping`);
                 return null;
             }
             
-            let newContent = content;
+            log.log(`  🎯 Rewriting ${targets.chosen.map(choice => choice.section).join(', ')}`);
+            
+            const article = this.ledger.getArticleKey(absolutePath);
+            const plan = new EditPlan({ file: article, runId: this.runId });
             const changes = [];
+            const sections = [];
+            const paragraphs = [];
+            const rewrites = [];
+            const rewritten = { opening: 0, intro: 0, closing: 0 };
+            // Accepted opening/closing rewrites, indexed for duplicate checks once the article passes validation
+            const indexEntries = [];
+            let rewrittenOpening = null;
             
-            // Rewrite opening paragraph if exists
-            if (openingParagraph) {
-                console.log(`  🤖 Rewriting opening paragraph...`);
-                const rewrittenOpening = await this.llmRewriter.rewriteOpeningParagraph(
-                    openingParagraph, title, platform
-                );
+            // Rewrite each chosen paragraph with its target's prompt template, keeping the best candidate
+            for (const choice of targets.chosen) {
+                const original = choice.node.raw.trim();
+                const label = {
+                    opening: 'opening paragraph',
+                    intro: `intro of "${choice.heading}"`,
+                    closing: `closing paragraph ${choice.section.split(':')[1]}`
+                }[choice.target];
+                log.log(`  🤖 Rewriting ${label}...`);
                 
-                newContent = newContent.replace(openingParagraph, rewrittenOpening.trim());
-                changes.push('opening paragraph');
+                const candidates = await this.llmRewriter.rewriteParagraphCandidates(choice.target, original, {
+                    ...promptContext,
+                    ...this.getSurroundingHeadings(nodes, choice.node)
+                }, this.config.rewrite.candidates, log);
+                const rewrite = this.pickCandidate(
+                    candidates.map(candidate => this.checkCandidate(original, candidate, { language, factContext, article })),
+                    language
+                );
                 
-                // Add delay between API calls
-                await this.llmRewriter.delay();
-            }
-            
-            // Rewrite each closing paragraph individually
-            if (closingParagraphs.length > 0) {
-                console.log(`  🤖 Rewriting ${closingParagraphs.length} closing paragraphs...`);
+                const entry = this.describeRewrite(choice.section, rewrite, log);
+                if (choice.heading) {
+                    entry.heading = choice.heading;
+                }
+                entry.usage = UsageTracker.sum(candidates.map(candidate => candidate.usage));
+                // Before/after text for the review report
+                entry.original = original;
+                entry.rewritten = rewrite.ok ? rewrite.text.trim() : null;
+                paragraphs.push(entry);
                 
-                for (let i = 0; i < closingParagraphs.length; i++) {
-                    const paragraph = closingParagraphs[i];
-                    console.log(`  🤖 Rewriting closing paragraph ${i + 1}/${closingParagraphs.length}...`);
-                    
-                    const rewrittenClosing = await this.llmRewriter.rewriteClosingParagraph(
-                        paragraph, title, platform
-                    );
-                    
-                    // Replace the original paragraph with the rewritten one
-                    newContent = newContent.replace(paragraph, rewrittenClosing.trim());
-                    
-                    // Add delay between API calls
-                    if (i < closingParagraphs.length - 1) {
-                        await this.llmRewriter.delay();
+                // Plan the replacement of exactly this paragraph's span
+                if (rewrite.ok) {
+                    plan.addEdit({
+                        ...this.getParagraphSpan(choice.node, bodyOffset),
+                        replacement: rewrite.text.trim(),
+                        section: choice.section
+                    });
+                    rewrites.push({ section: choice.section, original, rewritten: rewrite.text.trim() });
+                    sections.push(choice.section);
+                    rewritten[choice.target]++;
+                    if (this.duplicateIndex && choice.target !== 'intro') {
+                        indexEntries.push({ article, locale: language.locale, section: choice.section, text: rewrite.text.trim() });
+                    }
+                    if (choice.target === 'opening') {
+                        rewrittenOpening = rewrite.text.trim();
                     }
                 }
-                
-                changes.push(`${closingParagraphs.length} closing paragraphs`);
+            }
+            
+            if (rewritten.opening > 0) {
+                changes.push('opening paragraph');
+            }
+            if (rewritten.intro > 0) {
+                changes.push(pluralize(rewritten.intro, 'section intro'));
+            }
+            if (rewritten.closing > 0) {
+                changes.push(pluralize(rewritten.closing, 'closing paragraph'));
+            }
+            
+            // Refresh SEO front matter fields from the title, headings and the (rewritten) opening
+            const seo = await this.refreshSeoFields(fields, {
+                ...promptContext,
+                headings: nodes.filter(node => node.type === 'heading').map(node => node.text),
+                opening: rewrittenOpening || openingParagraph
+            }, log);
+            if (seo && seo.updated.length > 0) {
+                changes.push(...seo.updated);
+                sections.push(...seo.updated);
+            }
+            
+            if (sections.length === 0) {
+                log.log(`  ⚠️  Every rewrite was rejected, keeping the article unchanged`);
+                const result = {
+                    filePath: absolutePath,
+                    fileName: path.basename(absolutePath),
+                    title,
+                    platform,
+                    locale: language.locale,
+                    targets: this.describeTargets(targets),
+                    paragraphs,
+                    readability: this.summarizeReadability(paragraphs),
+                    rejections: this.summarizeRejections(paragraphs),
+                    seo,
+                    usage: this.llmRewriter.usage.summarize([...paragraphs, seo || {}].filter(entry => entry.usage).map(entry => entry.usage)),
+                    reason: 'all rewrites rejected',
+                    status: 'skipped'
+                };
+                return result;
             }
             
             // Update lastmod in front matter
-            const updatedFrontMatter = this.updateLastMod(frontMatter);
+            const frontMatterEdit = this.updateLastMod(fields).toEdit();
+            if (frontMatterEdit) {
+                plan.addEdit(frontMatterEdit);
+            }
             
-            // Reconstruct the file
-            const newFileContent = `---\n${updatedFrontMatter}\n---\n${newContent}`;
+            // Apply all edits in one pass; everything outside the planned spans stays byte-for-byte identical
+            const newFileContent = plan.apply(originalContent);
             
-            // Create backup before writing
-            const backupPath = ContentValidator.createBackup(absolutePath);
+            let previewPath = null;
+            let validation;
             
-            try {
-                // Write the updated content
-                fs.writeFileSync(absolutePath, newFileContent);
-                
-                // Validate the new content
-                const validation = this.validator.validateFile(absolutePath, originalContent);
+            // Per-paragraph technical fact checks
+            const validationContext = {
+                filePath: absolutePath,
+                paragraphs: rewrites,
+                ...factContext
+            };
+            
+            if (this.dryRun) {
+                // Validate in memory and write a diff instead of touching the article
+                validation = this.validator.validateContent(newFileContent, originalContent, validationContext);
                 
                 if (!validation.valid) {
-                    // Restore from backup if validation fails
-                    ContentValidator.restoreFromBackup(absolutePath, backupPath);
                     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
                 }
                 
-                // Clean up backup if validation passed
-                fs.unlinkSync(backupPath);
-                
-                // Add validation info to result
                 if (validation.warnings.length > 0) {
-                    console.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
+                    log.log(`  ⚠️  Warnings: ${validation.warnings.join(', ')}`);
                 }
                 
-            } catch (error) {
-                // Ensure backup is cleaned up even on error
-                if (fs.existsSync(backupPath)) {
-                    ContentValidator.restoreFromBackup(absolutePath, backupPath);
+                previewPath = this.previewWriter.writeArticleDiff(absolutePath, originalContent, newFileContent);
+                log.log(`  🔎 Dry run: diff written to ${previewPath}`);
+            } else {
+                validation = this.writeWithValidation(absolutePath, newFileContent, originalContent, validationContext, log);
+                
+                // Record the rewrite so the selector can apply cooldowns and yearly limits
+                this.ledger.record({
+                    filePath: absolutePath,
+                    runId: this.runId,
+                    sections,
+                    model: this.llmRewriter.model,
+                    // Only the prompts behind text that was actually written
+                    prompts: [...new Set([
+                        ...paragraphs.filter(entry => entry.status === 'rewritten'),
+                        ...(seo && seo.updated.length > 0 ? [seo] : [])
+                    ].filter(entry => entry.prompt).flatMap(entry => [entry.prompt.system, entry.prompt.user]))],
+                    content: newFileContent
+                });
+                this.ledger.save();
+            }
+            
+            // Later rewrites in this run are checked against the new text; a rejected article keeps its original paragraphs in the index
+            for (const entry of indexEntries) {
+                this.duplicateIndex.add(entry);
+            }
+            
+            // Keep the plan so the rewrite can be re-applied or reverted later (a dry run applied nothing)
+            const editPlanPath = this.dryRun ? null : plan.save(this.getEditPlanPath(absolutePath));
+            
+            for (const paragraph of paragraphs) {
+                if (validation.facts[paragraph.section]) {
+                    paragraph.facts = validation.facts[paragraph.section];
                 }
-                throw error;
             }
             
             const result = {
@@ -219,17 +852,35 @@ class ContentProcessor {
                 fileName: path.basename(absolutePath),
                 title,
                 platform,
+                locale: language.locale,
                 changes,
+                targets: this.describeTargets(targets),
+                paragraphs,
+                readability: this.summarizeReadability(paragraphs),
+                rejections: this.summarizeRejections(paragraphs),
+                seo,
+                usage: this.llmRewriter.usage.summarize([...paragraphs, seo || {}].filter(entry => entry.usage).map(entry => entry.usage)),
+                warnings: validation.warnings,
+                editPlan: editPlanPath,
                 status: 'success'
             };
             
-            this.processedFiles.push(result);
-            console.log(`  ✅ Completed: ${changes.join(', ')}`);
+            if (this.dryRun) {
+                result.dryRun = true;
+                result.preview = previewPath;
+            }
+            
+            log.log(`  ✅ Completed ${path.basename(absolutePath)}: ${changes.join(', ')}`);
             
             return result;
             
         } catch (error) {
-            console.error(`  ❌ Error processing ${filePath}:`, error.message);
+            if (error instanceof CircuitOpenError || error instanceof BudgetExceededError) {
+                log.log(`  ⏭️  Skipped ${filePath}: ${error.message}`);
+                return this.stoppedResult(absolutePath);
+            }
+            
+            log.error(`  ❌ Error processing ${filePath}:`, error.message);
             
             const result = {
                 filePath: absolutePath,
@@ -238,102 +889,129 @@ class ContentProcessor {
                 status: 'error'
             };
             
-            this.processedFiles.push(result);
             return result;
         }
     }
 
     /**
-     * Process multiple articles
+     * Process multiple articles with a pool of concurrent workers; every LLM call shares the
+     * rewriter's rate limiter, and results are reported in input order
      */
     async processArticles(articlePaths) {
-        console.log(`🚀 Starting to process ${articlePaths.length} articles`);
+        const { concurrency } = this.config.processing;
+        this.log.log(`🚀 Starting to process ${articlePaths.length} articles (${Math.min(concurrency, articlePaths.length)} at a time)`);
         
-        for (let i = 0; i < articlePaths.length; i++) {
-            console.log(`\n📄 Processing article ${i + 1}/${articlePaths.length}`);
-            await this.processArticle(articlePaths[i]);
-            
-            // Add delay between articles
-            if (i < articlePaths.length - 1) {
-                console.log(`  ⏳ Waiting before next article...`);
-                await this.llmRewriter.delay(3000); // 3 second delay between articles
-            }
+        if (this.dryRun) {
+            this.log.log(`🔎 Dry run: diffs will be written to ${this.config.paths.previewDir}`);
+            this.previewWriter.reset();
         }
         
+        if (this.config.duplicates.enabled) {
+            this.duplicateIndex = DuplicateIndex.fromConfig(this.config);
+            this.log.log(`🧬 Indexed ${this.duplicateIndex.entries.size} opening/closing paragraphs of ${this.duplicateIndex.articles.size} articles for duplicate checks`);
+        }
+        
+        // With more than one worker, each article's lines are printed together once it finishes
+        const results = await mapWithConcurrency(articlePaths, concurrency, async (articlePath, i) => {
+            const log = new ArticleLog(concurrency > 1, this.log);
+            log.log(`\n📄 Processing article ${i + 1}/${articlePaths.length}`);
+            try {
+                return await this.processArticle(articlePath, log);
+            } finally {
+                log.flush();
+            }
+        });
+        
+        // processArticle returns null for articles with nothing to rewrite
+        this.processedFiles = results.filter(result => result !== null);
         return this.processedFiles;
     }
 
+    /**
+     * Closing line of a run: "no changes" when no article was rewritten, otherwise how many were
+     * rewritten (or would be, in a dry run)
+     */
+    describeOutcome(report) {
+        const { successful } = report.summary;
+        if (successful === 0) {
+            return `ℹ️  No changes - no article was rewritten${this.dryRun ? ' (dry run)' : ''}`;
+        }
+        return this.dryRun
+            ? `🔎 Dry run complete - ${pluralize(successful, 'article')} would be rewritten, no content files were modified`
+            : `🎉 ${pluralize(successful, 'article')} rewritten successfully!`;
+    }
+
     /**
      * Generate processing report
      */
     generateReport() {
         const successful = this.processedFiles.filter(f => f.status === 'success');
+        const skipped = this.processedFiles.filter(f => f.status === 'skipped');
         const failed = this.processedFiles.filter(f => f.status === 'error');
         
         const report = {
             timestamp: new Date().toISOString(),
+            runId: this.runId,
+            dryRun: this.dryRun,
             summary: {
                 total: this.processedFiles.length,
                 successful: successful.length,
+                skipped: skipped.length,
                 failed: failed.length
             },
+            llmCache: {
+                mode: this.llmRewriter.cache.mode,
+                ...this.llmRewriter.cache.stats
+            },
+            rateLimit: { ...this.llmRewriter.rateLimiter.stats },
+            circuitBreaker: this.llmRewriter.circuitBreaker.toJSON(),
+            usage: this.llmRewriter.usage.toJSON(),
+            readability: {
+                gate: this.config.validation.readabilityGate,
+                margin: this.config.validation.readabilityMargin,
+                ...this.summarizeReadability(this.processedFiles.flatMap(file => file.paragraphs || []))
+            },
+            rejections: this.summarizeRejections(this.processedFiles.flatMap(file => file.paragraphs || [])),
             files: this.processedFiles
         };
         
+        if (this.dryRun) {
+            report.preview = {
+                directory: this.config.paths.previewDir,
+                patch: this.previewWriter.writeCombinedPatch('rewrite.patch', this.processedFiles.map(file => file.filePath))
+            };
+        }
+        
+        // Side-by-side review of every paragraph (the Markdown version is the PR body)
+        report.review = new ReviewReport(report, this.config.paths.repoRoot)
+            .write(this.config.paths.reviewMarkdownFile, this.config.paths.reviewHtmlFile);
+        
         // Write detailed report
-        fs.writeFileSync('processing-report.json', JSON.stringify(report, null, 2));
+        fs.writeFileSync(this.config.paths.reportFile, JSON.stringify(report, null, 2));
+        
+        this.log.log(`\n📊 Processing Summary:`);
+        this.log.log(`  ✅ Successful: ${successful.length}`);
+        this.log.log(`  ⏭️  Skipped: ${skipped.length}`);
+        this.log.log(`  ❌ Failed: ${failed.length}`);
+        this.log.log(`  📄 Total: ${this.processedFiles.length}`);
+        
+        if (this.llmRewriter.circuitBreaker.isOpen) {
+            this.log.log(`  🛑 Stopped early - circuit breaker open: ${this.llmRewriter.circuitBreaker.reason}`);
+        }
+        
+        this.log.log(`  💰 LLM usage: ${formatUsage(report.usage)}`);
+        if (this.llmRewriter.usage.isExhausted) {
+            this.log.log(`  💸 Stopped early - budget exhausted: ${this.llmRewriter.usage.reason}`);
+        }
+        
+        if (report.preview && report.preview.patch) {
+            this.log.log(`  🔎 Combined patch: ${report.preview.patch}`);
+        }
         
-        console.log(`\n📊 Processing Summary:`);
-        console.log(`  ✅ Successful: ${successful.length}`);
-        console.log(`  ❌ Failed: ${failed.length}`);
-        console.log(`  📄 Total: ${this.processedFiles.length}`);
+        this.log.log(`  📝 Review report: ${report.review.markdown}`);
         
         return report;
     }
 }
 
-// Main execution for GitHub Actions
-if (require.main === module) {
-    const apiKey = process.env.LLM_API_KEY;
-    const selectedArticlesJson = process.env.SELECTED_ARTICLES;
-    
-    if (!apiKey) {
-        console.error('❌ LLM_API_KEY environment variable is required');
-        process.exit(1);
-    }
-    
-    if (!selectedArticlesJson) {
-        console.error('❌ SELECTED_ARTICLES environment variable is required');
-        process.exit(1);
-    }
-    
-    let selectedArticles;
-    try {
-        selectedArticles = JSON.parse(selectedArticlesJson);
-    } catch (error) {
-        console.error('❌ Invalid SELECTED_ARTICLES JSON:', error.message);
-        process.exit(1);
-    }
-    
-    const articlePaths = selectedArticles.map(article => article.path);
-    
-    const processor = new ContentProcessor(apiKey);
-    
-    processor.processArticles(articlePaths)
-        .then(() => {
-            const report = processor.generateReport();
-            
-            if (report.summary.failed > 0) {
-                console.error(`❌ ${report.summary.failed} articles failed to process`);
-                process.exit(1);
-            }
-            
-            console.log('🎉 All articles processed successfully!');
-        })
-        .catch(error => {
-            console.error('💥 Fatal error:', error.message);
-            process.exit(1);
-        });
-}
-
 module.exports = ContentProcessor;
\ No newline at end of file
@@ -2,52 +2,51 @@
 
 const fs = require('fs');
 const path = require('path');
+const FrontMatter = require('./front-matter.js');
+const { FrontMatterSchema } = require('./front-matter-schema.js');
+const { similarity, keyTermCoverage } = require('./text-similarity.js');
+const { loadConfig } = require('./config.js');
 
 /**
  * Content Validator - Ensures rewritten content maintains quality and integrity
  */
 
+/**
+ * Technical fact patterns; identifier kinds must never be invented by a rewrite
+ */
+const FACT_PATTERNS = [
+    { kind: 'code', pattern: /`+[^`]+`+/g, identifier: true },
+    { kind: 'namespace', pattern: /\b[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)+(?:\(\))?/g, identifier: true },
+    { kind: 'identifier', pattern: /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)+\b|\b[a-z]+(?:[A-Z][a-z0-9]*)+\b/g, identifier: true },
+    { kind: 'language', pattern: /(?:\b[A-Z]#|\b[A-Za-z]\+\+|(?:^|[\s(])\.NET\b)/g, identifier: true },
+    { kind: 'extension', pattern: /(?:^|[\s(])\.[a-z0-9]{2,5}\b/g, identifier: false },
+    { kind: 'version', pattern: /\b\d+(?:\.\d+)*\b/g, identifier: false }
+];
+
 class ContentValidator {
-    constructor() {
+    constructor(validationConfig = loadConfig().validation, frontMatterSchema = FrontMatterSchema.fromConfig(loadConfig())) {
+        this.config = validationConfig;
+        this.frontMatterSchema = frontMatterSchema;
         this.errors = [];
         this.warnings = [];
     }
 
     /**
-     * Validate front matter integrity
+     * Validate front matter against the schema; filePath selects section overrides
      */
-    validateFrontMatter(content) {
-        const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---\n/);
-        
-        if (!frontMatterMatch) {
-            this.errors.push('Missing or malformed front matter');
+    validateFrontMatter(content, filePath = null) {
+        let fields;
+        try {
+            fields = FrontMatter.parse(content);
+        } catch (error) {
+            this.errors.push(`Missing or malformed front matter: ${error.message}`);
             return false;
         }
 
-        const frontMatter = frontMatterMatch[1];
-        
-        // Required fields
-        const requiredFields = ['title', 'productname', 'productkey', 'platformkey', 'date', 'lastmod', 'type'];
-        
-        for (const field of requiredFields) {
-            if (!frontMatter.includes(`${field}:`)) {
-                this.errors.push(`Missing required field: ${field}`);
-            }
-        }
+        const errors = this.frontMatterSchema.validate(fields, filePath);
+        this.errors.push(...errors);
 
-        // Validate date formats (YYYY-MM-DD)
-        const dateFields = ['date', 'lastmod'];
-        for (const field of dateFields) {
-            const match = frontMatter.match(new RegExp(`${field}:\\s*(\\d{4}-\\d{2}-\\d{2})`));
-            if (match) {
-                const dateStr = match[1];
-                if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                    this.errors.push(`Invalid date format for ${field}: ${dateStr} (should be YYYY-MM-DD)`);
-                }
-            }
-        }
-
-        return this.errors.length === 0;
+        return errors.length === 0;
     }
 
     /**
@@ -159,9 +158,9 @@ class ContentValidator {
         const newLength = newContent.length;
         const ratio = newLength / originalLength;
 
-        if (ratio < 0.5) {
+        if (ratio < this.config.minLengthRatio) {
             this.warnings.push(`Content significantly shortened: ${Math.round((1 - ratio) * 100)}% reduction`);
-        } else if (ratio > 2.0) {
+        } else if (ratio > this.config.maxLengthRatio) {
             this.warnings.push(`Content significantly lengthened: ${Math.round((ratio - 1) * 100)}% increase`);
         }
 
@@ -169,33 +168,171 @@ class ContentValidator {
     }
 
     /**
-     * Validate a single file
+     * Extract technical facts (code, identifiers, namespaces, extensions, versions, product name) from text
+     */
+    static extractTechnicalFacts(text, productName = null) {
+        // Code spans are matched first and blanked so their contents are not re-matched as other kinds
+        let remaining = text;
+        const facts = [];
+
+        for (const { kind, pattern, identifier } of FACT_PATTERNS) {
+            for (const match of remaining.match(pattern) || []) {
+                const value = match.trim().replace(/^\(/, '');
+                // Abbreviations such as "e.g" are not namespaces
+                if (kind === 'namespace' && value.split('.').every(segment => segment.length <= 1)) {
+                    continue;
+                }
+                if (!facts.some(fact => fact.value === value)) {
+                    facts.push({ kind, value, identifier });
+                }
+            }
+            if (kind === 'code') {
+                remaining = remaining.replace(pattern, ' ');
+            }
+        }
+
+        if (productName && text.includes(productName)) {
+            facts.push({ kind: 'product', value: productName, identifier: false });
+        }
+
+        return facts;
+    }
+
+    /**
+     * Whether text contains a fact; versions must match as whole numbers ("6" is not found in "2026")
+     */
+    static containsFact(text, fact) {
+        if (fact.kind === 'version') {
+            const escaped = fact.value.replace(/\./g, '\\.');
+            return new RegExp(`(?<![\\d.])${escaped}(?!\\d|\\.\\d)`).test(text);
+        }
+        return text.includes(fact.value);
+    }
+
+    /**
+     * Technical facts of the original missing from a rewritten paragraph, and identifiers it invents
+     *
+     * context.allowedText (title, product name) may legitimately introduce identifiers.
+     * Returns { missing, invented }
+     */
+    static compareTechnicalFacts(originalText, rewrittenText, context = {}) {
+        const originalFacts = ContentValidator.extractTechnicalFacts(originalText, context.productName);
+        const rewrittenFacts = ContentValidator.extractTechnicalFacts(rewrittenText, context.productName);
+        const allowedText = [originalText, context.allowedText || ''].join('\n');
+
+        const missing = originalFacts
+            .filter(fact => !ContentValidator.containsFact(rewrittenText, fact))
+            .map(fact => fact.value);
+        const invented = rewrittenFacts
+            .filter(fact => fact.identifier && !allowedText.includes(fact.value))
+            .map(fact => fact.value);
+
+        return { missing, invented };
+    }
+
+    /**
+     * Validate that a rewritten paragraph keeps every technical fact and invents no identifiers
+     */
+    validateTechnicalFacts(section, originalText, rewrittenText, context = {}) {
+        const { missing, invented } = ContentValidator.compareTechnicalFacts(originalText, rewrittenText, context);
+
+        for (const value of missing) {
+            this.errors.push(`${section}: missing technical fact "${value}"`);
+        }
+        for (const value of invented) {
+            this.errors.push(`${section}: invented identifier "${value}"`);
+        }
+
+        return { missing, invented };
+    }
+
+    /**
+     * Compare a rewritten paragraph with its original: word-pair similarity at or above
+     * validation.maxSimilarity is a no-op; key-term coverage below validation.minKeyTermCoverage
+     * or word-pair similarity below validation.minSimilarity is drift
+     *
+     * Returns { similarity, keyTermCoverage, noop, drift, reason }
      */
-    validateFile(filePath, originalContent = null) {
+    compareSimilarity(originalText, rewrittenText) {
+        const { maxSimilarity, minSimilarity, minKeyTermCoverage } = this.config;
+        const score = similarity(originalText, rewrittenText);
+        const coverage = keyTermCoverage(originalText, rewrittenText);
+        const noop = score >= maxSimilarity;
+        const lostKeyTerms = coverage < minKeyTermCoverage;
+        const drift = lostKeyTerms || score < minSimilarity;
+
+        let reason = null;
+        if (noop) {
+            reason = `no-op: similarity to the original is ${score} (at or above ${maxSimilarity})`;
+        } else if (lostKeyTerms) {
+            reason = `drift: only ${Math.round(coverage * 100)}% of the original's key terms kept (minimum ${Math.round(minKeyTermCoverage * 100)}%)`;
+        } else if (drift) {
+            reason = `drift: similarity to the original is ${score} (below ${minSimilarity})`;
+        }
+
+        return { similarity: score, keyTermCoverage: coverage, noop, drift, reason };
+    }
+
+    /**
+     * Validate that a rewritten paragraph is neither a no-op nor drifted from its original
+     */
+    validateSimilarity(section, originalText, rewrittenText) {
+        const result = this.compareSimilarity(originalText, rewrittenText);
+        if (this.config.similarityCheck && result.reason) {
+            this.errors.push(`${section}: ${result.reason}`);
+        }
+        return result;
+    }
+
+    /**
+     * Validate in-memory content, optionally against the original
+     *
+     * context.paragraphs ([{ section, original, rewritten }]) enables per-paragraph fact and similarity checks;
+     * context.filePath applies the front matter schema overrides for the file's section
+     */
+    validateContent(content, originalContent = null, context = {}) {
         this.errors = [];
         this.warnings = [];
 
-        try {
-            const content = fs.readFileSync(filePath, 'utf8');
+        // Basic validations
+        this.validateFrontMatter(content, context.filePath || null);
+        this.validateMarkdownStructure(content);
 
-            // Basic validations
-            this.validateFrontMatter(content);
-            this.validateMarkdownStructure(content);
+        // If we have original content, do comparison validations
+        if (originalContent) {
+            this.validateGistPreservation(originalContent, content);
+            this.validateHeadingsPreservation(originalContent, content);
+            this.validateLinksPreservation(originalContent, content);
+            this.validateContentLength(originalContent, content);
+        }
 
-            // If we have original content, do comparison validations
-            if (originalContent) {
-                this.validateGistPreservation(originalContent, content);
-                this.validateHeadingsPreservation(originalContent, content);
-                this.validateLinksPreservation(originalContent, content);
-                this.validateContentLength(originalContent, content);
-            }
+        const facts = {};
+        const similarities = {};
+        for (const paragraph of context.paragraphs || []) {
+            facts[paragraph.section] = this.validateTechnicalFacts(
+                paragraph.section, paragraph.original, paragraph.rewritten, context
+            );
+            similarities[paragraph.section] = this.validateSimilarity(
+                paragraph.section, paragraph.original, paragraph.rewritten
+            );
+        }
 
-            return {
-                valid: this.errors.length === 0,
-                errors: [...this.errors],
-                warnings: [...this.warnings]
-            };
+        return {
+            valid: this.errors.length === 0,
+            errors: [...this.errors],
+            warnings: [...this.warnings],
+            facts,
+            similarity: similarities
+        };
+    }
 
+    /**
+     * Validate a single file
+     */
+    validateFile(filePath, originalContent = null, context = {}) {
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            return this.validateContent(content, originalContent, { filePath, ...context });
         } catch (error) {
             return {
                 valid: false,
@@ -205,6 +342,27 @@ class ContentValidator {
         }
     }
 
+    /**
+     * Markdown articles under a file or directory (section _index pages are skipped)
+     */
+    static findArticles(target) {
+        const stat = fs.statSync(target);
+        if (stat.isFile()) {
+            return [target];
+        }
+
+        const files = [];
+        for (const entry of fs.readdirSync(target, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = path.join(target, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...ContentValidator.findArticles(entryPath));
+            } else if (entry.name.endsWith('.md') && !entry.name.startsWith('_index')) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
     /**
      * Create backup of original content
      */
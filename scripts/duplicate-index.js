@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const articleParser = require('./article-parser.js');
+const { getWords } = require('./text-similarity.js');
+const { discoverLocales, discoverPlatforms } = require('./locales.js');
+const { loadConfigOrExit } = require('./config.js');
+
+/**
+ * Near-Duplicate Detection
+ * MinHash index over the opening and closing paragraphs of every article, so a rewrite that reads
+ * almost like another article's paragraph can be rejected and existing clusters of near-identical
+ * boilerplate can be reported
+ *
+ * Paragraphs are compared as sets of word shingles (runs of `shingleSize` words). The share of equal
+ * MinHash values in two signatures estimates the Jaccard similarity of the sets; signatures are cut
+ * into bands and only paragraphs sharing a band are compared (locality-sensitive hashing).
+ * Paragraphs are only compared within the same locale
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer: scrambles a 32-bit value
+ */
+function mix(value) {
+    let hash = value >>> 0;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * Hashed word shingles of a word list; fewer words than a shingle make a single shingle
+ */
+function getShingles(words, size) {
+    const shingles = new Set();
+    for (let i = 0; i + size <= Math.max(words.length, size); i++) {
+        shingles.add(hashString(words.slice(i, i + size).join(' ')));
+    }
+    return shingles;
+}
+
+class DuplicateIndex {
+    constructor({ threshold, shingleSize, numHashes, bands, minWords }) {
+        this.threshold = threshold;
+        this.shingleSize = shingleSize;
+        this.numHashes = numHashes;
+        this.bands = bands;
+        this.rows = numHashes / bands;
+        this.minWords = minWords;
+        // One fixed seed per hash function keeps signatures comparable across runs
+        this.seeds = Array.from({ length: numHashes }, (_, i) => mix(Math.imul(i + 1, 0x9e3779b9)));
+        this.entries = new Map();
+        this.entryIds = new Map();
+        this.buckets = new Map();
+        this.articles = new Set();
+        this.nextId = 0;
+    }
+
+    /**
+     * Index of the opening and closing paragraphs of every article below each locale's platform
+     * directories (configured by paths.contentBase, selection.locales/platforms and duplicates)
+     */
+    static fromConfig(config) {
+        const index = new DuplicateIndex(config.duplicates);
+        const { contentBase, repoRoot } = config.paths;
+
+        for (const { locale, base } of discoverLocales(contentBase, config.selection.locales)) {
+            for (const platform of discoverPlatforms(base, config.selection.platforms)) {
+                const dirPath = path.join(base, platform);
+                const files = fs.readdirSync(dirPath)
+                    .filter(file => file.endsWith('.md') && !file.startsWith('_index'))
+                    .sort();
+                for (const file of files) {
+                    const filePath = path.join(dirPath, file);
+                    const article = path.relative(repoRoot, filePath).split(path.sep).join('/');
+                    index.addArticle(article, locale, fs.readFileSync(filePath, 'utf8'));
+                }
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Index an article's opening and closing paragraphs; articles without front matter are skipped
+     */
+    addArticle(article, locale, content) {
+        let body;
+        try {
+            body = articleParser.parseFrontMatter(content).content;
+        } catch (error) {
+            return;
+        }
+
+        const { opening, closing } = articleParser.extractSections(body);
+        if (opening) {
+            this.add({ article, locale, section: 'opening', text: opening.raw.trim() });
+        }
+        closing.forEach((node, i) => {
+            this.add({ article, locale, section: `closing:${i + 1}`, text: node.raw.trim() });
+        });
+        this.articles.add(article);
+    }
+
+    /**
+     * MinHash signature of a paragraph, or null when it has fewer than duplicates.minWords words
+     */
+    getSignature(text) {
+        const words = getWords(text);
+        if (words.length < this.minWords) {
+            return null;
+        }
+
+        const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+        for (const shingle of getShingles(words, this.shingleSize)) {
+            for (let i = 0; i < this.numHashes; i++) {
+                const value = mix(shingle ^ this.seeds[i]);
+                if (value < signature[i]) {
+                    signature[i] = value;
+                }
+            }
+        }
+        return signature;
+    }
+
+    /**
+     * Bucket keys of a signature, one per band
+     */
+    getBandKeys(locale, signature) {
+        const keys = [];
+        for (let band = 0; band < this.bands; band++) {
+            const rows = signature.subarray(band * this.rows, (band + 1) * this.rows);
+            keys.push(`${locale}:${band}:${rows.join(',')}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Estimated Jaccard similarity of two signatures
+     */
+    static estimateSimilarity(a, b) {
+        let equal = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) {
+                equal++;
+            }
+        }
+        return Math.round(equal / a.length * 1000) / 1000;
+    }
+
+    /**
+     * Add a paragraph, replacing the paragraph already indexed for the same article and section
+     */
+    add({ article, locale, section, text }) {
+        this.remove(article, section);
+        const signature = this.getSignature(text);
+        if (!signature) {
+            return;
+        }
+
+        const id = this.nextId++;
+        this.entries.set(id, { id, article, locale, section, signature });
+        this.entryIds.set(`${article}#${section}`, id);
+        for (const key of this.getBandKeys(locale, signature)) {
+            if (!this.buckets.has(key)) {
+                this.buckets.set(key, []);
+            }
+            this.buckets.get(key).push(id);
+        }
+    }
+
+    /**
+     * Remove the indexed paragraph of an article's section (bucket references are skipped once removed)
+     */
+    remove(article, section) {
+        const key = `${article}#${section}`;
+        if (this.entryIds.has(key)) {
+            this.entries.delete(this.entryIds.get(key));
+            this.entryIds.delete(key);
+        }
+    }
+
+    /**
+     * Indexed entries sharing at least one band with a signature
+     */
+    getCandidates(locale, signature) {
+        const ids = new Set();
+        for (const key of this.getBandKeys(locale, signature)) {
+            for (const id of this.buckets.get(key) || []) {
+                ids.add(id);
+            }
+        }
+        return [...ids].map(id => this.entries.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Paragraphs of other articles in the same locale at or above the threshold, most similar first
+     *
+     * Returns [{ article, section, similarity }]
+     */
+    findMatches(text, { locale, article }) {
+        const signature = this.getSignature(text);
+        if (!signature) {
+            return [];
+        }
+
+        return this.getCandidates(locale, signature)
+            .filter(entry => entry.article !== article)
+            .map(entry => ({
+                article: entry.article,
+                section: entry.section,
+                similarity: DuplicateIndex.estimateSimilarity(signature, entry.signature)
+            }))
+            .filter(match => match.similarity >= this.threshold)
+            .sort((a, b) => b.similarity - a.similarity || a.article.localeCompare(b.article));
+    }
+
+    /**
+     * Near-duplicates a rewrite introduces: matches of the rewritten text that it resembles more
+     * than the original paragraph did, so boilerplate that was already shared does not block every
+     * rewrite of it
+     *
+     * Returns [{ article, section, similarity, originalSimilarity }]
+     */
+    findNewMatches(originalText, rewrittenText, { locale, article }) {
+        const originalSignature = this.getSignature(originalText);
+        return this.findMatches(rewrittenText, { locale, article })
+            .map(match => {
+                const entry = this.entries.get(this.entryIds.get(`${match.article}#${match.section}`));
+                const originalSimilarity = originalSignature ? DuplicateIndex.estimateSimilarity(originalSignature, entry.signature) : 0;
+                return { ...match, originalSimilarity };
+            })
+            .filter(match => match.similarity > match.originalSimilarity);
+    }
+
+    /**
+     * Groups of paragraphs from different articles linked by near-duplicate pairs, largest first
+     *
+     * Returns [{ locale, maxSimilarity, paragraphs: [{ article, section }] }]
+     */
+    findClusters() {
+        const parent = new Map();
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const maxSimilarity = new Map();
+
+        for (const entry of this.entries.values()) {
+            parent.set(entry.id, entry.id);
+        }
+        for (const entry of this.entries.values()) {
+            for (const other of this.getCandidates(entry.locale, entry.signature)) {
+                if (other.id <= entry.id || other.article === entry.article) {
+                    continue;
+                }
+                const similarity = DuplicateIndex.estimateSimilarity(entry.signature, other.signature);
+                if (similarity < this.threshold) {
+                    continue;
+                }
+                const [root, otherRoot] = [find(entry.id), find(other.id)];
+                const best = Math.max(similarity, maxSimilarity.get(root) || 0, maxSimilarity.get(otherRoot) || 0);
+                parent.set(otherRoot, root);
+                maxSimilarity.set(root, best);
+            }
+        }
+
+        const clusters = new Map();
+        for (const entry of this.entries.values()) {
+            const root = find(entry.id);
+            if (!maxSimilarity.has(root)) {
+                continue;
+            }
+            if (!clusters.has(root)) {
+                clusters.set(root, { locale: entry.locale, maxSimilarity: maxSimilarity.get(root), paragraphs: [] });
+            }
+            clusters.get(root).paragraphs.push({ article: entry.article, section: entry.section });
+        }
+
+        return [...clusters.values()]
+            .sort((a, b) => b.paragraphs.length - a.paragraphs.length || b.maxSimilarity - a.maxSimilarity);
+    }
+}
+
+// Main execution - report near-duplicate clusters across the content tree
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const config = loadConfigOrExit(argv);
+    const index = DuplicateIndex.fromConfig(config);
+    const clusters = index.findClusters();
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify({
+            articles: index.articles.size,
+            paragraphs: index.entries.size,
+            threshold: index.threshold,
+            clusters
+        }, null, 2));
+    } else {
+        console.log(`🧬 Indexed ${index.entries.size} opening/closing paragraphs of ${index.articles.size} articles`);
+        console.log(`🔁 ${clusters.length} near-duplicate clusters (threshold ${index.threshold})`);
+        for (const cluster of clusters) {
+            console.log(`\n  ${cluster.locale} - ${cluster.paragraphs.length} paragraphs, up to ${Math.round(cluster.maxSimilarity * 100)}% similar:`);
+            for (const paragraph of cluster.paragraphs) {
+                console.log(`    - ${paragraph.article} (${paragraph.section})`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    DuplicateIndex
+};
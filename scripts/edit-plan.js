@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Edit Plan
+ * An explicit list of source spans { start, end, original, replacement } for one file.
+ * Plans are applied in a single pass with overlap and staleness checks, saved as JSON,
+ * and can be re-applied or reverted against the file later
+ *
+ * Offsets are where an edit is expected; when the text there no longer matches (the file changed
+ * elsewhere since the plan was made), the edit is anchored on its original text instead
+ */
+
+const PLAN_VERSION = 1;
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+class EditPlanError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EditPlanError';
+    }
+}
+
+class EditPlan {
+    constructor({ file, runId = null, edits = [], originalHash = null, resultHash = null, createdAt = new Date().toISOString() }) {
+        this.file = file;
+        this.runId = runId;
+        this.edits = edits.map(edit => ({ ...edit }));
+        this.originalHash = originalHash;
+        this.resultHash = resultHash;
+        this.createdAt = createdAt;
+    }
+
+    /**
+     * Add an edit replacing content[start, end) - original must be the exact text of that span
+     */
+    addEdit({ start, end, original, replacement, section = null }) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+            throw new EditPlanError(`Invalid span [${start}, ${end})${section ? ` for ${section}` : ''}`);
+        }
+        if (original.length !== end - start) {
+            throw new EditPlanError(`Span length does not match original text${section ? ` for ${section}` : ''}`);
+        }
+        this.edits.push({ section, start, end, original, replacement });
+        return this;
+    }
+
+    /**
+     * Edits sorted by position; throws EditPlanError on overlapping spans
+     */
+    getSortedEdits() {
+        return EditPlan.sortEdits(this.edits);
+    }
+
+    /**
+     * Sort edits by position; throws EditPlanError on overlapping spans
+     */
+    static sortEdits(edits) {
+        const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].start < sorted[i - 1].end) {
+                throw new EditPlanError(
+                    `Overlapping edits: ${sorted[i - 1].section || `[${sorted[i - 1].start}, ${sorted[i - 1].end})`} ` +
+                    `and ${sorted[i].section || `[${sorted[i].start}, ${sorted[i].end})`}`
+                );
+            }
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Span of an edit in content: its planned span when that still holds the original text,
+     * otherwise the occurrence of the original text closest to it. Insertions (empty original)
+     * stay at their planned offset. Throws EditPlanError when the original text is gone
+     */
+    static locate(content, edit) {
+        if (content.slice(edit.start, edit.end) === edit.original || (edit.original === '' && edit.start <= content.length)) {
+            return { start: edit.start, end: edit.end };
+        }
+
+        let best = -1;
+        for (let index = edit.original ? content.indexOf(edit.original) : -1; index !== -1; index = content.indexOf(edit.original, index + 1)) {
+            if (best === -1 || Math.abs(index - edit.start) < Math.abs(best - edit.start)) {
+                best = index;
+            }
+        }
+        if (best === -1) {
+            throw new EditPlanError(`Stale edit plan: ${edit.section || `span [${edit.start}, ${edit.end})`} no longer matches the file`);
+        }
+        return { start: best, end: best + edit.original.length };
+    }
+
+    /**
+     * Apply every edit in one pass; throws EditPlanError if an edit's original text is gone or
+     * relocated edits overlap
+     */
+    apply(content) {
+        const located = EditPlan.sortEdits(this.getSortedEdits().map(edit => ({ ...edit, ...EditPlan.locate(content, edit) })));
+        const parts = [];
+        let cursor = 0;
+
+        for (const edit of located) {
+            parts.push(content.slice(cursor, edit.start), edit.replacement);
+            cursor = edit.end;
+        }
+        parts.push(content.slice(cursor));
+
+        const result = parts.join('');
+        if (this.originalHash === null) {
+            this.originalHash = hashContent(content);
+        }
+        this.resultHash = hashContent(result);
+        return result;
+    }
+
+    /**
+     * Plan that undoes this one, with spans positioned in the applied content
+     */
+    inverse() {
+        const inverseEdits = [];
+        let delta = 0;
+
+        for (const edit of this.getSortedEdits()) {
+            const start = edit.start + delta;
+            inverseEdits.push({
+                section: edit.section,
+                start,
+                end: start + edit.replacement.length,
+                original: edit.replacement,
+                replacement: edit.original
+            });
+            delta += edit.replacement.length - (edit.end - edit.start);
+        }
+
+        return new EditPlan({
+            file: this.file,
+            runId: this.runId,
+            edits: inverseEdits,
+            originalHash: this.resultHash,
+            resultHash: this.originalHash
+        });
+    }
+
+    /**
+     * Revert the plan's edits in content that the plan was applied to
+     */
+    revert(content) {
+        return this.inverse().apply(content);
+    }
+
+    toJSON() {
+        return {
+            version: PLAN_VERSION,
+            file: this.file,
+            runId: this.runId,
+            createdAt: this.createdAt,
+            originalHash: this.originalHash,
+            resultHash: this.resultHash,
+            edits: this.getSortedEdits()
+        };
+    }
+
+    save(planPath) {
+        fs.mkdirSync(path.dirname(planPath), { recursive: true });
+        fs.writeFileSync(planPath, JSON.stringify(this, null, 2) + '\n');
+        return planPath;
+    }
+
+    static load(planPath) {
+        const data = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+        if (data.version !== PLAN_VERSION || !Array.isArray(data.edits)) {
+            throw new EditPlanError(`Unsupported edit plan format in ${planPath}`);
+        }
+        return new EditPlan(data);
+    }
+}
+
+// Main execution - apply or revert a saved plan against its file
+if (require.main === module) {
+    const [command, planPath, repoRoot = path.resolve(__dirname, '../..')] = process.argv.slice(2);
+
+    if (!['apply', 'revert'].includes(command) || !planPath) {
+        console.error('Usage: node edit-plan.js <apply|revert> <plan.json> [repo-root]');
+        process.exit(1);
+    }
+
+    try {
+        const plan = EditPlan.load(planPath);
+        const filePath = path.resolve(repoRoot, plan.file);
+        const content = fs.readFileSync(filePath, 'utf8');
+        const updated = command === 'apply' ? plan.apply(content) : plan.revert(content);
+
+        fs.writeFileSync(filePath, updated);
+        console.log(`✅ ${command === 'apply' ? 'Applied' : 'Reverted'} ${plan.edits.length} edits in ${plan.file}`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    EditPlan,
+    EditPlanError
+};
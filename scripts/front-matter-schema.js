@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { resolveContentLocation } = require('./locales.js');
+
+/**
+ * Front Matter Schema
+ * Declarative rules for article front matter: required/optional fields, types, enums, patterns,
+ * date formats and date ordering. Overrides adjust the rules for a content section (the first
+ * directory below the content base), a locale, or any front matter value such as `type`
+ */
+
+const SCHEMA_VERSION = 1;
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'string[]'];
+const DATE_FORMATS = {
+    date: { pattern: /^\d{4}-\d{2}-\d{2}$/, label: 'YYYY-MM-DD' },
+    datetime: { pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i, label: 'YYYY-MM-DDTHH:MM:SS' }
+};
+const SPEC_KEYS = ['type', 'required', 'enum', 'pattern', 'minLength', 'maxLength', 'format'];
+
+/**
+ * Error raised when a schema file cannot be loaded or is not a valid schema
+ */
+class FrontMatterSchemaError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'FrontMatterSchemaError';
+        this.problems = problems;
+    }
+}
+
+function describeValue(value) {
+    if (value instanceof Date) return 'date';
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Check a field spec, returning problem descriptions
+ */
+function checkSpec(name, spec) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        return [`${name} must be an object`];
+    }
+
+    const problems = [];
+    for (const key of Object.keys(spec)) {
+        if (!SPEC_KEYS.includes(key)) problems.push(`${name}: unknown rule "${key}"`);
+    }
+    if (spec.type !== undefined && !FIELD_TYPES.includes(spec.type)) {
+        problems.push(`${name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+        problems.push(`${name}: required must be a boolean`);
+    }
+    if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+        problems.push(`${name}: enum must be a non-empty array`);
+    }
+    if (spec.pattern !== undefined) {
+        try {
+            new RegExp(spec.pattern);
+        } catch (error) {
+            problems.push(`${name}: invalid pattern (${error.message})`);
+        }
+    }
+    for (const key of ['minLength', 'maxLength']) {
+        if (spec[key] !== undefined && (!Number.isInteger(spec[key]) || spec[key] < 0)) {
+            problems.push(`${name}: ${key} must be a non-negative integer`);
+        }
+    }
+    if (spec.format !== undefined && !DATE_FORMATS[spec.format]) {
+        problems.push(`${name}: format must be one of ${Object.keys(DATE_FORMATS).join(', ')}`);
+    }
+    return problems;
+}
+
+class FrontMatterSchema {
+    constructor(definition, { contentBase = null, locales = [] } = {}) {
+        const problems = FrontMatterSchema.check(definition);
+        if (problems.length > 0) {
+            throw new FrontMatterSchemaError('Invalid front matter schema', problems);
+        }
+
+        this.fields = definition.fields;
+        this.additionalFields = definition.additionalFields !== false;
+        this.dateOrder = definition.dateOrder || [];
+        this.overrides = definition.overrides || [];
+        this.contentBase = contentBase ? path.resolve(contentBase) : null;
+        this.locales = locales;
+    }
+
+    /**
+     * Problems with a schema definition (empty when valid)
+     */
+    static check(definition) {
+        if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['schema must be a JSON object'];
+        }
+
+        const problems = [];
+        if (definition.version !== SCHEMA_VERSION) {
+            problems.push(`version must be ${SCHEMA_VERSION}`);
+        }
+        if (definition.fields === null || typeof definition.fields !== 'object' || Array.isArray(definition.fields)) {
+            return [...problems, 'fields must be an object'];
+        }
+
+        for (const [field, spec] of Object.entries(definition.fields)) {
+            problems.push(...checkSpec(`fields.${field}`, spec));
+            if (spec && !spec.type) problems.push(`fields.${field}: type is required`);
+        }
+
+        for (const [index, pair] of (definition.dateOrder || []).entries()) {
+            if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(field => typeof field === 'string')) {
+                problems.push(`dateOrder[${index}] must be a pair of field names`);
+            }
+        }
+
+        for (const [index, override] of (definition.overrides || []).entries()) {
+            const name = `overrides[${index}]`;
+            if (!override || typeof override.match !== 'object' || Object.keys(override.match || {}).length === 0) {
+                problems.push(`${name}.match must be a non-empty object`);
+            }
+            for (const [field, spec] of Object.entries((override && override.fields) || {})) {
+                problems.push(...checkSpec(`${name}.fields.${field}`, spec));
+                if (!definition.fields[field] && !(spec && spec.type)) {
+                    problems.push(`${name}.fields.${field}: type is required for fields not in the base schema`);
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Load a schema from a JSON file
+     */
+    static load(schemaPath, options = {}) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        } catch (error) {
+            throw new FrontMatterSchemaError(`Could not read front matter schema ${schemaPath}: ${error.message}`);
+        }
+
+        const problems = FrontMatterSchema.check(definition);
+        if (problems.length > 0) {
+            throw new FrontMatterSchemaError(`Invalid front matter schema ${schemaPath}`, problems);
+        }
+        return new FrontMatterSchema(definition, options);
+    }
+
+    /**
+     * Schema configured by paths.frontMatterSchemaFile
+     */
+    static fromConfig(config) {
+        return FrontMatterSchema.load(config.paths.frontMatterSchemaFile, {
+            contentBase: config.paths.contentBase,
+            locales: config.selection.locales
+        });
+    }
+
+    /**
+     * Locale and content section (the first directory below the locale's content base) of a file;
+     * both are null outside the content base
+     */
+    getLocation(filePath) {
+        const location = filePath && this.contentBase
+            ? resolveContentLocation(filePath, this.contentBase, this.locales)
+            : null;
+        return location ? { locale: location.locale, section: location.section } : { locale: null, section: null };
+    }
+
+    /**
+     * Content section of a file, or null
+     */
+    getSection(filePath) {
+        return this.getLocation(filePath).section;
+    }
+
+    /**
+     * Field specs that apply to a file, with matching overrides merged over the base schema
+     */
+    resolveFields(fields, filePath = null) {
+        const location = this.getLocation(filePath);
+        const resolved = {};
+        for (const [field, spec] of Object.entries(this.fields)) {
+            resolved[field] = { ...spec };
+        }
+
+        for (const override of this.overrides) {
+            const matches = Object.entries(override.match).every(([key, expected]) => {
+                const actual = key === 'section' || key === 'locale' ? location[key] : fields.getString(key);
+                return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+            });
+            if (!matches) continue;
+
+            for (const [field, spec] of Object.entries(override.fields || {})) {
+                resolved[field] = { ...resolved[field], ...spec };
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check one field value against its spec, returning problem descriptions
+     */
+    checkField(fields, field, spec) {
+        const value = fields.get(field);
+        const problems = [];
+
+        switch (spec.type) {
+            case 'string':
+                if (typeof value !== 'string') return [`${field}: expected a string, got ${describeValue(value)}`];
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return [`${field}: expected a number, got ${describeValue(value)}`];
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) return [`${field}: expected an integer, got ${JSON.stringify(value)}`];
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return [`${field}: expected true or false, got ${describeValue(value)}`];
+                break;
+            case 'string[]':
+                if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                    return [`${field}: expected a list of strings, got ${describeValue(value)}`];
+                }
+                break;
+            case 'date': {
+                const raw = fields.getRawValue(field);
+                if (!fields.getDate(field)) {
+                    return [`${field}: "${raw}" is not a valid date`];
+                }
+                if (spec.format && raw !== null && !DATE_FORMATS[spec.format].pattern.test(raw)) {
+                    problems.push(`${field}: "${raw}" does not match the ${DATE_FORMATS[spec.format].label} format`);
+                }
+                break;
+            }
+        }
+
+        const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+        if (spec.minLength !== undefined && length !== null && length < spec.minLength) {
+            problems.push(`${field}: length ${length} is below the minimum of ${spec.minLength}`);
+        }
+        if (spec.maxLength !== undefined && length !== null && length > spec.maxLength) {
+            problems.push(`${field}: length ${length} exceeds the maximum of ${spec.maxLength}`);
+        }
+
+        const values = Array.isArray(value) ? value : [value];
+        if (spec.enum) {
+            for (const item of values.filter(item => !spec.enum.includes(item))) {
+                problems.push(`${field}: "${item}" is not one of ${spec.enum.join(', ')}`);
+            }
+        }
+        if (spec.pattern) {
+            const pattern = new RegExp(spec.pattern);
+            for (const item of values.filter(item => typeof item === 'string' && !pattern.test(item))) {
+                problems.push(`${field}: "${item}" does not match ${spec.pattern}`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Validate parsed front matter (a FrontMatter instance); returns error descriptions
+     */
+    validate(fields, filePath = null) {
+        const specs = this.resolveFields(fields, filePath);
+        const errors = [];
+
+        for (const [field, spec] of Object.entries(specs)) {
+            if (!fields.has(field)) {
+                if (spec.required) errors.push(`Missing required field: ${field}`);
+                continue;
+            }
+            errors.push(...this.checkField(fields, field, spec));
+        }
+
+        if (!this.additionalFields) {
+            for (const field of Object.keys(fields.data).filter(field => !specs[field])) {
+                errors.push(`Unknown field: ${field}`);
+            }
+        }
+
+        for (const [earlierField, laterField] of this.dateOrder) {
+            const earlier = fields.getDate(earlierField);
+            const later = fields.getDate(laterField);
+            if (earlier && later && later < earlier) {
+                errors.push(`${laterField} (${fields.getRawValue(laterField)}) is earlier than ${earlierField} (${fields.getRawValue(earlierField)})`);
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = {
+    FrontMatterSchema,
+    FrontMatterSchemaError
+};
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+const yaml = require('js-yaml');
+const toml = require('smol-toml');
+
+/**
+ * Front Matter
+ * Parses YAML (---) and TOML (+++) front matter into typed fields and updates single fields
+ * in place, so key order, quoting style, comments, line endings and the trailing newline are
+ * preserved byte-for-byte
+ */
+
+const FRONT_MATTER_PATTERN = /^(---|\+\+\+)[ \t]*(\r\n|\n|\r)([\s\S]*?)(?:\r\n|\n|\r)\1[ \t]*(?:\r\n|\n|\r|$)/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// A TOML table header ([params], [[menu.main]]); keys after it belong to that table
+const TOML_TABLE_HEADER = /^[ \t]*\[\[?[^\]\r\n]+\]\]?[ \t]*(?:#[^\r\n]*)?$/m;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Format a date in the same shape as an existing value (date only, or timestamp with Z / offset / no zone);
+ * a timestamp with an offset keeps that offset as written and shows the local time at it
+ */
+function formatDateLike(existing, date) {
+    const offset = existing ? existing.match(/\s*([+-])(\d{2}):?(\d{2})$/) : null;
+    const local = offset && !DATE_ONLY.test(existing)
+        ? new Date(date.getTime() + (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3])) * 60000)
+        : date;
+
+    const day = `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+    if (!existing || DATE_ONLY.test(existing)) {
+        return day;
+    }
+
+    const separator = existing.includes('T') ? 'T' : ' ';
+    const time = `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}`;
+
+    if (/Z$/i.test(existing)) {
+        return `${day}${separator}${time}Z`;
+    }
+    return `${day}${separator}${time}${offset ? offset[0] : ''}`;
+}
+
+/**
+ * Whether a string can replace an unquoted YAML value as is: it reads back as the same string and
+ * is not a YAML 1.1 boolean or null that other parsers (Hugo's among them) would turn into one
+ */
+function isPlainYamlString(text) {
+    if (!text || /[\r\n]/.test(text) || /^(?:y|n|yes|no|on|off|true|false|null|~)$/i.test(text)) {
+        return false;
+    }
+    try {
+        return yaml.load(text) === text;
+    } catch (error) {
+        return false;
+    }
+}
+
+class FrontMatter {
+    constructor({ format, delimiter, lineEnding, raw, start, bodyOffset, data, content }) {
+        this.format = format;
+        this.delimiter = delimiter;
+        this.lineEnding = lineEnding;
+        this.raw = raw;
+        this.start = start;
+        this.bodyOffset = bodyOffset;
+        this.data = data;
+        this.content = content;
+        this.originalRaw = raw;
+    }
+
+    /**
+     * Parse the front matter of a markdown file; throws if there is none or it is not valid YAML/TOML
+     */
+    static parse(fileContent) {
+        const match = fileContent.match(FRONT_MATTER_PATTERN);
+        if (!match) {
+            throw new Error('No front matter found in file');
+        }
+
+        const [block, delimiter, lineEnding, raw] = match;
+        const format = delimiter === '+++' ? 'toml' : 'yaml';
+        const start = delimiter.length + match[0].slice(delimiter.length).indexOf(lineEnding) + lineEnding.length;
+
+        let data;
+        try {
+            data = format === 'toml' ? toml.parse(raw) : (yaml.load(raw) || {});
+        } catch (error) {
+            throw new Error(`Invalid ${format.toUpperCase()} front matter: ${error.message}`);
+        }
+
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Front matter must be a ${format === 'toml' ? 'table' : 'mapping'}`);
+        }
+
+        return new FrontMatter({
+            format,
+            delimiter,
+            lineEnding,
+            raw,
+            start,
+            bodyOffset: block.length,
+            data: { ...data },
+            content: fileContent.slice(block.length)
+        });
+    }
+
+    has(field) {
+        return Object.prototype.hasOwnProperty.call(this.data, field) && this.data[field] !== null && this.data[field] !== '';
+    }
+
+    get(field) {
+        return this.has(field) ? this.data[field] : undefined;
+    }
+
+    /**
+     * Field as a string (numbers and dates are converted), or null
+     */
+    getString(field) {
+        const value = this.get(field);
+        if (value === undefined) return null;
+        if (value instanceof Date) return value.toISOString();
+        return typeof value === 'object' ? null : String(value);
+    }
+
+    /**
+     * Field as a Date (YAML/TOML dates or parseable strings), or null
+     */
+    getDate(field) {
+        const value = this.get(field);
+        if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+        if (typeof value === 'string') {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    }
+
+    /**
+     * Source text of a top-level field's value, without quotes or comments, or null
+     */
+    getRawValue(field) {
+        const line = this.findFieldLine(field);
+        return line ? line.value.replace(/^(['"])([\s\S]*)\1$/, '$2') : null;
+    }
+
+    /**
+     * Length of the part of raw holding top-level keys: everything before the first TOML table header
+     */
+    getTopLevelEnd() {
+        const header = this.format === 'toml' ? TOML_TABLE_HEADER.exec(this.raw) : null;
+        return header ? header.index : this.raw.length;
+    }
+
+    /**
+     * Locate a top-level `key: value` (YAML) or `key = value` (TOML) line
+     */
+    findFieldLine(field) {
+        const separator = this.format === 'toml' ? '=' : ':';
+        const pattern = new RegExp(
+            `^(["']?${escapeRegExp(field)}["']?[ \\t]*${separator}[ \\t]*)` +
+            // value: double-quoted, single-quoted or bare (a bare value ends before " #")
+            `("(?:[^"\\\\\\r\\n]|\\\\.)*"|'(?:[^'\\r\\n]|'')*'|[^\\r\\n]*?)` +
+            `([ \\t]+#[^\\r\\n]*)?[ \\t]*$`,
+            'm'
+        );
+
+        const match = this.raw.slice(0, this.getTopLevelEnd()).match(pattern);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            index: match.index,
+            prefix: match[1],
+            value: match[2],
+            valueStart: match.index + match[1].length,
+            valueEnd: match.index + match[1].length + match[2].length
+        };
+    }
+
+    /**
+     * Serialize a value in the style of the existing one (keeping its quotes, or their absence when a
+     * YAML string allows it), or in a default style; arrays use the inline `["a", "b"]` form, valid in both YAML and TOML
+     */
+    formatValue(value, existing) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.formatValue(item, null)).join(', ')}]`;
+        }
+
+        const quote = existing && /^(['"])[\s\S]*\1$/.test(existing) ? existing[0] : null;
+        const unquoted = quote ? existing.slice(1, -1) : existing;
+        const text = value instanceof Date ? formatDateLike(unquoted, value) : String(value);
+
+        if (quote === "'") {
+            return `'${text.replace(/'/g, "''")}'`;
+        }
+        if (typeof value === 'string' && !quote && existing && this.format === 'yaml' && isPlainYamlString(text)) {
+            return text;
+        }
+        if (quote === '"' || (!(value instanceof Date) && typeof value === 'string')) {
+            return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Set a top-level field, rewriting only its value; new fields are inserted after `after`, or after
+     * the last top-level key (before the first TOML table)
+     */
+    setField(field, value, { after = null } = {}) {
+        const line = this.findFieldLine(field);
+
+        if (line) {
+            // Block scalars, block lists and multi-line arrays/strings span several lines
+            if (/^(?:[|>][-+]?\d*|\[[^\]]*|"""|''')?$/.test(line.value)) {
+                throw new Error(`Cannot update multi-line front matter field: ${field}`);
+            }
+            const formatted = this.formatValue(value, line.value);
+            this.raw = this.raw.slice(0, line.valueStart) + formatted + this.raw.slice(line.valueEnd);
+        } else {
+            const separator = this.format === 'toml' ? ' = ' : ': ';
+            const anchorLine = after ? this.findFieldLine(after) : null;
+            const newLine = `${field}${separator}${this.formatValue(value, anchorLine ? anchorLine.value : null)}`;
+
+            if (anchorLine) {
+                const lineEnd = this.raw.indexOf(this.lineEnding, anchorLine.index);
+                const insertAt = lineEnd === -1 ? this.raw.length : lineEnd;
+                this.raw = this.raw.slice(0, insertAt) + this.lineEnding + newLine + this.raw.slice(insertAt);
+            } else {
+                // After the last non-blank line of the top-level keys
+                const topLevel = this.raw.slice(0, this.getTopLevelEnd()).replace(/\s+$/, '');
+                this.raw = topLevel.length > 0
+                    ? `${topLevel}${this.lineEnding}${newLine}${this.raw.slice(topLevel.length)}`
+                    : `${newLine}${this.raw.length > 0 ? this.lineEnding : ''}${this.raw}`;
+            }
+        }
+
+        this.data[field] = value;
+        return this;
+    }
+
+    /**
+     * Edit-plan span replacing the original front matter with the updated one (null when unchanged)
+     */
+    toEdit(section = 'front-matter') {
+        if (this.raw === this.originalRaw) {
+            return null;
+        }
+        return {
+            start: this.start,
+            end: this.start + this.originalRaw.length,
+            original: this.originalRaw,
+            replacement: this.raw,
+            section
+        };
+    }
+}
+
+module.exports = FrontMatter;
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ArticleSelector = require('./article-selector.js');
+const ContentProcessor = require('./content-processor.js');
+const ContentValidator = require('./content-validator.js');
+const { ContentLinter } = require('./content-linter.js');
+const RewriteLedger = require('./rewrite-ledger.js');
+const { EditPlan, EditPlanError } = require('./edit-plan.js');
+const { ReviewReport } = require('./review-report.js');
+const { formatUsage } = require('./usage-tracker.js');
+const { FrontMatterSchemaError } = require('./front-matter-schema.js');
+const { PromptTemplateError } = require('./prompt-templates.js');
+const { requiresApiKey } = require('./llm-providers.js');
+const { discoverLocales } = require('./locales.js');
+const { loadConfig, ConfigError } = require('./config.js');
+
+/**
+ * kb-rewriter CLI
+ * Single entry point for the GitHub workflow and local runs: select, process, validate, report
+ * and revert, with the same config flags, `--json` output and exit codes for every command
+ */
+
+const EXIT_CODES = {
+    OK: 0,
+    // Articles failed to process, lint errors, plans that could not be reverted
+    FAILED: 1,
+    // Unknown command or flag, invalid configuration, missing inputs
+    USAGE: 2,
+    // No articles selected or matched, no report or edit plans to work on
+    NOTHING_TO_DO: 3
+};
+
+const USAGE = `Usage: node kb-rewriter.js <command> [paths or globs...] [options]
+
+Commands:
+  select                   Pick articles to rewrite and write the selection file
+  process [paths...]       Rewrite the given articles, or those in the selection file
+  validate [paths...]      Lint front matter, markdown structure, links and shortcodes
+                           (default: lint.include, or every locale)
+  report                   Summarize the last processing report and re-render its review report
+  revert [run|plans...]    Undo a run's rewrites from its edit plans (default: the latest run)
+
+Options:
+  --config <file>          JSON or YAML config file (default: kb-rewriter.config.{json,yaml,yml}
+                           in the repo root)
+  --set <key.path=value>   Override a config value; repeatable
+  --json                   Print the result as JSON on stdout; progress goes to stderr
+  --help                   Show this help
+  --seed <seed>            select: selection seed
+  --dry-run                process: write diffs instead of articles; revert: same as --check
+  --check                  revert: only check that the plans still apply (ignores processing.dryRun)
+  --selection <file>       process: selection file to read (default: paths.selectionFile)
+  --diff <range>           validate: only articles changed in a git diff range, e.g. origin/master...HEAD
+  --exclude <glob>         validate: skip matching articles, in addition to lint.exclude; repeatable
+  --baseline <file>        validate: grandfathered findings (default: paths.lintBaselineFile)
+  --update-baseline        validate: record every current finding in the baseline
+  --junit <file>           validate: also write the results as JUnit XML
+  --sarif <file>           validate: also write the results as SARIF
+
+Paths and globs (content/en/total/**/*.md) are relative to the repository root.
+
+Exit codes: 0 success, 1 failures, 2 usage or configuration error, 3 nothing to do`;
+
+// Flags every command accepts; those with a value consume the next argument
+const COMMON_FLAGS = ['--config', '--set', '--json', '--help'];
+const VALUE_FLAGS = ['--config', '--set', '--seed', '--selection', '--diff', '--exclude', '--baseline', '--junit', '--sarif'];
+
+const COMMANDS = {
+    select: { flags: ['--seed'], paths: false, run: runSelect },
+    process: { flags: ['--dry-run', '--selection'], paths: true, run: runProcess },
+    validate: { flags: ['--diff', '--exclude', '--baseline', '--update-baseline', '--junit', '--sarif'], paths: true, run: runValidate },
+    report: { flags: [], paths: false, run: runReport },
+    revert: { flags: ['--check', '--dry-run'], paths: true, run: runRevert }
+};
+
+/**
+ * Error raised for invalid command lines and missing inputs
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Split the command line into the command, its positional arguments and flags
+ *
+ * Config flags (--config, --set, --seed, --dry-run) stay in argv for loadConfig
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const parsed = {
+        command,
+        argv: rest,
+        positionals: [],
+        json: false,
+        help: false,
+        selection: null,
+        check: false,
+        diff: null,
+        excludes: [],
+        baseline: null,
+        updateBaseline: false,
+        junit: null,
+        sarif: null
+    };
+
+    if (!command || command === '--help') {
+        parsed.help = true;
+        return parsed;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const allowed = [...COMMON_FLAGS, ...COMMANDS[command].flags];
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            parsed.positionals.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        if (!allowed.includes(flag)) {
+            throw new UsageError(`Unknown option ${flag} for "${command}"`);
+        }
+        let value = inlineValue;
+        if (VALUE_FLAGS.includes(flag) && value === undefined) {
+            value = rest[++i];
+            if (value === undefined) {
+                throw new UsageError(`${flag} requires a value`);
+            }
+        }
+
+        if (flag === '--json') {
+            parsed.json = true;
+        } else if (flag === '--help') {
+            parsed.help = true;
+        } else if (flag === '--selection') {
+            parsed.selection = value;
+        } else if (command === 'revert' && (flag === '--check' || flag === '--dry-run')) {
+            // revert decides from its own flags, never from processing.dryRun (e.g. set by the workflow's env)
+            parsed.check = true;
+        } else if (flag === '--exclude') {
+            parsed.excludes.push(value);
+        } else if (flag === '--update-baseline') {
+            parsed.updateBaseline = true;
+        } else if (['--diff', '--baseline', '--junit', '--sarif'].includes(flag)) {
+            parsed[flag.slice(2)] = value;
+        }
+    }
+
+    if (parsed.positionals.length > 0 && !COMMANDS[command].paths) {
+        throw new UsageError(`"${command}" takes no arguments`);
+    }
+    return parsed;
+}
+
+/**
+ * Regular expression for a glob: `*` and `?` stay within a directory, `**` spans directories
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        if (glob.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (glob.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (glob[i] === '*') {
+            source += '[^/]*';
+        } else if (glob[i] === '?') {
+            source += '[^/]';
+        } else {
+            source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Articles named by paths (files or directories) and globs, relative to the repository root
+ */
+function expandPaths(patterns, repoRoot) {
+    const files = [];
+
+    for (const pattern of patterns) {
+        const normalized = pattern.split(path.sep).join('/');
+        if (!/[*?]/.test(normalized)) {
+            const target = path.resolve(repoRoot, normalized);
+            if (!fs.existsSync(target)) {
+                throw new UsageError(`No such file or directory: ${pattern}`);
+            }
+            files.push(...ContentValidator.findArticles(target));
+            continue;
+        }
+
+        // Walk from the longest directory prefix without wildcards
+        const segments = normalized.split('/');
+        const base = segments.slice(0, segments.findIndex(segment => /[*?]/.test(segment))).join('/');
+        const absoluteGlob = path.resolve(repoRoot, normalized).split(path.sep).join('/');
+        const matcher = globToRegExp(absoluteGlob);
+        const baseDir = path.resolve(repoRoot, base);
+        if (fs.existsSync(baseDir)) {
+            files.push(...ContentValidator.findArticles(baseDir)
+                .filter(filePath => matcher.test(filePath.split(path.sep).join('/'))));
+        }
+    }
+
+    return [...new Set(files)];
+}
+
+/**
+ * Absolute article paths of a selection file written by `select`; relative paths in a
+ * hand-written selection resolve against the repo root
+ */
+function readSelection(selectionFile, repoRoot) {
+    if (!fs.existsSync(selectionFile)) {
+        throw new UsageError(`No selection file at ${selectionFile}; run "kb-rewriter.js select" or pass article paths`);
+    }
+    const selection = JSON.parse(fs.readFileSync(selectionFile, 'utf8'));
+    if (!selection || !Array.isArray(selection.articles)) {
+        throw new UsageError(`Selection file ${selectionFile} has no "articles" array`);
+    }
+    return selection.articles.map(article => path.resolve(repoRoot, article.path));
+}
+
+async function runSelect(config, options, log) {
+    const selector = new ArticleSelector(config, log);
+
+    log.log('🔍 Scanning for articles to rewrite...');
+    log.log(`📅 Looking for articles older than ${config.selection.daysThreshold} days`);
+    log.log(`🎯 Will select up to ${config.selection.maxArticlesPerRun} articles by priority score`);
+
+    const selected = selector.selectArticles();
+    // Written even when empty so a later `process` never picks up a stale selection
+    const selection = selector.exportSelection();
+
+    if (selected.length === 0) {
+        log.log('ℹ️  No articles found matching criteria');
+        return { code: EXIT_CODES.NOTHING_TO_DO, result: selection };
+    }
+    log.log(`✅ Selected ${selected.length} articles for rewriting`);
+    return { code: EXIT_CODES.OK, result: selection };
+}
+
+async function runProcess(config, options, log) {
+    const articlePaths = options.positionals.length > 0
+        ? expandPaths(options.positionals, config.paths.repoRoot)
+        : readSelection(options.selection ? path.resolve(options.selection) : config.paths.selectionFile, config.paths.repoRoot);
+
+    if (articlePaths.length === 0) {
+        log.log('ℹ️  No articles to process');
+        return { code: EXIT_CODES.NOTHING_TO_DO, result: { articles: [] } };
+    }
+
+    const apiKey = process.env.LLM_API_KEY;
+    if (!apiKey && requiresApiKey(config.llm)) {
+        throw new UsageError(`LLM_API_KEY environment variable is required for the ${config.llm.provider} provider`);
+    }
+
+    const processor = new ContentProcessor(apiKey, config, log);
+    await processor.processArticles(articlePaths);
+    const report = processor.generateReport();
+
+    if (report.summary.failed > 0) {
+        log.error(`❌ ${report.summary.failed} articles failed to process`);
+        return { code: EXIT_CODES.FAILED, result: report };
+    }
+    log.log(processor.describeOutcome(report));
+    return { code: EXIT_CODES.OK, result: report };
+}
+
+/**
+ * Absolute paths of the files a git diff range adds, copies, modifies or renames
+ */
+function getChangedFiles(range, repoRoot) {
+    let output;
+    try {
+        output = execFileSync('git', ['diff', '--name-only', '--diff-filter=ACMR', range, '--'], {
+            cwd: repoRoot,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        throw new UsageError(`git diff ${range} failed: ${(error.stderr || error.message).trim()}`);
+    }
+    return new Set(output.split('\n').filter(Boolean).map(file => path.resolve(repoRoot, file)));
+}
+
+/**
+ * Articles to lint: the given paths, lint.include or every locale, minus the exclude globs,
+ * narrowed to a git diff range when one is given
+ */
+function findLintTargets(config, options) {
+    const { repoRoot } = config.paths;
+    const includes = options.positionals.length > 0 ? options.positionals : config.lint.include;
+    let files = includes.length > 0
+        ? expandPaths(includes, repoRoot)
+        : discoverLocales(config.paths.contentBase, config.selection.locales)
+            .flatMap(({ base }) => ContentValidator.findArticles(base));
+
+    const excludes = [...config.lint.exclude, ...options.excludes]
+        .map(glob => globToRegExp(path.resolve(repoRoot, glob).split(path.sep).join('/')));
+    files = files.filter(filePath => !excludes.some(matcher => matcher.test(filePath.split(path.sep).join('/'))));
+
+    if (options.diff) {
+        const changed = getChangedFiles(options.diff, repoRoot);
+        files = files.filter(filePath => changed.has(filePath));
+    }
+    return files;
+}
+
+async function runValidate(config, options, log) {
+    const linter = ContentLinter.fromConfig(config);
+    const files = findLintTargets(config, options);
+    const baselineFile = options.baseline ? path.resolve(options.baseline) : config.paths.lintBaselineFile;
+
+    if (options.updateBaseline) {
+        const count = ContentLinter.writeBaseline(baselineFile, linter.lintFiles(files, config.paths.repoRoot));
+        log.log(`📌 Recorded ${count} findings of ${files.length} articles in ${baselineFile}`);
+        return { code: EXIT_CODES.OK, result: { baseline: baselineFile, findings: count } };
+    }
+
+    const results = linter.lintFiles(files, config.paths.repoRoot, ContentLinter.loadBaseline(baselineFile));
+    // Written even when nothing matched, so CI can always upload them
+    if (options.junit) {
+        fs.writeFileSync(path.resolve(options.junit), ContentLinter.toJUnit(results));
+    }
+    if (options.sarif) {
+        fs.writeFileSync(path.resolve(options.sarif), JSON.stringify(linter.toSarif(results), null, 2) + '\n');
+    }
+
+    if (files.length === 0) {
+        log.log('ℹ️  No articles to validate');
+        return { code: EXIT_CODES.NOTHING_TO_DO, result: results };
+    }
+
+    ContentLinter.printResults(results, log);
+    return { code: results.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK, result: results };
+}
+
+async function runReport(config, options, log) {
+    const { reportFile } = config.paths;
+    if (!fs.existsSync(reportFile)) {
+        log.log(`ℹ️  No processing report at ${reportFile}`);
+        return { code: EXIT_CODES.NOTHING_TO_DO, result: null };
+    }
+
+    const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    const { summary } = report;
+
+    log.log(`📊 Run ${report.runId} (${report.timestamp})${report.dryRun ? ' - dry run' : ''}`);
+    log.log(`  ✅ Successful: ${summary.successful}  ⏭️  Skipped: ${summary.skipped}  ❌ Failed: ${summary.failed}  📄 Total: ${summary.total}`);
+    for (const file of report.files) {
+        const where = `${file.fileName}${file.locale ? ` (${file.locale}, ${String(file.platform).toUpperCase()})` : ''}`;
+        if (file.status === 'success') {
+            log.log(`  ✅ ${where}: ${file.changes.join(', ')}`);
+        } else if (file.status === 'skipped') {
+            log.log(`  ⏭️  ${where}: ${file.reason}`);
+        } else {
+            log.log(`  ❌ ${where}: ${file.error}`);
+        }
+    }
+    if (report.readability && report.readability.scored > 0) {
+        log.log(`  📖 Flesch reading ease ${report.readability.fleschBefore} → ${report.readability.fleschAfter}`);
+    }
+    const rejections = ReviewReport.formatRejections(report.rejections);
+    if (rejections) {
+        log.log(`  🚫 Paragraphs kept original, rejected by: ${rejections}`);
+    }
+    if (report.usage) {
+        log.log(`  💰 LLM usage: ${formatUsage(report.usage)}`);
+    }
+
+    const review = new ReviewReport(report, config.paths.repoRoot)
+        .write(config.paths.reviewMarkdownFile, config.paths.reviewHtmlFile);
+    log.log(`  📝 Review report: ${review.markdown}, ${review.html}`);
+
+    return { code: summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK, result: report };
+}
+
+/**
+ * Edit plan files for revert: plan paths, run ids below paths.editPlanDir, or the latest run
+ */
+function findEditPlans(config, targets) {
+    const { editPlanDir } = config.paths;
+    const runDirs = () => (fs.existsSync(editPlanDir)
+        ? fs.readdirSync(editPlanDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+        : []);
+    const plansIn = runDir => fs.readdirSync(runDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(runDir, file));
+
+    if (targets.length === 0) {
+        // The latest run is the one whose plans were created last
+        const runs = runDirs()
+            .map(runId => {
+                const plans = plansIn(path.join(editPlanDir, runId));
+                const createdAt = plans.map(planPath => EditPlan.load(planPath).createdAt).sort().pop() || '';
+                return { plans, createdAt };
+            })
+            .filter(run => run.plans.length > 0)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return runs.length > 0 ? runs[runs.length - 1].plans : [];
+    }
+
+    return targets.flatMap(target => {
+        if (runDirs().includes(target)) {
+            return plansIn(path.join(editPlanDir, target));
+        }
+        const planPath = path.resolve(target);
+        if (!fs.existsSync(planPath)) {
+            throw new UsageError(`No edit plan or run "${target}" in ${editPlanDir}`);
+        }
+        return fs.statSync(planPath).isDirectory() ? plansIn(planPath) : [planPath];
+    });
+}
+
+async function runRevert(config, options, log) {
+    const planPaths = findEditPlans(config, options.positionals);
+    if (planPaths.length === 0) {
+        log.log(`ℹ️  No edit plans to revert in ${config.paths.editPlanDir}`);
+        return { code: EXIT_CODES.NOTHING_TO_DO, result: { reverted: 0, failed: 0, plans: [] } };
+    }
+
+    const { repoRoot } = config.paths;
+    const dryRun = options.check;
+    const ledger = new RewriteLedger(config.paths.ledgerFile, repoRoot);
+    const plans = [];
+
+    for (const planPath of planPaths) {
+        const entry = { plan: path.relative(repoRoot, planPath), file: null, runId: null, edits: 0, status: 'reverted', error: null };
+        try {
+            const plan = EditPlan.load(planPath);
+            Object.assign(entry, { file: plan.file, runId: plan.runId, edits: plan.edits.length });
+            const filePath = path.resolve(repoRoot, plan.file);
+            const reverted = plan.revert(fs.readFileSync(filePath, 'utf8'));
+
+            if (dryRun) {
+                entry.status = 'revertible';
+                log.log(`  🔎 ${plan.file}: ${plan.edits.length} edits can be reverted`);
+            } else {
+                fs.writeFileSync(filePath, reverted);
+                ledger.removeRun(filePath, plan.runId);
+                log.log(`  ↩️  ${plan.file}: reverted ${plan.edits.length} edits`);
+            }
+        } catch (error) {
+            if (!(error instanceof EditPlanError) && error.code !== 'ENOENT') throw error;
+            entry.status = 'failed';
+            entry.error = error.message;
+            log.error(`  ❌ ${entry.file || entry.plan}: ${error.message}`);
+        }
+        plans.push(entry);
+    }
+
+    const failed = plans.filter(entry => entry.status === 'failed').length;
+    if (!dryRun && failed < plans.length) {
+        ledger.save();
+    }
+    log.log(`\n📊 ${dryRun ? 'Checked' : 'Reverted'} ${plans.length - failed} of ${plans.length} articles`);
+
+    return {
+        code: failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+        result: { reverted: dryRun ? 0 : plans.length - failed, failed, plans }
+    };
+}
+
+/**
+ * Run a command line; resolves to the exit code
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\nRun "node kb-rewriter.js --help" for usage`);
+        return EXIT_CODES.USAGE;
+    }
+    if (options.help) {
+        // Asking for help succeeds; a missing command is a usage error
+        if (!options.command) {
+            console.error(USAGE);
+            return EXIT_CODES.USAGE;
+        }
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    // With --json, stdout carries only the result and the commands log to stderr
+    const log = options.json ? new console.Console(process.stderr) : console;
+
+    try {
+        const config = loadConfig({ argv: options.argv });
+        const { code, result } = await COMMANDS[options.command].run(config, options, log);
+        if (options.json) {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        }
+        return code;
+    } catch (error) {
+        const usageErrors = [UsageError, ConfigError, FrontMatterSchemaError, PromptTemplateError];
+        if (usageErrors.some(type => error instanceof type)) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.USAGE;
+        }
+        console.error('💥 Fatal error:', error.message);
+        return EXIT_CODES.FAILED;
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    main,
+    expandPaths,
+    EXIT_CODES
+};
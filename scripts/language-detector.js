@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Language Detection
+ * Identifies the language of a paragraph from its script (CJK, Cyrillic, Arabic, ...) or, for
+ * Latin-script text, from the share of common function words, so rewrites that came back in
+ * the wrong language can be rejected
+ */
+
+// Non-Latin scripts; the first language listed is the default for the script
+const SCRIPTS = [
+    { languages: ['ja'], pattern: /[぀-ヿ]/g },
+    { languages: ['zh'], pattern: /[一-鿿㐀-䶿]/g },
+    { languages: ['ko'], pattern: /[가-힯ᄀ-ᇿ]/g },
+    { languages: ['ru', 'uk'], pattern: /[Ѐ-ӿ]/g },
+    { languages: ['ar', 'fa'], pattern: /[؀-ۿ]/g },
+    { languages: ['el'], pattern: /[Ͱ-Ͽ]/g },
+    { languages: ['he'], pattern: /[֐-׿]/g },
+    { languages: ['th'], pattern: /[฀-๿]/g },
+    { languages: ['hi'], pattern: /[ऀ-ॿ]/g }
+];
+
+// Letters that tell a language apart from the script's default
+const SCRIPT_VARIANTS = {
+    uk: /[іїєґ]/i,
+    fa: /[پچژگ]/
+};
+
+// Frequent function words of Latin-script languages
+const STOPWORDS = {
+    en: 'the and of to is in that it for with as this are be on you by can from or an your how will which',
+    de: 'der die das und ist nicht mit den sie ein eine zu von auf für dem des sich auch wird können wie oder',
+    fr: 'le la les et des est une pour dans que qui sur avec pas vous sont ce du au par cette comment',
+    es: 'el la los las y es una para que con por del se como su al este esta cómo puede sus también',
+    it: 'il la di che è per una con sono gli del della come questo può nel alla anche dei delle',
+    pt: 'o os e de que em um uma para com não por como da do das dos ao você pode também',
+    nl: 'de het een en van is dat op te in met voor zijn niet u kunt ook deze hoe wordt',
+    pl: 'i w na z się jest do że nie to jak o dla czy są oraz przez może tym',
+    sv: 'och att det som en är på för med av till den inte har kan du om hur',
+    tr: 've bir bu için ile da de olarak nasıl gibi daha çok olan kullanarak veya',
+    cs: 'a je se na že v to s jak pro z do není jsou také nebo které',
+    id: 'dan yang di untuk dengan ini dari dalam anda dapat akan adalah cara atau juga',
+    vi: 'và của là các có cho với được trong này một những để bạn cách'
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+// Below these amounts a paragraph is too short to tell
+const MIN_SCRIPT_SHARE = 0.2;
+const MIN_STOPWORD_HITS = 3;
+// The runner-up language may reach at most 70% of the best one's hits
+const MIN_STOPWORD_MARGIN = 0.3;
+
+/**
+ * Languages the detector can recognize
+ */
+const SUPPORTED_LANGUAGES = [
+    ...SCRIPTS.flatMap(script => script.languages),
+    ...Object.keys(STOPWORDS)
+];
+
+/**
+ * Markdown paragraph as prose: code, link targets, shortcodes, placeholders and URLs removed
+ */
+function toProse(text) {
+    return text
+        .replace(/\{\{[<%][\s\S]*?[%>]\}\}/g, ' ')
+        .replace(/@@P\d+@@/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(`+)[\s\S]*?\1/g, ' ')
+        .replace(/\b(?:https?|ftp):\/\/\S+/g, ' ');
+}
+
+/**
+ * Detect the language of a paragraph
+ *
+ * Returns { language, confidence } with language null when the text is too short or ambiguous
+ */
+function detectLanguage(text) {
+    const prose = toProse(text);
+    const letters = (prose.match(/\p{L}/gu) || []).length;
+    if (letters === 0) {
+        return { language: null, confidence: 0 };
+    }
+
+    for (const script of SCRIPTS) {
+        const count = (prose.match(script.pattern) || []).length;
+        if (count / letters >= MIN_SCRIPT_SHARE) {
+            const language = script.languages.find(code => SCRIPT_VARIANTS[code] && SCRIPT_VARIANTS[code].test(prose)) || script.languages[0];
+            return { language, confidence: Math.round(count / letters * 100) / 100 };
+        }
+    }
+
+    const words = prose.toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = Object.entries(STOPWORD_SETS)
+        .map(([language, set]) => ({ language, count: words.filter(word => set.has(word)).length }))
+        .sort((a, b) => b.count - a.count);
+
+    const [best, second] = hits;
+    const margin = best.count > 0 ? (best.count - second.count) / best.count : 0;
+    if (best.count < MIN_STOPWORD_HITS || margin < MIN_STOPWORD_MARGIN) {
+        return { language: null, confidence: 0 };
+    }
+    return { language: best.language, confidence: Math.round(margin * 100) / 100 };
+}
+
+/**
+ * Compare a rewrite's language with the expected one (a language code such as `de`)
+ *
+ * Returns { accepted, expected, detected, confidence, reason }; languages the detector does not
+ * know, and text too short to tell, are accepted
+ */
+function checkLanguage(text, expected) {
+    const { language, confidence } = detectLanguage(text);
+    const accepted = !SUPPORTED_LANGUAGES.includes(expected) || language === null || language === expected;
+
+    return {
+        accepted,
+        expected,
+        detected: language,
+        confidence,
+        reason: accepted ? null : `language: expected ${expected} but the text reads as ${language}`
+    };
+}
+
+module.exports = {
+    detectLanguage,
+    checkLanguage,
+    SUPPORTED_LANGUAGES
+};
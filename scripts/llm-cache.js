@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed cache for LLM responses
+ *
+ * Modes:
+ * - passthrough: call the LLM, never read or write the cache
+ * - record: call the LLM and save every response
+ * - replay: serve responses from the cache only, failing on a miss
+ */
+
+const CACHE_MODES = ['passthrough', 'record', 'replay'];
+
+/**
+ * JSON.stringify with sorted object keys so equal requests always hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+class LLMCacheMissError extends Error {
+    constructor(key) {
+        super(`LLM cache miss in replay mode (key ${key})`);
+        this.name = 'LLMCacheMissError';
+        this.key = key;
+    }
+}
+
+class LLMCache {
+    constructor({ mode = 'passthrough', dir }) {
+        if (!CACHE_MODES.includes(mode)) {
+            throw new Error(`Unknown LLM cache mode: ${mode} (expected one of ${CACHE_MODES.join(', ')})`);
+        }
+        this.mode = mode;
+        this.dir = dir;
+        this.stats = { hits: 0, misses: 0, writes: 0 };
+    }
+
+    /**
+     * Whether responses should be looked up before calling the LLM
+     */
+    get readEnabled() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Whether responses should be saved after calling the LLM
+     */
+    get writeEnabled() {
+        return this.mode === 'record';
+    }
+
+    /**
+     * Cache key for a request: sha256 over model, messages and parameters
+     */
+    static keyFor({ model, messages, params }) {
+        return crypto.createHash('sha256').update(stableStringify({ model, messages, params })).digest('hex');
+    }
+
+    getEntryPath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * Look up a cached completion; in replay mode a miss throws LLMCacheMissError
+     */
+    get(request) {
+        const key = LLMCache.keyFor(request);
+        const entryPath = this.getEntryPath(key);
+
+        if (!fs.existsSync(entryPath)) {
+            this.stats.misses++;
+            throw new LLMCacheMissError(key);
+        }
+
+        this.stats.hits++;
+        const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+        return { ...entry.completion, cached: true, cacheKey: key };
+    }
+
+    /**
+     * Save a completion for a request
+     */
+    set(request, completion) {
+        const key = LLMCache.keyFor(request);
+        const entryPath = this.getEntryPath(key);
+
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(entryPath, JSON.stringify({
+            key,
+            createdAt: new Date().toISOString(),
+            request,
+            completion
+        }, null, 2));
+
+        this.stats.writes++;
+        return key;
+    }
+}
+
+module.exports = {
+    LLMCache,
+    LLMCacheMissError,
+    CACHE_MODES
+};
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+const fetch = require('node-fetch');
+
+/**
+ * LLM Provider Layer
+ * Every provider implements complete(messages, params) and resolves to
+ * { content, finishReason, usage, model } regardless of the vendor's response format.
+ * Failures are thrown as LLMRequestError with a kind that tells the caller whether to retry
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const ERROR_KINDS = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate-limit',
+    SERVER: 'server',
+    NETWORK: 'network',
+    MALFORMED: 'malformed-response',
+    CLIENT: 'client'
+};
+
+// Auth and client errors fail the same way on every attempt
+const RETRYABLE_KINDS = [ERROR_KINDS.RATE_LIMIT, ERROR_KINDS.SERVER, ERROR_KINDS.NETWORK, ERROR_KINDS.MALFORMED];
+
+class LLMRequestError extends Error {
+    constructor(message, { kind, status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LLMRequestError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return RETRYABLE_KINDS.includes(this.kind);
+    }
+}
+
+/**
+ * Error kind for an HTTP status code
+ */
+function classifyStatus(status) {
+    if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+    if (status === 429) return ERROR_KINDS.RATE_LIMIT;
+    if (status === 408) return ERROR_KINDS.NETWORK;
+    if (status >= 500) return ERROR_KINDS.SERVER;
+    return ERROR_KINDS.CLIENT;
+}
+
+/**
+ * Retry-After header (delay in seconds or an HTTP date) in milliseconds, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+(?:\.\d+)?$/.test(value.trim())) {
+        return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * POST a JSON body and return the parsed JSON response, aborting after timeoutMs
+ */
+async function postJson(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const message = error.name === 'AbortError' ? `Request timed out after ${timeoutMs}ms` : `Network error: ${error.message}`;
+            throw new LLMRequestError(message, { kind: ERROR_KINDS.NETWORK });
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new LLMRequestError(`HTTP ${response.status}: ${text.slice(0, 500)}`, {
+                kind: classifyStatus(response.status),
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            const kind = error.name === 'AbortError' ? ERROR_KINDS.NETWORK : ERROR_KINDS.MALFORMED;
+            throw new LLMRequestError(`Could not read response body: ${error.message}`, { kind, status: response.status });
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Generic OpenAI-compatible chat completions endpoint (LiteLLM, OpenAI, llama.cpp /v1, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+    constructor({ apiUrl, apiKey, model, timeoutMs }) {
+        this.name = 'openai';
+        this.apiUrl = apiUrl || 'https://llm.professionalize.com/v1/chat/completions';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async complete(messages, { temperature, maxTokens }) {
+        const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+        const data = await postJson(this.apiUrl, {
+            model: this.model,
+            messages: messages,
+            temperature: temperature,
+            max_tokens: maxTokens
+        }, headers, this.timeoutMs);
+
+        const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new LLMRequestError('Malformed response: missing choices[0].message.content', { kind: ERROR_KINDS.MALFORMED });
+        }
+
+        return {
+            content: choice.message.content,
+            finishReason: choice.finish_reason || null,
+            usage: data.usage ? {
+                promptTokens: data.usage.prompt_tokens || 0,
+                completionTokens: data.usage.completion_tokens || 0
+            } : null,
+            model: data.model || this.model
+        };
+    }
+}
+
+/**
+ * Local Ollama-style server (POST /api/chat with stream disabled)
+ */
+class OllamaProvider {
+    constructor({ apiUrl, model, timeoutMs }) {
+        this.name = 'ollama';
+        this.apiUrl = apiUrl || 'http://localhost:11434/api/chat';
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async complete(messages, { temperature, maxTokens }) {
+        const data = await postJson(this.apiUrl, {
+            model: this.model,
+            messages: messages,
+            stream: false,
+            options: {
+                temperature: temperature,
+                num_predict: maxTokens
+            }
+        }, {}, this.timeoutMs);
+
+        if (!data || !data.message || typeof data.message.content !== 'string') {
+            throw new LLMRequestError('Malformed response: missing message.content', { kind: ERROR_KINDS.MALFORMED });
+        }
+
+        return {
+            content: data.message.content,
+            finishReason: data.done_reason || null,
+            usage: {
+                promptTokens: data.prompt_eval_count || 0,
+                completionTokens: data.eval_count || 0
+            },
+            model: data.model || this.model
+        };
+    }
+}
+
+// Words the swap transform may move; tokens with markup, punctuation or placeholders stay in place
+const PLAIN_WORD = /^\p{L}+$/u;
+
+/**
+ * Swap neighbouring plain words within each line. Applying it twice restores the text
+ */
+function swapWords(text) {
+    return text.split('\n').map(line => {
+        // Even indices are words, odd indices the whitespace between them
+        const tokens = line.split(/(\s+)/);
+        for (let i = 0; i + 2 < tokens.length; i += 2) {
+            if (PLAIN_WORD.test(tokens[i]) && PLAIN_WORD.test(tokens[i + 2])) {
+                [tokens[i], tokens[i + 2]] = [tokens[i + 2], tokens[i]];
+                i += 2;
+            }
+        }
+        return tokens.join('');
+    }).join('\n');
+}
+
+/**
+ * Deterministic offline provider - returns the source text without any network access, with
+ * its whitespace tidied (default), unchanged, or with neighbouring words swapped. Swapped words
+ * pass the no-op check and reach the write, so `swap` is only for exercising the write path
+ * in tests and previews
+ */
+class EchoProvider {
+    constructor({ model, transform = 'tidy' }) {
+        this.name = 'echo';
+        this.model = model;
+        this.transform = transform;
+    }
+
+    async complete(messages, { input } = {}) {
+        // Fall back to the last user message when the caller does not pass the source text
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        let content = input !== undefined ? input : (lastUserMessage ? lastUserMessage.content : '');
+
+        if (this.transform === 'swap') {
+            content = swapWords(content);
+        } else if (this.transform === 'tidy') {
+            content = content.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+        }
+
+        return {
+            content,
+            finishReason: 'stop',
+            usage: { promptTokens: 0, completionTokens: 0 },
+            model: this.model
+        };
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    echo: EchoProvider
+};
+
+/**
+ * Create the provider named in llm.provider
+ */
+function createProvider(llmConfig, apiKey) {
+    const Provider = PROVIDERS[llmConfig.provider];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${llmConfig.provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider({
+        apiUrl: llmConfig.apiUrl,
+        apiKey,
+        model: llmConfig.model,
+        transform: llmConfig.echoTransform,
+        timeoutMs: llmConfig.timeoutMs
+    });
+}
+
+/**
+ * Whether the configured provider needs LLM_API_KEY
+ */
+function requiresApiKey(llmConfig) {
+    return llmConfig.provider === 'openai';
+}
+
+module.exports = {
+    createProvider,
+    requiresApiKey,
+    parseRetryAfter,
+    LLMRequestError,
+    ERROR_KINDS,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    EchoProvider,
+    PROVIDERS
+};
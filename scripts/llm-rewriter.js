@@ -2,134 +2,256 @@
 
 const fs = require('fs');
 const path = require('path');
-const fetch = require('node-fetch');
+const { createProvider, LLMRequestError, ERROR_KINDS } = require('./llm-providers.js');
+const { CircuitBreaker } = require('./circuit-breaker.js');
+const { UsageTracker } = require('./usage-tracker.js');
+const { LLMCache } = require('./llm-cache.js');
+const RateLimiter = require('./rate-limiter.js');
+const { mask, unmask, PlaceholderError } = require('./placeholder-masker.js');
+const { sanitize } = require('./output-sanitizer.js');
+const { stripMarkdown, parseSeoResponse, validateSeoFields, normalizeKeywords } = require('./seo-fields.js');
+const { getLanguage } = require('./locales.js');
+const { PromptTemplates } = require('./prompt-templates.js');
+const { loadConfig } = require('./config.js');
 
 /**
  * LLM Integration Module for Content Rewriting
- * Handles API calls to LiteLLM service for content enhancement
+ * Renders the rewrite prompts from the prompt templates and sends them through the configured LLM provider
  */
 
+const DEFAULT_LANGUAGE = getLanguage('en');
+
 class LLMRewriter {
-    constructor(apiKey, apiUrl = 'https://llm.professionalize.com/v1/chat/completions') {
-        this.apiKey = apiKey;
-        this.apiUrl = apiUrl;
-        this.model = 'gpt-oss';
+    constructor(apiKey, llmConfig = loadConfig().llm, promptTemplates = null) {
+        this.prompts = promptTemplates || PromptTemplates.fromConfig(loadConfig());
+        this.provider = createProvider(llmConfig, apiKey);
+        this.cache = new LLMCache(llmConfig.cache);
+        this.rateLimiter = new RateLimiter(llmConfig.rateLimit);
+        this.model = llmConfig.model;
+        this.temperature = llmConfig.temperature;
+        this.maxTokens = llmConfig.maxTokens;
+        this.maxRetries = llmConfig.maxRetries;
+        this.retryBaseDelayMs = llmConfig.retryBaseDelayMs;
+        this.retryMaxDelayMs = llmConfig.retryMaxDelayMs;
+        this.circuitBreaker = new CircuitBreaker({ failureThreshold: llmConfig.circuitBreakerThreshold });
+        this.usage = new UsageTracker(llmConfig, llmConfig.model);
     }
 
     /**
-     * Make API call to LiteLLM service
+     * Send messages to the LLM provider with retries, going through the response cache and
+     * the shared rate limiter, and counting its tokens and cost against the run's budget
+     *
+     * Resolves to the provider completion { content, finishReason, usage, model } plus `spent`,
+     * this call's { promptTokens, completionTokens, cost, cached } as counted by the usage tracker.
+     * options.input is the source text, used by offline providers such as echo; options.candidate
+     * numbers repeated requests for the same messages so each gets its own cache entry;
+     * options.log (default console) receives the retry messages
      */
-    async callLLM(messages, maxRetries = 3) {
+    async callLLM(messages, maxRetries = this.maxRetries, options = {}) {
+        const request = {
+            model: this.model,
+            messages,
+            params: { temperature: this.temperature, maxTokens: this.maxTokens, candidate: options.candidate || undefined }
+        };
+
+        // Replay mode never reaches the provider; a miss fails immediately
+        if (this.cache.readEnabled) {
+            const cached = this.cache.get(request);
+            return { ...cached, spent: this.usage.record(cached.usage, { cached: true }) };
+        }
+
+        const estimatedTokens = RateLimiter.estimateTokens(messages, this.maxTokens);
+        // The most this request can count against the budget
+        const estimate = { promptTokens: estimatedTokens - this.maxTokens, completionTokens: this.maxTokens };
+
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            // Once the breaker has opened, no more requests go out for the rest of the run
+            this.circuitBreaker.check();
+            const hold = this.usage.check(estimate);
+
             try {
-                const response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: this.model,
-                        messages: messages,
-                        temperature: 0.7,
-                        max_tokens: 1000
-                    })
+                await this.rateLimiter.acquire(estimatedTokens);
+                const completion = await this.provider.complete(messages, {
+                    temperature: this.temperature,
+                    maxTokens: this.maxTokens,
+                    input: options.input
                 });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+                
+                this.circuitBreaker.recordSuccess();
+                if (completion.usage) {
+                    this.rateLimiter.settle(estimatedTokens, completion.usage.promptTokens + completion.usage.completionTokens);
                 }
-
-                const data = await response.json();
-                return data.choices[0].message.content;
-            } catch (error) {
-                console.error(`LLM API attempt ${attempt} failed:`, error.message);
                 
-                if (attempt === maxRetries) {
-                    throw new Error(`LLM API failed after ${maxRetries} attempts: ${error.message}`);
+                if (this.cache.writeEnabled) {
+                    this.cache.set(request, completion);
                 }
                 
-                // Wait before retry (exponential backoff)
-                await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+                return { ...completion, spent: this.usage.record(completion.usage, { hold }) };
+            } catch (caught) {
+                this.usage.release(hold);
+                // Errors that are not from the HTTP layer (e.g. a provider bug) are treated as network failures
+                const error = caught instanceof LLMRequestError
+                    ? caught
+                    : new LLMRequestError(caught.message, { kind: ERROR_KINDS.NETWORK });
+                
+                (options.log || console).error(`LLM API attempt ${attempt} failed (${error.kind}):`, error.message);
+                this.circuitBreaker.recordFailure(error);
+                
+                if (!error.retryable || attempt === maxRetries) {
+                    const detail = error.retryable ? `after ${attempt} attempts` : `with a non-retryable ${error.kind} error`;
+                    throw new LLMRequestError(`LLM API failed ${detail}: ${error.message}`, error);
+                }
+                if (error.retryAfterMs !== null && error.retryAfterMs > this.retryMaxDelayMs) {
+                    throw new LLMRequestError(
+                        `LLM API asked to retry after ${Math.ceil(error.retryAfterMs / 1000)}s, beyond llm.retryMaxDelayMs: ${error.message}`,
+                        error
+                    );
+                }
+                
+                const retryDelay = this.getRetryDelay(attempt, error);
+                if (error.retryAfterMs !== null) {
+                    // Retry-After applies to every worker sharing the limiter
+                    this.rateLimiter.pause(retryDelay);
+                }
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
             }
         }
     }
 
     /**
-     * Generate system prompt for content rewriting
+     * Delay before the next attempt: the server's Retry-After (never shortened), or capped
+     * exponential backoff, plus up to half a base delay of random jitter
+     */
+    getRetryDelay(attempt, error) {
+        const jitter = Math.round(Math.random() * this.retryBaseDelayMs * 0.5);
+        if (error.retryAfterMs !== null) {
+            return error.retryAfterMs + jitter;
+        }
+        return Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * Math.pow(2, attempt - 1) + jitter);
+    }
+
+    /**
+     * Template variables for an article. context holds title, platform, product, productKey,
+     * heading, nextHeading and language ({ locale, name } from getLanguage)
      */
-    getSystemPrompt() {
-        return `You are an expert technical content writer specializing in software development tutorials. Your task is to rewrite content to improve readability, SEO, and engagement while maintaining technical accuracy.
-
-CRITICAL REQUIREMENTS:
-- Preserve all technical accuracy and facts
-- Keep the same meaning and information
-- Improve readability and flow
-- Enhance SEO-friendly language
-- Maintain professional, educational tone
-- Do NOT change any technical details, API names, or code references
-- Do NOT add new information not present in original
-- Focus on better phrasing and structure
-- PRESERVE ALL LINKS exactly as they appear, including markdown links and Hugo shortcodes like {{< site/baseurl >}}
-- PRESERVE ALL internal references and cross-links to other articles
-- Keep all URLs, file paths, and technical references intact
-
-Your rewrite should be engaging, clear, and informative while staying true to the original content.`;
+    getTemplateVariables({ language = DEFAULT_LANGUAGE, ...context }) {
+        return { ...context, locale: language.locale, language: language.name };
     }
 
     /**
-     * Rewrite opening paragraph
+     * Render the system prompt and a task template into chat messages
+     *
+     * Returns { messages, prompt } where prompt holds the ids of both templates
      */
-    async rewriteOpeningParagraph(originalText, articleTitle, platform) {
-        const messages = [
-            {
-                role: 'system',
-                content: this.getSystemPrompt()
-            },
-            {
-                role: 'user',
-                content: `Please rewrite this opening paragraph for a ${platform} tutorial article titled "${articleTitle}". 
+    buildMessages(name, variables) {
+        const system = this.prompts.render('system', variables);
+        const user = this.prompts.render(name, variables);
+        return {
+            messages: [
+                { role: 'system', content: system.text },
+                { role: 'user', content: user.text }
+            ],
+            prompt: { system: system.id, user: user.id }
+        };
+    }
 
-Make it more engaging and SEO-friendly while preserving all technical information and maintaining the same meaning:
+    /**
+     * Mask protected content, call the LLM with a rendered template, sanitize the output and
+     * restore the protected content
+     *
+     * The template sees the masked text as `text`; candidate and log are passed on to callLLM.
+     * Resolves to { ok, text, sanitization, prompt, usage }, usage being the call's `spent`; when
+     * ok is false the response was unusable (refusal, truncation, lost placeholders, ...) and the
+     * original should be kept
+     */
+    async rewriteMasked(originalText, templateName, variables, candidate = 0, log = console) {
+        const { masked, placeholders } = mask(originalText);
+        const { messages, prompt } = this.buildMessages(templateName, { ...variables, text: masked });
+        const completion = await this.callLLM(messages, this.maxRetries, { input: masked, candidate, log });
+        const sanitized = sanitize(completion, masked);
+        const sanitization = { actions: sanitized.actions, failure: sanitized.failure };
+        const usage = completion.spent;
 
-"${originalText}"
+        if (!sanitized.ok) {
+            return { ok: false, text: null, sanitization, prompt, usage };
+        }
 
-Return ONLY the rewritten paragraph, no additional text or explanations.`
+        try {
+            return { ok: true, text: unmask(sanitized.text, placeholders), sanitization, prompt, usage };
+        } catch (error) {
+            if (error instanceof PlaceholderError) {
+                sanitization.failure = error.message;
+                return { ok: false, text: null, sanitization, prompt, usage };
             }
-        ];
+            throw error;
+        }
+    }
 
-        return await this.callLLM(messages);
+    /**
+     * Generate `count` independent rewrites of one paragraph with the template of its rewrite
+     * target (opening, intro or closing), one request each
+     *
+     * Resolves to an array of rewriteMasked results, each with its 1-based `candidate` number
+     */
+    async rewriteParagraphCandidates(target, originalText, context, count, log = console) {
+        const variables = this.getTemplateVariables(context);
+        const candidates = [];
+        for (let i = 0; i < count; i++) {
+            const rewrite = await this.rewriteMasked(originalText, target, variables, i, log);
+            candidates.push({ ...rewrite, candidate: i + 1 });
+        }
+        return candidates;
     }
 
     /**
-     * Rewrite closing paragraph
+     * Generate an SEO description (and optionally keywords) from the title, product name, headings
+     * and opening paragraph
+     *
+     * Resolves to { ok, description, keywords, failure, prompt, usage }; when ok is false the current values should be kept
      */
-    async rewriteClosingParagraph(originalText, articleTitle, platform) {
-        const messages = [
-            {
-                role: 'system',
-                content: this.getSystemPrompt()
-            },
-            {
-                role: 'user',
-                content: `Please rewrite this closing paragraph for a ${platform} tutorial article titled "${articleTitle}". 
+    async generateSeoFields({ headings, opening, currentDescription, wantKeywords, ...context }, seoConfig, log = console) {
+        const { descriptionMinLength, descriptionMaxLength, maxKeywords } = seoConfig;
+        const { messages, prompt } = this.buildMessages('seo', {
+            ...this.getTemplateVariables(context),
+            headings: headings.map(heading => `- ${heading}`).join('\n') || '- (none)',
+            opening: stripMarkdown(opening),
+            currentDescription,
+            wantKeywords,
+            descriptionMinLength,
+            descriptionMaxLength,
+            maxKeywords
+        });
 
-Make it more engaging and provide a better conclusion while preserving all technical information and maintaining the same meaning:
+        // Offline providers echo the current values back
+        const input = JSON.stringify({ description: currentDescription || '', keywords: [] });
+        const completion = await this.callLLM(messages, this.maxRetries, { input, log });
+        const usage = completion.spent;
+        const fail = failure => ({ ok: false, description: null, keywords: null, failure, prompt, usage });
 
-"${originalText}"
+        if (completion.finishReason === 'length') {
+            return fail('truncated: finish_reason "length"');
+        }
 
-Return ONLY the rewritten paragraph, no additional text or explanations.`
-            }
-        ];
+        let parsed;
+        try {
+            parsed = parseSeoResponse(completion.content);
+        } catch (error) {
+            return fail(error.message);
+        }
 
-        return await this.callLLM(messages);
-    }
+        const problems = validateSeoFields(parsed, seoConfig, { title: context.title, wantKeywords });
+        if (problems.length > 0) {
+            return fail(problems.join('; '));
+        }
 
-    /**
-     * Add delay between API calls to respect rate limits
-     */
-    async delay(ms = 2000) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return {
+            ok: true,
+            description: parsed.description,
+            keywords: wantKeywords ? normalizeKeywords(parsed.keywords) : null,
+            failure: null,
+            prompt,
+            usage
+        };
     }
 }
 
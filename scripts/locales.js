@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Content Locales
+ * Resolves the `{locale}` segment of paths.contentBase: discovers locale and platform directories,
+ * tells which locale a file belongs to, and names the language articles of a locale are written in
+ */
+
+const LOCALE_PLACEHOLDER = '{locale}';
+
+// Language names used in prompts, keyed by the primary subtag of a locale (`pt-br` -> `pt`)
+const LANGUAGE_NAMES = {
+    ar: 'Arabic',
+    cs: 'Czech',
+    de: 'German',
+    el: 'Greek',
+    en: 'English',
+    es: 'Spanish',
+    fa: 'Persian',
+    fr: 'French',
+    he: 'Hebrew',
+    hi: 'Hindi',
+    id: 'Indonesian',
+    it: 'Italian',
+    ja: 'Japanese',
+    ko: 'Korean',
+    nl: 'Dutch',
+    pl: 'Polish',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    sv: 'Swedish',
+    th: 'Thai',
+    tr: 'Turkish',
+    uk: 'Ukrainian',
+    vi: 'Vietnamese',
+    zh: 'Chinese'
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Language of a locale: { locale, code, name }
+ */
+function getLanguage(locale) {
+    const code = String(locale).toLowerCase().split(/[-_]/)[0];
+    return { locale, code, name: LANGUAGE_NAMES[code] || locale };
+}
+
+/**
+ * Locale assumed for a content base without a `{locale}` segment: the first configured locale, or English
+ */
+function getDefaultLocale(locales = []) {
+    return locales.length > 0 ? locales[0] : 'en';
+}
+
+/**
+ * Content base directory of one locale
+ */
+function getLocaleBase(contentBase, locale) {
+    return contentBase.split(LOCALE_PLACEHOLDER).join(locale);
+}
+
+function isDirectory(dirPath) {
+    try {
+        return fs.statSync(dirPath).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Locales with an existing content base, as [{ locale, base }] sorted by locale
+ *
+ * With a `{locale}` segment every directory in that position is a candidate; `locales` (when not
+ * empty) restricts them. Without one, the content base is a single locale (see getDefaultLocale)
+ */
+function discoverLocales(contentBase, locales = []) {
+    if (!contentBase.includes(LOCALE_PLACEHOLDER)) {
+        return isDirectory(contentBase) ? [{ locale: getDefaultLocale(locales), base: contentBase }] : [];
+    }
+
+    const parent = contentBase.slice(0, contentBase.indexOf(LOCALE_PLACEHOLDER));
+    let names;
+    try {
+        names = fs.readdirSync(parent, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    } catch (error) {
+        return [];
+    }
+
+    return names
+        .filter(locale => locales.length === 0 || locales.includes(locale))
+        .map(locale => ({ locale, base: getLocaleBase(contentBase, locale) }))
+        .filter(({ base }) => isDirectory(base))
+        .sort((a, b) => a.locale.localeCompare(b.locale));
+}
+
+/**
+ * Platform directories of a locale's content base, restricted to the configured platforms
+ */
+function discoverPlatforms(localeBase, platforms) {
+    return platforms.filter(platform => isDirectory(path.join(localeBase, platform)));
+}
+
+/**
+ * Locale, locale content base and section (first directory below it) of a file, or null when the
+ * file is outside the content base
+ */
+function resolveContentLocation(filePath, contentBase, locales = []) {
+    const absolutePath = path.resolve(filePath);
+    let locale = getDefaultLocale(locales);
+    let base = path.resolve(contentBase);
+
+    if (contentBase.includes(LOCALE_PLACEHOLDER)) {
+        const [before, after] = path.resolve(contentBase).split(LOCALE_PLACEHOLDER);
+        const separator = escapeRegExp(path.sep);
+        const match = absolutePath.match(new RegExp(`^${escapeRegExp(before)}([^${separator}]+)${escapeRegExp(after)}(?=${separator})`));
+        if (!match) {
+            return null;
+        }
+        locale = match[1];
+        base = getLocaleBase(path.resolve(contentBase), locale);
+    }
+
+    const relative = path.relative(base, absolutePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+
+    const parts = relative.split(path.sep);
+    return { locale, base, section: parts.length < 2 ? null : parts[0] };
+}
+
+module.exports = {
+    LOCALE_PLACEHOLDER,
+    getLanguage,
+    getDefaultLocale,
+    getLocaleBase,
+    discoverLocales,
+    discoverPlatforms,
+    resolveContentLocation
+};
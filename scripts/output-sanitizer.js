@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Output Sanitizer
+ * Strips wrapping artifacts from LLM responses and rejects refusals, empty and truncated output
+ */
+
+const REASONING_TAGS = ['think', 'thinking', 'reasoning', 'analysis'];
+
+const PREAMBLE_PATTERNS = [
+    /^(?:sure|certainly|of course|okay|ok|absolutely)\b[^\n]*?[.!:][ \t]*\n/i,
+    /^here(?:'s| is| are)\b[^\n]*?:[ \t]*\n/i,
+    /^(?:rewritten|revised|improved|updated)\s+(?:opening |closing |section |intro )?(?:paragraph|version|text)\s*:\s*/i
+];
+
+const POSTAMBLE_PATTERNS = [
+    /\n\s*(?:let me know|i hope this|feel free|this (?:rewrite|version|revision) )[^\n]*$/i
+];
+
+const REFUSAL_PATTERNS = [
+    /^(?:i'?m sorry|i am sorry|sorry,|i apologi[sz]e)/i,
+    /^(?:i can(?:no|')t|i am unable|i'?m unable|i won'?t)\b/i,
+    /^as an ai\b/i
+];
+
+const WRAPPING_QUOTES = [['"', '"'], ['“', '”'], ["'", "'"], ['«', '»']];
+
+/**
+ * Remove <think>...</think>-style reasoning blocks, including an unclosed leading block
+ */
+function stripReasoning(text, actions) {
+    let result = text;
+    for (const tag of REASONING_TAGS) {
+        const closed = new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi');
+        if (closed.test(result)) {
+            result = result.replace(closed, '');
+            actions.push(`removed <${tag}> block`);
+        }
+        const unclosed = new RegExp(`^\\s*<${tag}>[\\s\\S]*$`, 'i');
+        if (unclosed.test(result)) {
+            result = '';
+            actions.push(`removed unclosed <${tag}> block`);
+        }
+    }
+    return result.trim();
+}
+
+/**
+ * Unwrap output that is entirely inside a markdown code fence
+ */
+function stripCodeFence(text, actions) {
+    const fenceMatch = text.match(/^```[\w-]*\s*\n([\s\S]*?)\n\s*```$/);
+    if (fenceMatch) {
+        actions.push('removed code fence');
+        return fenceMatch[1].trim();
+    }
+    return text;
+}
+
+function stripPatterns(text, patterns, label, actions) {
+    let result = text;
+    for (const pattern of patterns) {
+        if (pattern.test(result)) {
+            result = result.replace(pattern, '').trim();
+            actions.push(label);
+        }
+    }
+    return result;
+}
+
+/**
+ * Remove one pair of quotes wrapping the whole output
+ */
+function stripWrappingQuotes(text, originalText, actions) {
+    for (const [open, close] of WRAPPING_QUOTES) {
+        if (text.length > 1 && text.startsWith(open) && text.endsWith(close) &&
+            !(originalText.startsWith(open) && originalText.endsWith(close))) {
+            actions.push('removed wrapping quotes');
+            return text.slice(open.length, text.length - close.length).trim();
+        }
+    }
+    return text;
+}
+
+/**
+ * Output that stops mid-sentence although the original ended a sentence
+ */
+function looksTruncated(text, originalText) {
+    const originalEndsSentence = /[.!?]["')\]]?\s*$/.test(originalText);
+    const endsCleanly = /(?:[.!?:)"'`\]]|@@|\}\})\s*$/.test(text);
+    return originalEndsSentence && !endsCleanly;
+}
+
+/**
+ * Sanitize a completion
+ *
+ * Returns { ok, text, actions, failure } - when ok is false the caller should keep the original text
+ */
+function sanitize(completion, originalText) {
+    const actions = [];
+    const fail = failure => ({ ok: false, text: null, actions, failure });
+
+    if (completion.finishReason === 'length') {
+        return fail('truncated: finish_reason "length"');
+    }
+
+    let text = (completion.content || '').trim();
+    text = stripReasoning(text, actions);
+    text = stripCodeFence(text, actions);
+    text = stripPatterns(text, PREAMBLE_PATTERNS, 'removed preamble', actions);
+    text = stripPatterns(text, POSTAMBLE_PATTERNS, 'removed closing remark', actions);
+    text = stripWrappingQuotes(text, originalText, actions);
+
+    if (text.length === 0) {
+        return fail('empty output');
+    }
+
+    if (REFUSAL_PATTERNS.some(pattern => pattern.test(text))) {
+        return fail('refusal');
+    }
+
+    if (looksTruncated(text, originalText)) {
+        return fail('truncated: output ends mid-sentence');
+    }
+
+    return { ok: true, text, actions, failure: null };
+}
+
+module.exports = {
+    sanitize
+};
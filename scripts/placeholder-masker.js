@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Placeholder Masker
+ * Swaps protected content (inline code, link targets, Hugo shortcodes, bare URLs) for opaque
+ * tokens before text is sent to the LLM, and restores it afterwards
+ */
+
+const TOKEN_PATTERN = /@@P(\d+)@@/g;
+
+// Anything that looks like a token, including ones the model mangled (spaces, case)
+const TOKEN_LIKE_PATTERN = /@@\s*p\s*\d+\s*@@/gi;
+
+/**
+ * Protected patterns in masking order - earlier patterns win, so a link target that contains
+ * a shortcode becomes a single token
+ */
+const PROTECTED_PATTERNS = [
+    { kind: 'code', pattern: /(`+)[\s\S]*?\1/g },
+    { kind: 'link-target', pattern: /(\]\()([^)]*)(\))/g, group: 2 },
+    { kind: 'shortcode', pattern: /\{\{[<%][\s\S]*?[%>]\}\}/g },
+    { kind: 'url', pattern: /\b(?:https?|ftp):\/\/[^\s<>"')\]]*[^\s<>"')\].,;:!?]/g }
+];
+
+class PlaceholderError extends Error {
+    constructor(problems) {
+        super(`Placeholder check failed: ${problems.join('; ')}`);
+        this.name = 'PlaceholderError';
+        this.problems = problems;
+    }
+}
+
+function tokenFor(index) {
+    return `@@P${index}@@`;
+}
+
+/**
+ * Replace protected content with tokens
+ *
+ * Returns { masked, placeholders } where placeholders is [{ token, value, kind }]
+ */
+function mask(text) {
+    const placeholders = [];
+    let masked = text;
+
+    for (const { kind, pattern, group } of PROTECTED_PATTERNS) {
+        masked = masked.replace(pattern, (match, ...groups) => {
+            const value = group ? groups[group - 1] : match;
+
+            // Skip empty link targets and text that is already a token
+            if (!value || /^@@P\d+@@$/.test(value)) {
+                return match;
+            }
+
+            const token = tokenFor(placeholders.length);
+            placeholders.push({ token, value, kind });
+
+            return group ? `${groups[0]}${token}${groups[2]}` : token;
+        });
+    }
+
+    return { masked, placeholders };
+}
+
+/**
+ * Restore tokens to their original values
+ *
+ * Throws PlaceholderError if any token is missing, duplicated or altered
+ */
+function unmask(text, placeholders) {
+    const problems = [];
+    const known = new Set(placeholders.map(placeholder => placeholder.token));
+
+    for (const { token, value } of placeholders) {
+        const count = text.split(token).length - 1;
+        if (count === 0) {
+            problems.push(`missing ${token} (${value})`);
+        } else if (count > 1) {
+            problems.push(`duplicated ${token} (${value}) x${count}`);
+        }
+    }
+
+    // Tokens we never issued, or issued tokens the model reformatted
+    for (const match of text.match(TOKEN_LIKE_PATTERN) || []) {
+        if (!known.has(match)) {
+            problems.push(`unknown or altered placeholder ${match}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new PlaceholderError(problems);
+    }
+
+    // A replacer function keeps `$&`-style sequences in restored values literal
+    return text.replace(TOKEN_PATTERN, token => placeholders.find(placeholder => placeholder.token === token).value);
+}
+
+module.exports = {
+    mask,
+    unmask,
+    PlaceholderError
+};
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { structuredPatch } = require('diff');
+
+/**
+ * Preview Writer for dry runs
+ * Writes unified diffs of proposed rewrites instead of touching the content tree
+ */
+
+class PreviewWriter {
+    constructor(previewDir, repoRoot) {
+        this.previewDir = previewDir;
+        this.repoRoot = repoRoot;
+        this.patches = [];
+    }
+
+    /**
+     * Remove diffs left over from a previous dry run
+     */
+    reset() {
+        this.patches = [];
+        if (!fs.existsSync(this.previewDir)) {
+            return;
+        }
+        for (const file of fs.readdirSync(this.previewDir)) {
+            if (file.endsWith('.diff') || file.endsWith('.patch')) {
+                fs.unlinkSync(path.join(this.previewDir, file));
+            }
+        }
+    }
+
+    /**
+     * Repository-relative path with forward slashes
+     */
+    getRelativePath(filePath) {
+        return path.relative(this.repoRoot, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Build a git-style unified diff for one file
+     */
+    createUnifiedDiff(filePath, originalContent, newContent) {
+        const relativePath = this.getRelativePath(filePath);
+        const patch = structuredPatch(relativePath, relativePath, originalContent, newContent, '', '', { context: 3 });
+
+        if (patch.hunks.length === 0) {
+            return '';
+        }
+
+        const lines = [
+            `diff --git a/${relativePath} b/${relativePath}`,
+            `--- a/${relativePath}`,
+            `+++ b/${relativePath}`
+        ];
+
+        for (const hunk of patch.hunks) {
+            lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+            lines.push(...hunk.lines);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write the diff for a single article and remember it for the combined patch
+     */
+    writeArticleDiff(filePath, originalContent, newContent) {
+        const diff = this.createUnifiedDiff(filePath, originalContent, newContent);
+        if (!diff) {
+            return null;
+        }
+
+        fs.mkdirSync(this.previewDir, { recursive: true });
+        // Flatten the relative path so java/net articles with the same slug do not collide
+        const diffName = this.getRelativePath(filePath).replace(/\.md$/, '').replace(/\//g, '__');
+        const diffPath = path.join(this.previewDir, `${diffName}.diff`);
+        fs.writeFileSync(diffPath, diff);
+
+        this.patches.push({ filePath, diff });
+        return diffPath;
+    }
+
+    /**
+     * Write all article diffs into a single patch that can be applied with `git apply`;
+     * `order` (absolute file paths) fixes the article order regardless of completion order
+     */
+    writeCombinedPatch(fileName = 'rewrite.patch', order = null) {
+        if (this.patches.length === 0) {
+            return null;
+        }
+
+        const patches = order
+            ? [...this.patches].sort((a, b) => order.indexOf(a.filePath) - order.indexOf(b.filePath))
+            : this.patches;
+
+        fs.mkdirSync(this.previewDir, { recursive: true });
+        const patchPath = path.join(this.previewDir, fileName);
+        fs.writeFileSync(patchPath, patches.map(patch => patch.diff).join(''));
+        return patchPath;
+    }
+}
+
+module.exports = PreviewWriter;
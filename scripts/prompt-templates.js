@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FrontMatter = require('./front-matter.js');
+const { loadConfigOrExit } = require('./config.js');
+
+/**
+ * Prompt Templates
+ * Loads the LLM prompts from markdown files in paths.promptDir, resolves per-product and
+ * per-platform overrides and renders them with article variables
+ *
+ * A template is a markdown file with a `version` in its front matter. The body may use
+ * `{{variable}}` and `{{#if variable}}...{{/if}}`; Hugo shortcodes such as {{< site/baseurl >}} are
+ * left alone. Overrides live in products/<productkey>/<name>.md and platforms/<platform>/<name>.md
+ */
+
+const REQUIRED_TEMPLATES = ['system', 'opening', 'intro', 'closing', 'seo'];
+
+// Every variable a template may use; unknown names are rejected when the templates are loaded
+const VARIABLES = [
+    'title', 'platform', 'product', 'productKey', 'locale', 'language',
+    'heading', 'nextHeading', 'text',
+    'headings', 'opening', 'currentDescription', 'wantKeywords',
+    'descriptionMinLength', 'descriptionMaxLength', 'maxKeywords'
+];
+
+const VARIABLE_TAG = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+const IF_BLOCK = /\{\{#if\s+([A-Za-z]\w*)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/g;
+
+/**
+ * Error raised when prompt templates are missing or invalid
+ */
+class PromptTemplateError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'PromptTemplateError';
+        this.problems = problems;
+    }
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Resolve {{#if}} blocks innermost first, keeping a block's content when keep(variable) is true
+ */
+function resolveBlocks(text, keep) {
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(IF_BLOCK, (match, variable, inner) => (keep(variable) ? inner : ''));
+    } while (text !== previous);
+    return text;
+}
+
+/**
+ * Markdown files below a directory as paths relative to it, using forward slashes
+ */
+function listTemplateFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...listTemplateFiles(dir, relative));
+        } else if (entry.name.endsWith('.md')) {
+            files.push(relative);
+        }
+    }
+    return files.sort();
+}
+
+class PromptTemplates {
+    constructor(promptDir) {
+        this.promptDir = promptDir;
+        this.templates = new Map();
+
+        let files;
+        try {
+            files = listTemplateFiles(promptDir);
+        } catch (error) {
+            throw new PromptTemplateError(`Could not read prompt templates from ${promptDir}: ${error.message}`);
+        }
+
+        const problems = [];
+        for (const file of files) {
+            try {
+                const template = PromptTemplates.parse(fs.readFileSync(path.join(promptDir, file), 'utf8'), file.replace(/\.md$/, ''));
+                this.templates.set(template.key, template);
+            } catch (error) {
+                problems.push(`${file}: ${error.message}`);
+            }
+        }
+        for (const name of REQUIRED_TEMPLATES) {
+            if (!this.templates.has(name)) {
+                problems.push(`${name}.md is missing`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new PromptTemplateError(`Invalid prompt templates in ${promptDir}`, problems);
+        }
+    }
+
+    /**
+     * Parse a template file; key is its path below the prompt directory without `.md`
+     *
+     * Returns { key, name, version, hash, id, body }, where id (`key@version#hash`) changes with
+     * every edit of the file
+     */
+    static parse(source, key) {
+        const fields = FrontMatter.parse(source);
+        const version = fields.get('version');
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('front matter needs an integer `version` >= 1');
+        }
+
+        const body = fields.content.replace(/^(?:\r?\n)+|\s+$/g, '');
+        const unknown = [...body.matchAll(VARIABLE_TAG), ...body.matchAll(/\{\{#if\s+([A-Za-z]\w*)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(variable => !VARIABLES.includes(variable));
+        if (unknown.length > 0) {
+            throw new Error(`unknown variables: ${[...new Set(unknown)].join(', ')}`);
+        }
+        if (/\{\{[#/]if\b/.test(resolveBlocks(body, () => false))) {
+            throw new Error('unbalanced {{#if}} block');
+        }
+
+        const hash = crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex').slice(0, 8);
+        return {
+            key,
+            name: key.split('/').pop(),
+            version,
+            hash,
+            id: `${key}@${version}#${hash}`,
+            body
+        };
+    }
+
+    /**
+     * Templates configured by paths.promptDir
+     */
+    static fromConfig(config) {
+        return new PromptTemplates(config.paths.promptDir);
+    }
+
+    /**
+     * Template for an article: the product override, then the platform override, then the default
+     */
+    resolve(name, { platform = null, productKey = null } = {}) {
+        const keys = [
+            productKey ? `products/${productKey}/${name}` : null,
+            platform ? `platforms/${platform}/${name}` : null,
+            name
+        ];
+        const key = keys.find(candidate => candidate && this.templates.has(candidate));
+        if (!key) {
+            throw new PromptTemplateError(`No prompt template named ${name}`);
+        }
+        return this.templates.get(key);
+    }
+
+    /**
+     * Render the template for an article with the given variables (null and undefined render empty)
+     *
+     * Returns { id, text }
+     */
+    render(name, variables) {
+        const template = this.resolve(name, variables);
+        const value = variable => (variables[variable] === null || variables[variable] === undefined ? '' : String(variables[variable]));
+
+        const text = resolveBlocks(template.body, variable => isTruthy(variables[variable]))
+            .replace(VARIABLE_TAG, (match, variable) => value(variable));
+
+        return { id: template.id, text };
+    }
+}
+
+// Main execution - list the templates and their ids
+if (require.main === module) {
+    const config = loadConfigOrExit();
+    try {
+        const prompts = PromptTemplates.fromConfig(config);
+        console.log(`📂 Prompt templates in ${prompts.promptDir}:`);
+        for (const template of prompts.templates.values()) {
+            console.log(`  ${template.id}`);
+        }
+    } catch (error) {
+        if (!(error instanceof PromptTemplateError)) throw error;
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    PromptTemplates,
+    PromptTemplateError,
+    VARIABLES
+};
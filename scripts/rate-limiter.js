@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Limiter
+ * Token buckets for requests per minute and LLM tokens per minute, shared by every LLM call.
+ * Callers acquire capacity in FIFO order, so concurrent workers cannot starve each other
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+class TokenBucket {
+    /**
+     * A bucket holding up to one minute of capacity; a perMinute of 0 means unlimited
+     */
+    constructor(perMinute, now) {
+        this.capacity = perMinute;
+        this.available = perMinute;
+        this.refillPerMs = perMinute / MINUTE_MS;
+        this.updatedAt = now;
+    }
+
+    get unlimited() {
+        return this.capacity === 0;
+    }
+
+    refill(now) {
+        this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until `amount` is available (0 when it already is)
+     */
+    waitTime(amount, now) {
+        if (this.unlimited) return 0;
+        this.refill(now);
+        const deficit = Math.min(amount, this.capacity) - this.available;
+        return deficit > 0 ? Math.ceil(deficit / this.refillPerMs) : 0;
+    }
+
+    take(amount) {
+        if (!this.unlimited) {
+            this.available -= Math.min(amount, this.capacity);
+        }
+    }
+
+    /**
+     * Return over-estimated capacity, or charge under-estimated usage (the bucket may go into debt)
+     */
+    adjust(amount) {
+        if (!this.unlimited) {
+            this.available = Math.min(this.capacity, this.available + amount);
+        }
+    }
+}
+
+class RateLimiter {
+    constructor({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}, clock = { now: () => Date.now(), sleep: ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+        this.clock = clock;
+        this.requests = new TokenBucket(requestsPerMinute, clock.now());
+        this.tokens = new TokenBucket(tokensPerMinute, clock.now());
+        this.queue = Promise.resolve();
+        this.pausedUntil = 0;
+        this.stats = { requests: 0, waits: 0, waitedMs: 0 };
+    }
+
+    /**
+     * Rough token estimate for a request: prompt characters / 4 plus the completion budget
+     */
+    static estimateTokens(messages, maxTokens) {
+        const promptChars = messages.reduce((total, message) => total + message.content.length, 0);
+        return Math.ceil(promptChars / 4) + maxTokens;
+    }
+
+    /**
+     * Wait until one request and `tokens` tokens are available, then take them
+     */
+    acquire(tokens = 0) {
+        const turn = this.queue.then(() => this.waitForCapacity(tokens));
+        // A failed wait must not block later callers
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Hold every caller back for `ms`, e.g. when the server answers 429 with Retry-After
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.clock.now() + ms);
+    }
+
+    async waitForCapacity(tokens) {
+        let wait;
+        while ((wait = Math.max(
+            this.pausedUntil - this.clock.now(),
+            this.requests.waitTime(1, this.clock.now()),
+            this.tokens.waitTime(tokens, this.clock.now())
+        )) > 0) {
+            this.stats.waits++;
+            this.stats.waitedMs += wait;
+            await this.clock.sleep(wait);
+        }
+
+        this.requests.take(1);
+        this.tokens.take(tokens);
+        this.stats.requests++;
+    }
+
+    /**
+     * Correct the token bucket once the real usage of a request is known
+     */
+    settle(estimatedTokens, actualTokens) {
+        if (Number.isFinite(actualTokens)) {
+            this.tokens.adjust(estimatedTokens - actualTokens);
+        }
+    }
+}
+
+module.exports = RateLimiter;
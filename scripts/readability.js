@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Readability Scoring
+ * Scores paragraphs with Flesch reading ease, average sentence length, passive-voice ratio and
+ * long-word ratio, and compares an original paragraph with its rewrite
+ */
+
+// Abbreviations whose period does not end a sentence
+const ABBREVIATIONS = /\b(?:e\.g|i\.e|etc|vs|approx|incl|esp|fig|no|mr|mrs|ms|dr)\.(?=\s)/gi;
+
+const PASSIVE_PATTERN = new RegExp(
+    '\\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(?:\\w+ly\\s+)?' +
+    '(?:\\w+ed|built|done|found|given|known|made|run|seen|set|shown|taken|thrown|used|written|sent|kept|put|read)\\b',
+    'i'
+);
+
+// Words with more than six letters count as long (as in the LIX index)
+const LONG_WORD_LETTERS = 7;
+
+function round(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Markdown paragraph as plain prose: link texts kept, code/shortcodes/URLs reduced to one word
+ */
+function toPlainText(text) {
+    return text
+        .replace(/\{\{[<%][\s\S]*?[%>]\}\}/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(`+)[\s\S]*?\1/g, 'code')
+        .replace(/\b(?:https?|ftp):\/\/\S+/g, 'link')
+        .replace(/[*_~]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function splitSentences(text) {
+    return text
+        .replace(ABBREVIATIONS, match => match.replace('.', ''))
+        .split(/(?<=[.!?])\s+(?=["'(]?[A-Z0-9])/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => /[A-Za-z]/.test(sentence));
+}
+
+function getWords(text) {
+    return text.match(/[A-Za-z][A-Za-z'’-]*|\d+(?:[.,]\d+)*/g) || [];
+}
+
+/**
+ * Heuristic English syllable count (vowel groups, minus a silent final e)
+ */
+function countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) return 1;
+    if (letters.length <= 3) return 1;
+
+    const groups = letters
+        .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+        .replace(/^y/, '')
+        .match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Readability metrics for a paragraph
+ *
+ * Returns { fleschReadingEase, averageSentenceLength, passiveVoiceRatio, longWordRatio, sentences, words }
+ */
+function scoreReadability(text) {
+    const plain = toPlainText(text);
+    const sentences = splitSentences(plain);
+    const words = getWords(plain);
+
+    if (sentences.length === 0 || words.length === 0) {
+        return { fleschReadingEase: 0, averageSentenceLength: 0, passiveVoiceRatio: 0, longWordRatio: 0, sentences: 0, words: 0 };
+    }
+
+    const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+    const wordsPerSentence = words.length / sentences.length;
+    const letterWords = words.filter(word => /[A-Za-z]/.test(word));
+
+    return {
+        fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / words.length)),
+        averageSentenceLength: round(wordsPerSentence),
+        passiveVoiceRatio: round(sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)).length / sentences.length, 2),
+        longWordRatio: round(letterWords.filter(word => word.replace(/[^A-Za-z]/g, '').length >= LONG_WORD_LETTERS).length / words.length, 2),
+        sentences: sentences.length,
+        words: words.length
+    };
+}
+
+/**
+ * Compare an original paragraph with its rewrite
+ *
+ * The rewrite is rejected when its Flesch reading ease is lower than the original's by more than
+ * `margin` points. Returns { accepted, original, rewritten, delta, reason }
+ */
+function compareReadability(originalText, rewrittenText, margin) {
+    const original = scoreReadability(originalText);
+    const rewritten = scoreReadability(rewrittenText);
+    const delta = round(rewritten.fleschReadingEase - original.fleschReadingEase);
+    const accepted = delta >= -margin;
+
+    return {
+        accepted,
+        original,
+        rewritten,
+        delta,
+        reason: accepted
+            ? null
+            : `readability: Flesch reading ease dropped from ${original.fleschReadingEase} to ${rewritten.fleschReadingEase} (more than ${margin} points)`
+    };
+}
+
+module.exports = {
+    scoreReadability,
+    compareReadability,
+    countSyllables
+};
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { diffWordsWithSpace } = require('diff');
+const { formatUsage } = require('./usage-tracker.js');
+
+/**
+ * Review Report
+ * Renders the processing report for reviewers: every rewritten paragraph next to its original with
+ * word-level changes highlighted, the quality scores of the picked rewrite and the validator's
+ * warnings. The Markdown version is the pull request body, the HTML version a standalone page
+ */
+
+// GitHub rejects pull request bodies longer than 65536 characters
+const MAX_MARKDOWN_LENGTH = 60000;
+
+const MARKDOWN_CHECKLIST = [
+    'Content accuracy maintained',
+    'Technical details preserved',
+    'Links and references intact',
+    'Code samples unchanged',
+    'SEO improvements look good',
+    'No broken markdown formatting'
+];
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1400px; padding: 0 1rem; color: #1f2328; }
+h1, h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; table-layout: fixed; }
+th, td { border: 1px solid #d0d7de; padding: .5rem .75rem; vertical-align: top; text-align: left; white-space: pre-wrap; overflow-wrap: anywhere; }
+th { background: #f6f8fa; }
+td.section { width: 16rem; white-space: normal; }
+del { background: #ffebe9; color: #82071e; }
+ins { background: #dafbe1; color: #116329; text-decoration: none; }
+.scores { color: #59636e; font-size: .85em; }
+.kept { color: #9a6700; font-style: italic; white-space: normal; }
+.warning { color: #9a6700; }
+.error { color: #d1242f; }
+code { background: #f6f8fa; padding: .1rem .3rem; border-radius: 4px; }
+`;
+
+/**
+ * Word-level diff of a paragraph and its rewrite as two lists of { text, changed } segments:
+ * the original's words (changed = removed) and the rewrite's words (changed = added)
+ */
+function diffWords(original, rewritten) {
+    const before = [];
+    const after = [];
+    for (const part of diffWordsWithSpace(original, rewritten)) {
+        if (!part.added) {
+            before.push({ text: part.value, changed: Boolean(part.removed) });
+        }
+        if (!part.removed) {
+            after.push({ text: part.value, changed: Boolean(part.added) });
+        }
+    }
+    return { before, after };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Markdown-safe text for a table cell: markup shows as typed and line breaks become <br>
+ */
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/[\\`*_[\]|~]/g, '\\$&')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Diff segments joined into one string, wrapping changed runs in `tag` (trailing spaces stay outside)
+ */
+function renderSegments(segments, tag, escape) {
+    return segments.map(({ text, changed }) => {
+        if (!changed || !text.trim()) {
+            return escape(text);
+        }
+        const [, leading, words, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return `${escape(leading)}<${tag}>${escape(words)}</${tag}>${escape(trailing)}`;
+    }).join('');
+}
+
+function formatSigned(value) {
+    return `${value >= 0 ? '+' : ''}${value}`;
+}
+
+class ReviewReport {
+    constructor(report, repoRoot) {
+        this.report = report;
+        this.repoRoot = repoRoot;
+    }
+
+    /**
+     * Repository-relative path of an article with forward slashes
+     */
+    getRelativePath(file) {
+        return path.relative(this.repoRoot, file.filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Label of a report paragraph: Opening, Intro of "<heading>", Closing <n>
+     */
+    static getSectionLabel(paragraph) {
+        const [target, number] = paragraph.section.split(':');
+        if (target === 'opening') {
+            return 'Opening';
+        }
+        if (target === 'intro') {
+            return paragraph.heading ? `Intro of "${paragraph.heading}"` : `Intro ${number}`;
+        }
+        return `Closing ${number}`;
+    }
+
+    /**
+     * Quality scores of a paragraph's rewrite, e.g. ['Flesch 52.1 → 61.4 (+9.3)', 'similarity 0.71']
+     */
+    static getScores(paragraph) {
+        const scores = [];
+        if (paragraph.readability) {
+            const { before, after, fleschDelta } = paragraph.readability;
+            scores.push(`Flesch ${before.fleschReadingEase} → ${after.fleschReadingEase} (${formatSigned(fleschDelta)})`);
+        }
+        if (paragraph.similarity) {
+            scores.push(`similarity ${paragraph.similarity.score}`);
+            scores.push(`key terms ${Math.round(paragraph.similarity.keyTermCoverage * 100)}%`);
+        }
+        if (paragraph.language && paragraph.language.detected) {
+            scores.push(`language ${paragraph.language.detected} (${paragraph.language.confidence})`);
+        }
+        if (paragraph.candidates && paragraph.candidates.generated > 1 && paragraph.candidates.chosen) {
+            scores.push(`candidate ${paragraph.candidates.chosen} of ${paragraph.candidates.generated}`);
+        }
+        return scores;
+    }
+
+    /**
+     * Run totals across articles and paragraphs
+     */
+    getTotals() {
+        const paragraphs = this.report.files.flatMap(file => file.paragraphs || []);
+        return {
+            ...this.report.summary,
+            rewritten: paragraphs.filter(paragraph => paragraph.status === 'rewritten').length,
+            kept: paragraphs.filter(paragraph => paragraph.status !== 'rewritten').length
+        };
+    }
+
+    /**
+     * Paragraphs kept original per rejecting check, "2 readability, 1 duplicate" (null when none)
+     */
+    static formatRejections(rejections) {
+        const counts = Object.entries(rejections || {});
+        return counts.length > 0 ? counts.map(([check, count]) => `${count} ${check}`).join(', ') : null;
+    }
+
+    /**
+     * Details listed above an article's paragraphs: changes, readability, SEO fields, LLM usage, warnings
+     */
+    static getArticleNotes(file) {
+        const notes = [];
+        if (file.changes && file.changes.length > 0) {
+            notes.push(['Changes', file.changes.join(', ')]);
+        }
+        if (file.readability && file.readability.fleschBefore !== null) {
+            notes.push(['Readability', `Flesch reading ease ${file.readability.fleschBefore} → ${file.readability.fleschAfter}`]);
+        }
+        const rejections = ReviewReport.formatRejections(file.rejections);
+        if (rejections) {
+            notes.push(['Rejected by', rejections]);
+        }
+        if (file.seo) {
+            if (file.seo.updated.includes('description')) {
+                notes.push(['Description', file.seo.description.after]);
+            }
+            if (file.seo.keywords && file.seo.updated.length > 0) {
+                notes.push(['Keywords', file.seo.keywords.join(', ')]);
+            }
+            if (file.seo.failure) {
+                notes.push(['SEO fields kept', file.seo.failure]);
+            }
+        }
+        if (file.usage) {
+            notes.push(['LLM usage', formatUsage(file.usage)]);
+        }
+        for (const warning of file.warnings || []) {
+            notes.push(['Warning', warning]);
+        }
+        return notes;
+    }
+
+    /**
+     * Markdown table row for one paragraph: label and scores, original, rewrite
+     */
+    static renderMarkdownRow(paragraph) {
+        const scores = ReviewReport.getScores(paragraph);
+        const label = `**${escapeMarkdown(ReviewReport.getSectionLabel(paragraph))}**${scores.length > 0 ? `<br><sub>${escapeMarkdown(scores.join(' · '))}</sub>` : ''}`;
+
+        if (paragraph.rewritten === null || paragraph.rewritten === undefined) {
+            const reason = paragraph.sanitization && paragraph.sanitization.failure;
+            return `| ${label} | ${escapeMarkdown(paragraph.original || '')} | _Kept original${reason ? `: ${escapeMarkdown(reason)}` : ''}_ |`;
+        }
+
+        const { before, after } = diffWords(paragraph.original, paragraph.rewritten);
+        return `| ${label} | ${renderSegments(before, 'del', escapeMarkdown)} | ${renderSegments(after, 'ins', escapeMarkdown)} |`;
+    }
+
+    /**
+     * Markdown section for a rewritten article; without paragraphs only the notes are listed
+     */
+    renderMarkdownArticle(file, withParagraphs = true) {
+        const lines = [
+            `#### \`${file.fileName}\` (${file.locale}, ${String(file.platform).toUpperCase()})`,
+            '',
+            `\`${this.getRelativePath(file)}\``,
+            ''
+        ];
+        for (const [name, value] of ReviewReport.getArticleNotes(file)) {
+            lines.push(`- ${name === 'Warning' ? '⚠️ ' : ''}**${name}**: ${escapeMarkdown(value)}`);
+        }
+
+        const paragraphs = file.paragraphs || [];
+        if (withParagraphs && paragraphs.length > 0) {
+            lines.push('', '| Paragraph | Before | After |', '|---|---|---|');
+            lines.push(...paragraphs.map(paragraph => ReviewReport.renderMarkdownRow(paragraph)));
+        } else if (paragraphs.length > 0) {
+            lines.push('', '_Paragraphs left out to keep this description within GitHub\'s size limit; see `review-report.html` in the workflow artifacts._');
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Pull request body: summary, side-by-side paragraphs per rewritten article, skipped and failed
+     * articles, review checklist. Articles whose paragraphs no longer fit the size limit are
+     * listed without them
+     */
+    renderMarkdown() {
+        const totals = this.getTotals();
+        const { readability } = this.report;
+        const rejections = ReviewReport.formatRejections(this.report.rejections);
+        const files = this.report.files;
+
+        const head = [
+            '## 🤖 Automated Content Enhancement',
+            '',
+            'This PR contains automated improvements to knowledge base articles using AI-powered rewriting.',
+            'Each paragraph is shown next to its original: removed words are <del>struck through</del>, added words are <ins>underlined</ins>.',
+            '',
+            '### 📊 Summary',
+            `- **Run**: \`${this.report.runId}\``,
+            `- **Articles**: ${totals.successful} rewritten, ${totals.skipped} skipped, ${totals.failed} failed`,
+            `- **Paragraphs**: ${totals.rewritten} rewritten, ${totals.kept} kept original${rejections ? ` (rejected by ${rejections})` : ''}`
+        ];
+        if (readability && readability.scored > 0 && readability.fleschBefore !== null) {
+            head.push(`- **Readability**: average Flesch reading ease of the rewritten paragraphs (higher is easier to read) ${readability.fleschBefore} → ${readability.fleschAfter}`);
+        }
+        if (this.report.usage) {
+            head.push(`- **LLM usage**: ${formatUsage(this.report.usage)}${this.report.usage.budget.reason ? `; budget exhausted: ${this.report.usage.budget.reason}` : ''}`);
+        }
+
+        const tail = [];
+        const skipped = files.filter(file => file.status === 'skipped');
+        if (skipped.length > 0) {
+            tail.push('', '### ⏭️ Skipped Articles');
+            for (const file of skipped) {
+                tail.push(`- \`${file.fileName}\` - ${escapeMarkdown(file.reason)}`);
+                for (const paragraph of (file.paragraphs || []).filter(entry => entry.sanitization && entry.sanitization.failure)) {
+                    tail.push(`  - ${escapeMarkdown(ReviewReport.getSectionLabel(paragraph))}: ${escapeMarkdown(paragraph.sanitization.failure)}`);
+                }
+            }
+        }
+        const failed = files.filter(file => file.status === 'error');
+        if (failed.length > 0) {
+            tail.push('', '### ⚠️ Processing Errors');
+            tail.push(...failed.map(file => `- \`${file.fileName}\` - ${escapeMarkdown(file.error)}`));
+        }
+        tail.push('', '### ✅ Review Checklist', ...MARKDOWN_CHECKLIST.map(item => `- [ ] ${item}`));
+        tail.push('', '---', '*This PR was automatically generated by the Content Rewriting workflow.*');
+
+        const articles = [];
+        let length = head.join('\n').length + tail.join('\n').length;
+        for (const file of files.filter(entry => entry.status === 'success')) {
+            let section = this.renderMarkdownArticle(file);
+            if (length + section.length > MAX_MARKDOWN_LENGTH) {
+                section = this.renderMarkdownArticle(file, false);
+            }
+            length += section.length;
+            articles.push(section);
+        }
+
+        const body = articles.length > 0 ? ['', '### 📄 Rewritten Articles', '', articles.join('\n')] : [];
+        return [...head, ...body, ...tail].join('\n') + '\n';
+    }
+
+    /**
+     * HTML table row for one paragraph
+     */
+    static renderHtmlRow(paragraph) {
+        const scores = ReviewReport.getScores(paragraph);
+        const label = `<strong>${escapeHtml(ReviewReport.getSectionLabel(paragraph))}</strong>` +
+            (scores.length > 0 ? `<div class="scores">${scores.map(escapeHtml).join('<br>')}</div>` : '');
+
+        let before;
+        let after;
+        if (paragraph.rewritten === null || paragraph.rewritten === undefined) {
+            const reason = paragraph.sanitization && paragraph.sanitization.failure;
+            before = escapeHtml(paragraph.original || '');
+            after = `<span class="kept">Kept original${reason ? `: ${escapeHtml(reason)}` : ''}</span>`;
+        } else {
+            const diff = diffWords(paragraph.original, paragraph.rewritten);
+            before = renderSegments(diff.before, 'del', escapeHtml);
+            after = renderSegments(diff.after, 'ins', escapeHtml);
+        }
+        return `<tr><td class="section">${label}</td><td>${before}</td><td>${after}</td></tr>`;
+    }
+
+    /**
+     * Standalone HTML page with every processed article, including skipped and failed ones
+     */
+    renderHtml() {
+        const totals = this.getTotals();
+        const rejections = ReviewReport.formatRejections(this.report.rejections);
+        const statusLabels = { success: '✅ Rewritten', skipped: '⏭️ Skipped', error: '❌ Failed' };
+
+        const sections = this.report.files.map(file => {
+            const parts = [
+                `<section>`,
+                `<h2>${escapeHtml(file.fileName)}${file.locale ? ` <small>(${escapeHtml(file.locale)}, ${escapeHtml(String(file.platform).toUpperCase())})</small>` : ''}</h2>`,
+                `<p><code>${escapeHtml(this.getRelativePath(file))}</code> - ${statusLabels[file.status] || escapeHtml(file.status)}</p>`
+            ];
+            const notes = ReviewReport.getArticleNotes(file);
+            if (file.reason) {
+                notes.unshift(['Reason', file.reason]);
+            }
+            if (file.error) {
+                notes.unshift(['Error', file.error]);
+            }
+            if (notes.length > 0) {
+                parts.push('<ul>', ...notes.map(([name, value]) => {
+                    const className = { Warning: 'warning', Error: 'error' }[name];
+                    return `<li${className ? ` class="${className}"` : ''}><strong>${escapeHtml(name)}</strong>: ${escapeHtml(value)}</li>`;
+                }), '</ul>');
+            }
+            if (file.paragraphs && file.paragraphs.length > 0) {
+                parts.push('<table>', '<tr><th class="section">Paragraph</th><th>Before</th><th>After</th></tr>');
+                parts.push(...file.paragraphs.map(paragraph => ReviewReport.renderHtmlRow(paragraph)));
+                parts.push('</table>');
+            }
+            parts.push('</section>');
+            return parts.join('\n');
+        });
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>Rewrite review - ${escapeHtml(this.report.runId)}</title>`,
+            `<style>${HTML_STYLE}</style>`,
+            '</head>',
+            '<body>',
+            `<h1>Rewrite review - <code>${escapeHtml(this.report.runId)}</code></h1>`,
+            `<p>${escapeHtml(this.report.timestamp)}${this.report.dryRun ? ' - dry run' : ''}</p>`,
+            `<p>Articles: ${totals.successful} rewritten, ${totals.skipped} skipped, ${totals.failed} failed. ` +
+                `Paragraphs: ${totals.rewritten} rewritten, ${totals.kept} kept original${rejections ? ` (rejected by ${escapeHtml(rejections)})` : ''}. ` +
+                (this.report.usage ? `LLM usage: ${escapeHtml(formatUsage(this.report.usage))}. ` : '') +
+                'Removed words are <del>highlighted red</del>, added words <ins>green</ins>.</p>',
+            ...sections,
+            '</body>',
+            '</html>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Write the Markdown and HTML reports
+     */
+    write(markdownFile, htmlFile) {
+        for (const [filePath, content] of [[markdownFile, this.renderMarkdown()], [htmlFile, this.renderHtml()]]) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content);
+        }
+        return { markdown: markdownFile, html: htmlFile };
+    }
+}
+
+module.exports = {
+    ReviewReport,
+    diffWords
+};
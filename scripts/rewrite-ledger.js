@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Rewrite Ledger
+ * Persistent, committed record of every AI rewrite so articles are not rewritten over and over
+ */
+
+const LEDGER_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RewriteLedger {
+    constructor(ledgerPath, repoRoot) {
+        this.ledgerPath = ledgerPath;
+        this.repoRoot = repoRoot;
+        this.entries = [];
+        this.load();
+    }
+
+    /**
+     * Load ledger entries from disk (a missing ledger is an empty ledger)
+     */
+    load() {
+        if (!fs.existsSync(this.ledgerPath)) {
+            this.entries = [];
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not parse rewrite ledger ${this.ledgerPath}: ${error.message}`);
+        }
+
+        if (!data || !Array.isArray(data.entries)) {
+            throw new Error(`Rewrite ledger ${this.ledgerPath} has no "entries" array`);
+        }
+
+        this.entries = data.entries;
+    }
+
+    /**
+     * Persist the ledger, keeping entries in chronological order
+     */
+    save() {
+        const data = {
+            version: LEDGER_VERSION,
+            entries: [...this.entries].sort((a, b) => a.date.localeCompare(b.date))
+        };
+        fs.writeFileSync(this.ledgerPath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    /**
+     * Ledger key for an article: repository-relative path with forward slashes
+     */
+    getArticleKey(filePath) {
+        const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(this.repoRoot, filePath);
+        return path.relative(this.repoRoot, absolutePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Hash file content, ignoring line ending differences
+     */
+    static hashContent(content) {
+        return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+    }
+
+    /**
+     * Identifier for the current run (GitHub Actions run id when available)
+     */
+    static getRunId() {
+        if (process.env.GITHUB_RUN_ID) {
+            return `gh-${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}`;
+        }
+        return `local-${new Date().toISOString().replace(/[-:.]/g, '')}`;
+    }
+
+    /**
+     * All ledger entries for an article, oldest first
+     */
+    getEntries(filePath) {
+        const article = this.getArticleKey(filePath);
+        return this.entries
+            .filter(entry => entry.article === article)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Most recent ledger entry for an article, or null
+     */
+    getLastEntry(filePath) {
+        const entries = this.getEntries(filePath);
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    /**
+     * Record a completed rewrite; prompts are the ids of the prompt templates used
+     */
+    record({ filePath, runId, sections, model, prompts, content, date = new Date() }) {
+        const entry = {
+            article: this.getArticleKey(filePath),
+            runId,
+            date: date.toISOString(),
+            sections,
+            model,
+            prompts,
+            contentHash: RewriteLedger.hashContent(content)
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove an article's entries of one run (after the rewrite was reverted); returns how many were removed
+     */
+    removeRun(filePath, runId) {
+        const article = this.getArticleKey(filePath);
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !(entry.article === article && entry.runId === runId));
+        return before - this.entries.length;
+    }
+
+    /**
+     * Check the ledger rules for an article
+     *
+     * Returns { eligible: true } or { eligible: false, reason }
+     */
+    checkEligibility(filePath, currentContent, rules, now = new Date()) {
+        const entries = this.getEntries(filePath);
+        if (entries.length === 0) {
+            return { eligible: true };
+        }
+
+        const lastEntry = entries[entries.length - 1];
+        const daysSinceRewrite = (now - new Date(lastEntry.date)) / DAY_MS;
+
+        if (daysSinceRewrite < rules.cooldownDays) {
+            return {
+                eligible: false,
+                reason: `cooldown: rewritten ${Math.floor(daysSinceRewrite)} days ago (cooldown ${rules.cooldownDays} days)`
+            };
+        }
+
+        const yearAgo = now.getTime() - 365 * DAY_MS;
+        const rewritesThisYear = entries.filter(entry => new Date(entry.date).getTime() > yearAgo).length;
+
+        if (rewritesThisYear >= rules.maxRewritesPerYear) {
+            return {
+                eligible: false,
+                reason: `limit: ${rewritesThisYear} rewrites in the last year (max ${rules.maxRewritesPerYear})`
+            };
+        }
+
+        // The content changed since our last rewrite, so a human edited it afterwards
+        if (rules.skipHumanEdited && lastEntry.contentHash && currentContent !== null &&
+            RewriteLedger.hashContent(currentContent) !== lastEntry.contentHash) {
+            return { eligible: false, reason: 'human edit after last AI rewrite' };
+        }
+
+        return { eligible: true };
+    }
+}
+
+module.exports = RewriteLedger;
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * SEO Front Matter Fields
+ * Decides when an article's `description` needs (re)generating, and parses and validates the
+ * description/keywords an LLM returns for it
+ */
+
+const MAX_KEYWORD_LENGTH = 50;
+
+/**
+ * Markdown as a single line of plain text (link texts and code kept, shortcodes and images dropped)
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/\{\{[<%][\s\S]*?[%>]\}\}/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`+([^`]*)`+/g, '$1')
+        .replace(/[*_~]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Why the description should be regenerated, or null when it is fine
+ */
+function getDescriptionProblem(description, { descriptionMinLength, descriptionMaxLength }) {
+    if (typeof description !== 'string' || description.trim().length === 0) {
+        return 'missing';
+    }
+    const length = description.trim().length;
+    if (length > descriptionMaxLength) {
+        return `too long (${length} > ${descriptionMaxLength} characters)`;
+    }
+    if (length < descriptionMinLength) {
+        return `too short (${length} < ${descriptionMinLength} characters)`;
+    }
+    return null;
+}
+
+/**
+ * Parse { description, keywords } from a completion; tolerates a code fence or text around the JSON
+ */
+function parseSeoResponse(content) {
+    const text = (content || '').trim().replace(/^```[\w-]*\s*\n([\s\S]*?)\n\s*```$/, '$1');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('response is not a JSON object');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`response is not valid JSON (${error.message})`);
+    }
+
+    return {
+        description: typeof data.description === 'string' ? data.description.replace(/\s+/g, ' ').trim() : data.description,
+        keywords: data.keywords
+    };
+}
+
+/**
+ * Problems with generated fields (empty when usable); keywords are only checked when requested
+ */
+function validateSeoFields({ description, keywords }, seoConfig, { title = '', wantKeywords = false } = {}) {
+    const problems = [];
+
+    if (typeof description !== 'string' || description.length === 0) {
+        problems.push('description is missing');
+    } else {
+        const lengthProblem = getDescriptionProblem(description, seoConfig);
+        if (lengthProblem) {
+            problems.push(`description is ${lengthProblem}`);
+        }
+        if (/[`[\]{}<>]|@@|https?:\/\//.test(description)) {
+            problems.push('description contains markdown, markup or URLs');
+        }
+        if (description.toLowerCase() === title.trim().toLowerCase()) {
+            problems.push('description repeats the title');
+        }
+    }
+
+    if (wantKeywords) {
+        if (!Array.isArray(keywords) || keywords.length === 0 || !keywords.every(keyword => typeof keyword === 'string' && keyword.trim())) {
+            problems.push('keywords must be a non-empty list of strings');
+        } else {
+            if (keywords.length > seoConfig.maxKeywords) {
+                problems.push(`too many keywords (${keywords.length} > ${seoConfig.maxKeywords})`);
+            }
+            const tooLong = keywords.filter(keyword => keyword.length > MAX_KEYWORD_LENGTH);
+            if (tooLong.length > 0) {
+                problems.push(`keywords longer than ${MAX_KEYWORD_LENGTH} characters: ${tooLong.join(', ')}`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Trimmed keywords without case-insensitive duplicates
+ */
+function normalizeKeywords(keywords) {
+    const seen = new Set();
+    return keywords
+        .map(keyword => keyword.replace(/\s+/g, ' ').trim())
+        .filter(keyword => {
+            const key = keyword.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+module.exports = {
+    stripMarkdown,
+    getDescriptionProblem,
+    parseSeoResponse,
+    validateSeoFields,
+    normalizeKeywords
+};
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseBlocks, extractSections } = require('../article-parser.js');
+
+const types = body => parseBlocks(body).map(node => node.type);
+
+test('node offsets slice the raw text out of the body', () => {
+    const body = 'Intro.\r\n\r\n## Heading\r\n\r\nText\r\ncontinued.\r\n';
+    for (const node of parseBlocks(body)) {
+        assert.strictEqual(body.slice(node.start, node.end), node.raw);
+    }
+});
+
+test('ATX and setext headings', () => {
+    const [atx, setext] = parseBlocks('## Steps to Convert ##\n\nConclusion\n----------\n');
+    assert.deepStrictEqual([atx.type, atx.depth, atx.text], ['heading', 2, 'Steps to Convert']);
+    assert.deepStrictEqual([setext.type, setext.depth, setext.text], ['heading', 2, 'Conclusion']);
+});
+
+test('nested lists, including paragraphs and code inside items, are one list node', () => {
+    const body = '- Install\n\n  - Maven\n  - NuGet\n\n  Then configure it:\n\n      mvn install\n\nAfter the list.\n';
+    const nodes = parseBlocks(body);
+    assert.deepStrictEqual(nodes.map(node => node.type), ['list', 'paragraph']);
+    assert.ok(nodes[0].raw.endsWith('mvn install'));
+});
+
+test('indented code is code at block start but not inside a paragraph', () => {
+    assert.deepStrictEqual(types('    var x = 1;\n    x++;\n\nText.\n'), ['code', 'paragraph']);
+    assert.deepStrictEqual(types('Text\n    still text\n'), ['paragraph']);
+});
+
+test('fenced code keeps blank lines and markdown inside', () => {
+    const nodes = parseBlocks('```java\n## not a heading\n\nint x;\n```\n');
+    assert.deepStrictEqual(nodes.map(node => node.type), ['code']);
+});
+
+test('HTML blocks end at a blank line', () => {
+    assert.deepStrictEqual(types('<div class="note">\n*text*\n</div>\n\nProse.\n'), ['html', 'paragraph']);
+    assert.deepStrictEqual(types('<!-- comment\n\nstill comment -->\n'), ['html']);
+});
+
+test('multi-line and paired shortcodes are single nodes', () => {
+    const nodes = parseBlocks('{{< gist conholdate-gists 2f8b\n   Convert.java >}}\n\n{{< note >}}\nFirst.\n\nSecond.\n{{< /note >}}\n\nProse.\n');
+    assert.deepStrictEqual(nodes.map(node => [node.type, node.name]), [
+        ['shortcode', 'gist'],
+        ['shortcode', 'note'],
+        ['paragraph', undefined]
+    ]);
+});
+
+test('shortcodes interrupt a paragraph; images and inline shortcodes alone are media', () => {
+    assert.deepStrictEqual(types('Some text\n{{< gist a b >}}\n'), ['paragraph', 'shortcode']);
+    assert.deepStrictEqual(types('![diagram](diagram.png)\n\nText with {{< site/baseurl >}} link.\n'), ['media', 'paragraph']);
+});
+
+test('tables, blockquotes and thematic breaks', () => {
+    assert.deepStrictEqual(types('| a | b |\n|---|---|\n| 1 | 2 |\n\n> quote\nlazy line\n\n---\n'), ['table', 'blockquote', 'hr']);
+});
+
+test('sections: opening, intros under ## headings and closing after the last gist', () => {
+    const body = [
+        'Opening paragraph.',
+        '## Steps',
+        'Intro of the steps.',
+        '- step one',
+        '{{< gist a b >}}',
+        'Closing paragraph.',
+        '## Nested',
+        '- a list, not prose'
+    ].join('\n\n') + '\n';
+    const { opening, intros, closing } = extractSections(body);
+    assert.strictEqual(opening.raw, 'Opening paragraph.');
+    assert.deepStrictEqual(intros.map(intro => [intro.heading.text, intro.node.raw]), [['Steps', 'Intro of the steps.']]);
+    assert.deepStrictEqual(closing.map(node => node.raw), ['Closing paragraph.']);
+});
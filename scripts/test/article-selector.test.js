@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ArticleSelector = require('../article-selector.js');
+const { loadConfig } = require('../config.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function writeArticle(repoRoot, relativePath, { daysOld, description = null, opening = 'A short opening.' }) {
+    const filePath = path.join(repoRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+        '---',
+        'title: "Sample"',
+        'lastmod: 2020-01-01',
+        ...(description ? [`description: "${description}"`] : []),
+        '---',
+        opening,
+        ''
+    ].join('\n'));
+    // Outside a git repository the selector falls back to the file modification time
+    const modified = new Date(Date.now() - daysOld * DAY_MS);
+    fs.utimesSync(filePath, modified, modified);
+    return filePath;
+}
+
+function withSelector(settings, run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-selector-'));
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        const files = {
+            oldJava: writeArticle(repoRoot, 'content/en/total/java/old.md', { daysOld: 400 }),
+            describedJava: writeArticle(repoRoot, 'content/en/total/java/described.md', { daysOld: 400, description: 'Covers it all.' }),
+            recentJava: writeArticle(repoRoot, 'content/en/total/java/recent.md', { daysOld: 2 }),
+            firstNet: writeArticle(repoRoot, 'content/en/total/net/first.md', { daysOld: 200 }),
+            secondNet: writeArticle(repoRoot, 'content/en/total/net/second.md', { daysOld: 100 })
+        };
+        const config = loadConfig({
+            argv: ['--set', 'selection.seed=fixed', ...settings.flatMap(setting => ['--set', setting])],
+            env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot }
+        });
+        return run(new ArticleSelector(config), files);
+    } finally {
+        Object.assign(console, { log, warn });
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+test('scores are built from normalized, weighted features', () => {
+    withSelector([], (selector, files) => {
+        const missing = selector.scoreArticle(files.oldJava, 'fixed');
+        const described = selector.scoreArticle(files.describedJava, 'fixed');
+        assert.strictEqual(missing.breakdown.missingDescription.value, 1);
+        assert.strictEqual(described.breakdown.missingDescription.value, 0);
+        assert.strictEqual(missing.breakdown.missingLastmod.value, 0);
+        assert.strictEqual(missing.breakdown.age.value, 1);
+        assert.strictEqual(missing.details.openingLength, 'A short opening.'.length);
+    });
+});
+
+test('the seed makes the random feature reproducible', () => {
+    withSelector([], (selector, files) => {
+        assert.strictEqual(selector.seededFraction('a', files.oldJava), selector.seededFraction('a', files.oldJava));
+        assert.notStrictEqual(selector.seededFraction('a', files.oldJava), selector.seededFraction('b', files.oldJava));
+        const first = selector.selectArticles().map(article => article.path);
+        assert.deepStrictEqual(selector.selectArticles().map(article => article.path), first);
+    });
+});
+
+test('recent articles are skipped and platform quotas are filled by score', () => {
+    withSelector(['selection.maxArticlesPerRun=3', 'selection.quotas=java=1'], (selector, files) => {
+        const selected = selector.selectArticles();
+        assert.deepStrictEqual(selected.map(article => article.path).sort(), [files.oldJava, files.firstNet, files.secondNet].sort());
+        assert.ok(selected.every(article => article.path !== files.recentJava));
+        // Highest score first
+        const totals = selected.map(article => article.score.total);
+        assert.deepStrictEqual(totals, [...totals].sort((a, b) => b - a));
+    });
+});
+
+test('configured quotas cap the top-up, default shares do not', () => {
+    withSelector(['selection.maxArticlesPerRun=3', 'selection.quotas=java=0'], (selector, files) => {
+        assert.deepStrictEqual(selector.selectArticles().map(article => article.path).sort(), [files.firstNet, files.secondNet].sort());
+    });
+
+    withSelector(['selection.maxArticlesPerRun=4', 'selection.localeQuotas=de=0'], (selector, files) => {
+        writeArticle(selector.config.paths.repoRoot, 'content/de/total/java/alt.md', { daysOld: 500 });
+        const selected = selector.selectArticles();
+        assert.deepStrictEqual(selected.map(article => article.path).sort(), [files.oldJava, files.describedJava, files.firstNet, files.secondNet].sort());
+        assert.strictEqual(selector.locales.de.selected, 0);
+    });
+});
+
+test('the locale summary reports configured quotas as caps and even shares as shares', () => {
+    withSelector(['selection.maxArticlesPerRun=4', 'selection.localeQuotas=de=1'], selector => {
+        const repoRoot = selector.config.paths.repoRoot;
+        writeArticle(repoRoot, 'content/de/total/java/alt.md', { daysOld: 500 });
+        writeArticle(repoRoot, 'content/de/total/net/other.md', { daysOld: 500 });
+        writeArticle(repoRoot, 'content/fr/total/java/autre.md', { daysOld: 1 });
+        selector.selectArticles();
+
+        assert.deepStrictEqual(selector.locales, {
+            de: { eligible: 2, quota: 1, share: 1, selected: 1 },
+            // The even share of 2 is topped up with en candidates no other locale can use
+            en: { eligible: 4, quota: null, share: 2, selected: 3 },
+            fr: { eligible: 0, quota: null, share: 0, selected: 0 }
+        });
+        assert.deepStrictEqual(selector.exportSelection().summary.locales, selector.locales);
+    });
+});
+
+test('commit dates come from one git log pass, with the modification time for files git does not know', () => {
+    withSelector([], (selector, files) => {
+        const repoRoot = selector.config.paths.repoRoot;
+        const git = (args, date = '') => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+            cwd: repoRoot,
+            env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+            stdio: 'ignore'
+        });
+        git(['init', '-q']);
+        git(['add', 'content/en/total/java/old.md', 'content/en/total/net/first.md']);
+        git(['commit', '-q', '-m', 'Add articles'], '2021-03-04T12:00:00Z');
+        fs.appendFileSync(files.firstNet, 'More.\n');
+        git(['commit', '-q', '-am', 'Edit an article'], '2022-05-06T12:00:00Z');
+
+        assert.strictEqual(selector.getLastModifiedDate(files.oldJava).toISOString(), '2021-03-04T00:00:00.000Z');
+        assert.strictEqual(selector.getLastModifiedDate(files.firstNet).toISOString(), '2022-05-06T00:00:00.000Z');
+        // Untracked: the modification time set by writeArticle
+        assert.strictEqual(selector.getLastModifiedDate(files.recentJava).getTime(), fs.statSync(files.recentJava).mtime.getTime());
+        // Read once and kept for the rest of the run
+        const gitDates = selector.gitDates;
+        assert.strictEqual(gitDates.size, 2);
+        selector.selectArticles();
+        assert.strictEqual(selector.gitDates, gitDates);
+    });
+});
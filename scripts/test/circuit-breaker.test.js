@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { CircuitBreaker, CircuitOpenError } = require('../circuit-breaker.js');
+const { BudgetExceededError } = require('../usage-tracker.js');
+const { createProvider, parseRetryAfter, LLMRequestError, ERROR_KINDS } = require('../llm-providers.js');
+const LLMRewriter = require('../llm-rewriter.js');
+const { loadConfig } = require('../config.js');
+
+const messages = [{ role: 'user', content: 'Rewrite this.' }];
+
+async function silenced(run) {
+    const { error } = console;
+    console.error = () => {};
+    try {
+        return await run();
+    } finally {
+        Object.assign(console, { error });
+    }
+}
+
+/**
+ * A rewriter whose provider fails with `errors` in turn, then succeeds
+ */
+function createRewriter(errors, settings = []) {
+    const llmConfig = loadConfig({
+        argv: ['llm.provider=echo', 'llm.retryBaseDelayMs=0', ...settings].flatMap(setting => ['--set', setting]),
+        env: {}
+    }).llm;
+    const rewriter = new LLMRewriter(null, llmConfig);
+    const remaining = [...errors];
+    rewriter.provider = {
+        calls: 0,
+        async complete() {
+            this.calls++;
+            if (remaining.length > 0) throw remaining.shift();
+            return { content: 'Rewritten.', finishReason: 'stop', usage: { promptTokens: 4, completionTokens: 2 }, model: 'echo' };
+        }
+    };
+    return rewriter;
+}
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+    const now = Date.parse('2025-06-01T12:00:00Z');
+    assert.strictEqual(parseRetryAfter('2', now), 2000);
+    assert.strictEqual(parseRetryAfter(' 1.5 ', now), 1500);
+    assert.strictEqual(parseRetryAfter('Sun, 01 Jun 2025 12:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('Sun, 01 Jun 2025 11:00:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(null, now), null);
+});
+
+test('HTTP failures are classified and carry Retry-After', async () => {
+    const responses = [[401, {}], [429, { 'Retry-After': '3' }], [503, {}], [400, {}]];
+    const server = http.createServer((req, res) => {
+        const [status, headers] = responses.shift();
+        res.writeHead(status, headers);
+        res.end('{"error": "nope"}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const provider = createProvider({ provider: 'openai', apiUrl: `http://127.0.0.1:${server.address().port}`, model: 'gpt-test' }, 'secret');
+        const failures = [];
+        for (let i = 0; i < 4; i++) {
+            failures.push(await provider.complete(messages, {}).catch(error => error));
+        }
+
+        assert.ok(failures.every(error => error instanceof LLMRequestError));
+        assert.deepStrictEqual(failures.map(error => [error.kind, error.status, error.retryable]), [
+            [ERROR_KINDS.AUTH, 401, false],
+            [ERROR_KINDS.RATE_LIMIT, 429, true],
+            [ERROR_KINDS.SERVER, 503, true],
+            [ERROR_KINDS.CLIENT, 400, false]
+        ]);
+        assert.strictEqual(failures[1].retryAfterMs, 3000);
+        assert.strictEqual(failures[2].retryAfterMs, null);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the breaker opens after consecutive failures or at once on auth failures', async () => {
+    await silenced(() => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3 });
+        const serverError = new LLMRequestError('HTTP 503', { kind: ERROR_KINDS.SERVER });
+
+        breaker.recordFailure(serverError);
+        breaker.recordFailure(serverError);
+        breaker.recordSuccess();
+        breaker.recordFailure(serverError);
+        breaker.recordFailure(serverError);
+        assert.strictEqual(breaker.isOpen, false);
+        breaker.check();
+
+        breaker.recordFailure(serverError);
+        assert.strictEqual(breaker.isOpen, true);
+        assert.throws(() => breaker.check(), error => error instanceof CircuitOpenError && /3 consecutive failures, last: HTTP 503/.test(error.message));
+        assert.strictEqual(breaker.toJSON().state, 'open');
+
+        const auth = new CircuitBreaker({ failureThreshold: 3 });
+        auth.recordFailure(new LLMRequestError('HTTP 401', { kind: ERROR_KINDS.AUTH }));
+        assert.match(auth.reason, /^authentication failed/);
+    });
+});
+
+test('retryable failures are retried and Retry-After pauses the shared limiter', async () => {
+    await silenced(async () => {
+        const rewriter = createRewriter([
+            new LLMRequestError('HTTP 503', { kind: ERROR_KINDS.SERVER }),
+            new LLMRequestError('HTTP 429', { kind: ERROR_KINDS.RATE_LIMIT, retryAfterMs: 20 })
+        ]);
+        const before = Date.now();
+        const completion = await rewriter.callLLM(messages);
+
+        assert.strictEqual(completion.content, 'Rewritten.');
+        assert.strictEqual(rewriter.provider.calls, 3);
+        assert.ok(rewriter.rateLimiter.pausedUntil >= before + 20);
+        assert.strictEqual(rewriter.circuitBreaker.consecutiveFailures, 0);
+    });
+});
+
+test('non-retryable errors, long Retry-After and an open breaker stop at once', async () => {
+    await silenced(async () => {
+        const auth = createRewriter([new LLMRequestError('HTTP 401', { kind: ERROR_KINDS.AUTH })]);
+        await assert.rejects(auth.callLLM(messages), /LLM API failed with a non-retryable auth error: HTTP 401/);
+        assert.strictEqual(auth.provider.calls, 1);
+        // The breaker opened on the auth failure, so the next call never reaches the provider
+        await assert.rejects(auth.callLLM(messages), CircuitOpenError);
+        assert.strictEqual(auth.provider.calls, 1);
+
+        const slow = createRewriter([new LLMRequestError('HTTP 429', { kind: ERROR_KINDS.RATE_LIMIT, retryAfterMs: 120000 })]);
+        await assert.rejects(slow.callLLM(messages), /asked to retry after 120s, beyond llm.retryMaxDelayMs/);
+
+        const flaky = createRewriter(Array.from({ length: 3 }, () => new LLMRequestError('HTTP 500', { kind: ERROR_KINDS.SERVER })));
+        await assert.rejects(flaky.callLLM(messages), /LLM API failed after 3 attempts: HTTP 500/);
+    });
+});
+
+test('requests that could go past the budget are never sent', async () => {
+    await silenced(async () => {
+        // Each request holds 4 estimated prompt tokens plus 10 completion tokens and uses 6
+        const rewriter = createRewriter([new LLMRequestError('HTTP 503', { kind: ERROR_KINDS.SERVER })], ['llm.maxTokens=10', 'llm.budget.maxTokens=30']);
+        for (let i = 0; i < 3; i++) {
+            await rewriter.callLLM(messages);
+        }
+        assert.strictEqual(rewriter.provider.calls, 4);
+        assert.deepStrictEqual(rewriter.usage.held, { tokens: 0, cost: 0 });
+
+        await assert.rejects(rewriter.callLLM(messages), BudgetExceededError);
+        assert.strictEqual(rewriter.provider.calls, 4);
+        assert.strictEqual(rewriter.usage.toJSON().totalTokens, 18);
+    });
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getDefaults, ConfigError } = require('../config.js');
+
+function withRepo(files, run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-config-'));
+    try {
+        for (const [name, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(repoRoot, name), content);
+        }
+        return run(repoRoot);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+function problemsOf(load) {
+    try {
+        load();
+    } catch (error) {
+        assert.ok(error instanceof ConfigError, error.message);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+test('defaults apply without a config file', () => {
+    withRepo({}, repoRoot => {
+        const config = loadConfig({ env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot } });
+        const defaults = getDefaults();
+        assert.strictEqual(config.selection.daysThreshold, defaults.selection.daysThreshold);
+        assert.strictEqual(config.paths.contentBase, path.join(repoRoot, defaults.paths.contentBase));
+        assert.strictEqual(config.configFile, null);
+    });
+});
+
+test('precedence: defaults, then config file, then env, then --set', () => {
+    const file = JSON.stringify({ llm: { model: 'from-file', temperature: 0.2 }, selection: { daysThreshold: 10 } });
+    withRepo({ 'kb-rewriter.config.json': file }, repoRoot => {
+        const env = {
+            KB_REWRITER_PATHS_REPO_ROOT: repoRoot,
+            KB_REWRITER_LLM_MODEL: 'from-env',
+            KB_REWRITER_SELECTION_DAYS_THRESHOLD: '20'
+        };
+        const config = loadConfig({ argv: ['--set', 'llm.model=from-cli'], env });
+        assert.strictEqual(config.llm.model, 'from-cli');
+        assert.strictEqual(config.selection.daysThreshold, 20);
+        assert.strictEqual(config.llm.temperature, 0.2);
+        assert.strictEqual(config.llm.maxRetries, getDefaults().llm.maxRetries);
+        assert.strictEqual(config.configFile, path.join(repoRoot, 'kb-rewriter.config.json'));
+    });
+});
+
+test('schema errors are collected into one ConfigError', () => {
+    const file = JSON.stringify({ llm: { temperature: 5, unknownKey: 1 }, selection: { platforms: 'java' } });
+    withRepo({ 'kb-rewriter.config.json': file }, repoRoot => {
+        const problems = problemsOf(() => loadConfig({
+            argv: ['--set', 'selection.daysThreshold=soon', '--set', 'nope.key=1'],
+            env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot }
+        }));
+        const expected = ['llm.unknownKey', 'llm.temperature', 'selection.platforms', 'selection.daysThreshold', 'nope.key'];
+        for (const key of expected) {
+            assert.ok(problems.some(problem => problem.includes(key)), `no problem reported for ${key}: ${problems.join('; ')}`);
+        }
+    });
+});
+
+test('cross-field checks and unreadable config files', () => {
+    withRepo({ 'broken.json': '{ "llm": ' }, repoRoot => {
+        const env = { KB_REWRITER_PATHS_REPO_ROOT: repoRoot };
+        const problems = problemsOf(() => loadConfig({
+            argv: ['--set', 'selection.minArticlesPerRun=9', '--set', 'selection.maxArticlesPerRun=3'],
+            env
+        }));
+        assert.ok(problems.some(problem => problem.includes('minArticlesPerRun')));
+        assert.throws(() => loadConfig({ argv: ['--config', path.join(repoRoot, 'broken.json')], env }), /Could not parse config file/);
+        assert.throws(() => loadConfig({ argv: ['--config', path.join(repoRoot, 'missing.json')], env }), /Config file not found/);
+    });
+});
+
+test('YAML config files: precedence is defaults, then file, then env, then --set', () => {
+    const file = [
+        '# Settings for this repository',
+        'llm:',
+        '  model: from-file',
+        '  temperature: 0.2',
+        'selection:',
+        '  daysThreshold: 10',
+        '  seed: 2025-10-16',
+        '  platforms: [java]'
+    ].join('\n');
+    withRepo({ 'kb-rewriter.config.yaml': file }, repoRoot => {
+        const env = { KB_REWRITER_PATHS_REPO_ROOT: repoRoot, KB_REWRITER_LLM_MODEL: 'from-env', KB_REWRITER_SELECTION_DAYS_THRESHOLD: '20' };
+
+        const fromFile = loadConfig({ env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot } });
+        assert.strictEqual(fromFile.configFile, path.join(repoRoot, 'kb-rewriter.config.yaml'));
+        assert.strictEqual(fromFile.llm.model, 'from-file');
+        assert.strictEqual(fromFile.selection.daysThreshold, 10);
+        // Unquoted dates stay strings
+        assert.strictEqual(fromFile.selection.seed, '2025-10-16');
+        assert.deepStrictEqual(fromFile.selection.platforms, ['java']);
+        assert.strictEqual(fromFile.llm.maxRetries, getDefaults().llm.maxRetries);
+
+        const fromEnv = loadConfig({ env });
+        assert.strictEqual(fromEnv.llm.model, 'from-env');
+        assert.strictEqual(fromEnv.selection.daysThreshold, 20);
+        assert.strictEqual(fromEnv.llm.temperature, 0.2);
+
+        const fromCli = loadConfig({ argv: ['--set', 'llm.model=from-cli', '--set', 'llm.temperature=0.9'], env });
+        assert.strictEqual(fromCli.llm.model, 'from-cli');
+        assert.strictEqual(fromCli.llm.temperature, 0.9);
+        assert.strictEqual(fromCli.selection.daysThreshold, 20);
+    });
+});
+
+test('the JSON config file wins over YAML ones, and --config or KB_REWRITER_CONFIG pick any', () => {
+    const files = {
+        'kb-rewriter.config.json': JSON.stringify({ llm: { model: 'json' } }),
+        'kb-rewriter.config.yml': 'llm:\n  model: yml\n',
+        'custom.yml': 'llm: { model: custom }\n',
+        'empty.yaml': '# nothing set\n'
+    };
+    withRepo(files, repoRoot => {
+        const env = { KB_REWRITER_PATHS_REPO_ROOT: repoRoot };
+        assert.strictEqual(loadConfig({ env }).llm.model, 'json');
+        fs.rmSync(path.join(repoRoot, 'kb-rewriter.config.json'));
+        assert.strictEqual(loadConfig({ env }).llm.model, 'yml');
+        assert.strictEqual(loadConfig({ argv: ['--config', path.join(repoRoot, 'custom.yml')], env }).llm.model, 'custom');
+        assert.strictEqual(loadConfig({ env: { ...env, KB_REWRITER_CONFIG: path.join(repoRoot, 'empty.yaml') } }).llm.model, getDefaults().llm.model);
+    });
+});
+
+test('YAML schema errors are collected and unparsable YAML is reported', () => {
+    const files = {
+        'kb-rewriter.config.yaml': 'llm:\n  temperature: hot\n  unknownKey: 1\nselection:\n  platforms: java\n',
+        'broken.yaml': 'llm:\n  model: [unclosed\n',
+        'list.yaml': '- llm\n'
+    };
+    withRepo(files, repoRoot => {
+        const env = { KB_REWRITER_PATHS_REPO_ROOT: repoRoot };
+        const problems = problemsOf(() => loadConfig({ env }));
+        for (const key of ['llm.temperature', 'llm.unknownKey', 'selection.platforms']) {
+            assert.ok(problems.some(problem => problem.includes(key)), `no problem reported for ${key}: ${problems.join('; ')}`);
+        }
+        assert.throws(() => loadConfig({ argv: ['--config', path.join(repoRoot, 'broken.yaml')], env }), /Could not parse config file .*broken\.yaml/);
+        assert.throws(() => loadConfig({ argv: ['--config', path.join(repoRoot, 'list.yaml')], env }), /must contain an object of settings/);
+    });
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentLinter } = require('../content-linter.js');
+const { FrontMatterSchema } = require('../front-matter-schema.js');
+
+const rules = {
+    frontMatter: 'error',
+    unmatchedBrackets: 'error',
+    codeFence: 'error',
+    linkParentheses: 'warning',
+    emptyLink: 'error',
+    shortcodeDelimiters: 'error'
+};
+const schema = new FrontMatterSchema({
+    version: 1,
+    fields: { title: { type: 'string', required: true }, productkey: { type: 'string', pattern: '^[a-z-]+$' } }
+});
+const frontMatter = '---\ntitle: "Sample"\nproductkey: "sample"\n---\n';
+
+function lint(body, overrides = {}) {
+    return new ContentLinter({ ...rules, ...overrides }, schema).lintContent(frontMatter + body)
+        .map(({ rule, line, severity }) => `${line} ${rule} ${severity}`);
+}
+
+test('reports each markdown rule on the line it applies to', () => {
+    const body = [
+        'See [the docs]() and [more](https://example.com/a(b.',
+        '',
+        '{{< note >}',
+        'A stray ] here.',
+        '',
+        '```java',
+        'int[] values = { 1 };'
+    ].join('\n');
+    assert.deepStrictEqual(lint(body), [
+        '5 emptyLink error',
+        '5 linkParentheses warning',
+        '7 shortcodeDelimiters error',
+        '8 unmatchedBrackets error',
+        '10 codeFence error'
+    ]);
+});
+
+test('skips fenced code, inline code and escaped brackets', () => {
+    const body = 'Call `items[0` and write \\[x.\n\n```\nif (a[0] {\n```\n\n{{< gist "user" "id" >}}\n';
+    assert.deepStrictEqual(lint(body), []);
+});
+
+test('points front matter problems at their field and honours severities', () => {
+    const content = '---\ntitle: "Sample"\nproductkey: "Not Valid"\n---\nBody [text]().\n';
+    const linter = new ContentLinter({ ...rules, emptyLink: 'off' }, schema);
+    assert.deepStrictEqual(linter.lintContent(content).map(({ rule, line }) => `${line} ${rule}`), ['3 frontMatter']);
+});
+
+test('the baseline suppresses only as many findings as it recorded', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-lint-'));
+    try {
+        const article = path.join(dir, 'a.md');
+        fs.writeFileSync(article, `${frontMatter}One ] stray.\n`);
+        const linter = new ContentLinter(rules, schema);
+        const baselineFile = path.join(dir, 'baseline.json');
+        assert.strictEqual(ContentLinter.writeBaseline(baselineFile, linter.lintFiles([article], dir)), 1);
+
+        fs.appendFileSync(article, 'Another ] stray.\n');
+        const results = linter.lintFiles([article], dir, ContentLinter.loadBaseline(baselineFile));
+        assert.strictEqual(results.suppressed, 1);
+        assert.deepStrictEqual(results.files[0].errors, ['line 6: Closing ] without an opening [ [unmatchedBrackets]']);
+        assert.strictEqual(results.failed, 1);
+
+        assert.match(ContentLinter.toJUnit(results), /<testcase classname="content-lint" name="a\.md">\n {6}<failure message="1 lint error\(s\)"/);
+        const [result] = linter.toSarif(results).runs[0].results;
+        assert.deepStrictEqual(result.locations[0].physicalLocation, { artifactLocation: { uri: 'a.md' }, region: { startLine: 6 } });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
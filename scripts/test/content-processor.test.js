@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentProcessor = require('../content-processor.js');
+const { extractSections } = require('../article-parser.js');
+const { loadConfig } = require('../config.js');
+
+const easy = 'Open the file. Save it as PDF.';
+const hard = 'Comprehensive document manipulation functionality is provided by the sophisticated application programming interface.';
+
+const closing = 'We hope this guide helps you get started quickly and makes your daily work with documents much easier.';
+
+async function withProcessor(settings, run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-rewriter-'));
+    try {
+        const config = loadConfig({
+            argv: ['llm.provider=echo', 'llm.cache.dir=llm-cache', 'paths.editPlanDir=edit-plans', ...settings].flatMap(setting => ['--set', setting]),
+            env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot }
+        });
+        return await run(new ContentProcessor(null, config), repoRoot);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+function writeArticle(repoRoot, name, productKey = 'sample-product') {
+    const filePath = path.join(repoRoot, 'content/en/total/java', name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+        '---',
+        `title: "Article ${name}"`,
+        'platformkey: "java"',
+        'productname: "Sample Product"',
+        `productkey: "${productKey}"`,
+        'date: 2024-01-10',
+        'lastmod: 2024-01-10',
+        'type: total',
+        '---',
+        'This short opening explains what the article is about.',
+        '',
+        '{{< gist "samples" "abc123" "example.java" >}}',
+        '',
+        closing,
+        ''
+    ].join('\n'));
+    return filePath;
+}
+
+/**
+ * Answer the rewrite requests with `responses` in turn
+ */
+function respondWith(processor, responses) {
+    const remaining = [...responses];
+    processor.llmRewriter.provider = {
+        async complete() {
+            return { content: remaining.shift(), finishReason: 'stop', usage: { promptTokens: 10, completionTokens: 10 }, model: 'stub' };
+        }
+    };
+}
+
+async function processSilently(processor, files) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return await processor.processArticles(files);
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+const body = [
+    easy,
+    '## Install',
+    easy,
+    '## Convert',
+    hard,
+    '## Save',
+    hard,
+    '{{< gist "samples" "abc123" "example.java" >}}',
+    easy,
+    hard
+].join('\n\n') + '\n';
+
+test('the hardest paragraphs of each target type are chosen, in document order', async () => {
+    await withProcessor(['rewrite.maxParagraphs.intro=2', 'rewrite.maxParagraphs.closing=1'], processor => {
+        const targets = processor.chooseRewriteTargets(extractSections(body));
+
+        assert.deepStrictEqual(targets.found, { opening: 1, intro: 3, closing: 2 });
+        assert.deepStrictEqual(targets.chosen.map(choice => [choice.section, choice.heading]), [
+            ['opening', null],
+            ['intro:2', 'Convert'],
+            ['intro:3', 'Save'],
+            ['closing:2', null]
+        ]);
+        assert.deepStrictEqual(processor.describeTargets(targets).chosen, [
+            { section: 'opening' },
+            { section: 'intro:2', heading: 'Convert' },
+            { section: 'intro:3', heading: 'Save' },
+            { section: 'closing:2' }
+        ]);
+    });
+});
+
+test('only configured target types are chosen and a cap of 0 disables one', async () => {
+    await withProcessor(['rewrite.targets=intro,closing', 'rewrite.maxParagraphs.closing=0'], processor => {
+        const targets = processor.chooseRewriteTargets(extractSections(body));
+        assert.deepStrictEqual(targets.found, { intro: 3, closing: 2 });
+        assert.deepStrictEqual(targets.chosen.map(choice => choice.section), ['intro:1', 'intro:2', 'intro:3']);
+    });
+});
+
+const candidateSettings = ['seo.description=off', 'rewrite.targets=closing', 'rewrite.candidates=3', 'processing.concurrency=1'];
+
+test('the valid candidate is kept when the others are rejected', async () => {
+    await withProcessor(candidateSettings, async (processor, repoRoot) => {
+        const filePath = writeArticle(repoRoot, 'a.md');
+        const rewrite = 'We hope this guide helps you start quickly and makes daily work with your documents much easier.';
+        respondWith(processor, ["I'm sorry, but I can't help with that.", rewrite, '']);
+
+        const [result] = await processSilently(processor, [filePath]);
+        const [paragraph] = result.paragraphs;
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(paragraph.status, 'rewritten');
+        assert.strictEqual(paragraph.candidates.generated, 3);
+        assert.strictEqual(paragraph.candidates.valid, 1);
+        assert.strictEqual(paragraph.candidates.chosen, 2);
+        assert.strictEqual(paragraph.candidates.reason, 'only valid candidate of 3');
+        assert.deepStrictEqual(paragraph.candidates.candidates.map(candidate => [candidate.status, candidate.rejectedBy]), [
+            ['rejected', 'sanitizer'],
+            ['valid', null],
+            ['rejected', 'sanitizer']
+        ]);
+        assert.ok(fs.readFileSync(filePath, 'utf8').includes(rewrite));
+    });
+});
+
+test('the original is kept when every candidate is rejected', async () => {
+    await withProcessor(candidateSettings, async (processor, repoRoot) => {
+        const filePath = writeArticle(repoRoot, 'a.md');
+        const original = fs.readFileSync(filePath, 'utf8');
+        respondWith(processor, ["I'm sorry, but I can't help with that.", '', 'As an AI, I cannot do that.']);
+
+        const [result] = await processSilently(processor, [filePath]);
+        const [paragraph] = result.paragraphs;
+        assert.strictEqual(result.status, 'skipped');
+        assert.strictEqual(paragraph.status, 'kept-original');
+        assert.deepStrictEqual(paragraph.rejectedBy, ['sanitizer']);
+        assert.strictEqual(paragraph.sanitization.failure, 'all 3 candidates rejected (refusal; empty output)');
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), original);
+    });
+});
+
+test('candidates that barely change the paragraph are rejected by the similarity check', async () => {
+    await withProcessor(candidateSettings, async (processor, repoRoot) => {
+        const filePath = writeArticle(repoRoot, 'a.md');
+        const rewrite = 'We hope this guide helps you start quickly and makes daily work with your documents much easier.';
+        respondWith(processor, [closing, 'We hope you like it. It is a good day.', rewrite]);
+
+        const [result] = await processSilently(processor, [filePath]);
+        const { candidates } = result.paragraphs[0];
+        assert.strictEqual(candidates.chosen, 3);
+        assert.deepStrictEqual(candidates.candidates.map(candidate => candidate.rejectedBy), ['similarity', 'similarity', null]);
+        assert.match(candidates.candidates[0].failure, /^no-op: similarity to the original is 1 /);
+        assert.match(candidates.candidates[1].failure, /^drift: /);
+    });
+});
+
+test('an article that fails validation does not add its rewrites to the duplicate index', async () => {
+    const settings = [
+        'seo.description=off', 'rewrite.targets=closing', 'rewrite.candidates=1', 'validation.readabilityGate=false',
+        'validation.similarityCheck=false', 'processing.concurrency=1', 'llm.echoTransform=swap'
+    ];
+    await withProcessor(settings, async (processor, repoRoot) => {
+        // The same closing paragraph in both articles, so both get the same swapped rewrite; the
+        // first has a front matter schema error
+        const rejected = writeArticle(repoRoot, 'a.md', 'Not A Valid Key');
+        const accepted = writeArticle(repoRoot, 'b.md');
+
+        const results = await processSilently(processor, [rejected, accepted]);
+        assert.strictEqual(results[0].status, 'error');
+        assert.match(results[0].error, /Validation failed/);
+        assert.strictEqual(results[1].status, 'success');
+        assert.deepStrictEqual(results[1].changes, ['1 closing paragraph']);
+    });
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ContentValidator = require('../content-validator.js');
+const { loadConfig } = require('../config.js');
+
+const original = 'Use `Document.Save()` in Aspose.Words for .NET 24.1 to convert a .docx file with PdfSaveOptions.';
+
+function createValidator(settings = []) {
+    return new ContentValidator(loadConfig({ argv: settings.flatMap(setting => ['--set', setting]), env: {} }).validation);
+}
+
+test('technical facts are extracted by kind', () => {
+    const facts = ContentValidator.extractTechnicalFacts(`${original} See e.g. the guide.`, 'Aspose.Words');
+    const byKind = kind => facts.filter(fact => fact.kind === kind).map(fact => fact.value);
+
+    assert.deepStrictEqual(byKind('code'), ['`Document.Save()`']);
+    assert.deepStrictEqual(byKind('namespace'), ['Aspose.Words']);
+    assert.deepStrictEqual(byKind('identifier'), ['PdfSaveOptions']);
+    assert.deepStrictEqual(byKind('language'), ['.NET']);
+    assert.deepStrictEqual(byKind('extension'), ['.docx']);
+    assert.deepStrictEqual(byKind('version'), ['24.1']);
+    assert.deepStrictEqual(byKind('product'), ['Aspose.Words']);
+});
+
+test('a rewrite keeping every fact passes', () => {
+    const validator = createValidator();
+    const rewritten = 'Convert a .docx file with PdfSaveOptions: call `Document.Save()` in Aspose.Words for .NET 24.1.';
+    assert.deepStrictEqual(validator.validateTechnicalFacts('opening', original, rewritten), { missing: [], invented: [] });
+    assert.deepStrictEqual(validator.errors, []);
+});
+
+test('dropped facts and invented identifiers are errors', () => {
+    const validator = createValidator();
+    const rewritten = 'Use `Document.Save()` in Aspose.Words for .NET 2024 to convert a .docx file with DocSaveOptions.';
+    const result = validator.validateTechnicalFacts('opening', original, rewritten);
+
+    assert.deepStrictEqual(result.missing, ['PdfSaveOptions', '24.1']);
+    assert.deepStrictEqual(result.invented, ['DocSaveOptions']);
+    assert.deepStrictEqual(validator.errors, [
+        'opening: missing technical fact "PdfSaveOptions"',
+        'opening: missing technical fact "24.1"',
+        'opening: invented identifier "DocSaveOptions"'
+    ]);
+});
+
+test('versions match whole numbers and allowed text may introduce identifiers', () => {
+    assert.strictEqual(ContentValidator.containsFact('Released in 2026.', { kind: 'version', value: '6' }), false);
+    assert.strictEqual(ContentValidator.containsFact('Version 6 is out.', { kind: 'version', value: '6' }), true);
+    assert.strictEqual(ContentValidator.containsFact('Version 24.10 is out.', { kind: 'version', value: '24.1' }), false);
+
+    const validator = createValidator();
+    const result = validator.validateTechnicalFacts('title', 'Convert files.', 'Convert files with GroupDocs.Conversion.', {
+        allowedText: 'GroupDocs.Conversion Overview'
+    });
+    assert.deepStrictEqual(result, { missing: [], invented: [] });
+});
+
+test('near-identical rewrites are no-ops and rewrites losing key terms have drifted', () => {
+    const validator = createValidator(['validation.maxSimilarity=0.9', 'validation.minKeyTermCoverage=0.5']);
+    const text = 'Convert DOCX files to PDF with a few lines of Java code.';
+
+    const noop = validator.compareSimilarity(text, 'Convert DOCX files to PDF with a few lines of Java code!');
+    assert.strictEqual(noop.noop, true);
+    assert.strictEqual(noop.reason, 'no-op: similarity to the original is 1 (at or above 0.9)');
+
+    const drift = validator.compareSimilarity(text, 'Spreadsheets keep their formulas when saved as images.');
+    assert.strictEqual(drift.drift, true);
+    assert.strictEqual(drift.reason, "drift: only 0% of the original's key terms kept (minimum 50%)");
+
+    const reworded = validator.compareSimilarity(text, 'With a few lines of Java code you can convert DOCX files to PDF.');
+    assert.deepStrictEqual([reworded.noop, reworded.drift, reworded.reason], [false, false, null]);
+    assert.strictEqual(reworded.keyTermCoverage, 1);
+});
+
+test('rewrites below the similarity floor have drifted even when they keep the key terms', () => {
+    const text = 'Convert DOCX files to PDF with a few lines of Java code.';
+    const keywords = 'Java code: PDF, DOCX, files, convert, lines.';
+
+    // No floor by default
+    assert.strictEqual(createValidator().compareSimilarity(text, keywords).drift, false);
+
+    const validator = createValidator(['validation.minSimilarity=0.3']);
+    const drift = validator.compareSimilarity(text, keywords);
+    assert.deepStrictEqual([drift.similarity, drift.keyTermCoverage, drift.noop, drift.drift], [0.235, 1, false, true]);
+    assert.strictEqual(drift.reason, 'drift: similarity to the original is 0.235 (below 0.3)');
+
+    const reworded = validator.compareSimilarity(text, 'With a few lines of Java code you can convert DOCX files to PDF.');
+    assert.deepStrictEqual([reworded.drift, reworded.reason], [false, null]);
+
+    validator.validateSimilarity('opening', text, keywords);
+    assert.deepStrictEqual(validator.errors, ['opening: drift: similarity to the original is 0.235 (below 0.3)']);
+    assert.throws(() => createValidator(['validation.minSimilarity=0.95']), /validation.minSimilarity must be lower than validation.maxSimilarity/);
+});
+
+test('similarity problems are errors only while the check is on', () => {
+    const text = 'Convert DOCX files to PDF with a few lines of Java code.';
+    const on = createValidator();
+    on.validateSimilarity('closing:1', text, text);
+    assert.deepStrictEqual(on.errors, ['closing:1: no-op: similarity to the original is 1 (at or above 0.95)']);
+
+    const off = createValidator(['validation.similarityCheck=false']);
+    assert.strictEqual(off.validateSimilarity('closing:1', text, text).noop, true);
+    assert.deepStrictEqual(off.errors, []);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DuplicateIndex } = require('../duplicate-index.js');
+const { loadConfig } = require('../config.js');
+
+const settings = { threshold: 0.6, shingleSize: 3, numHashes: 128, bands: 32, minWords: 12 };
+
+const boilerplate = 'We hope this guide helps you get started quickly and makes your daily work with documents much easier.';
+const variant = 'We hope this guide helps you get started quickly and makes your daily work with spreadsheets much easier.';
+const distinct = 'Spreadsheet formulas are recalculated before export, so every cell shows its current value in the output.';
+
+function article(opening, closing) {
+    return `---\ntitle: "T"\n---\n${opening}\n\n{{< gist "a" "b" >}}\n\n${closing}\n`;
+}
+
+test('signatures estimate shingle overlap and skip short paragraphs', () => {
+    const index = new DuplicateIndex(settings);
+    const signature = index.getSignature(boilerplate);
+
+    assert.strictEqual(signature.length, 128);
+    assert.deepStrictEqual(index.getSignature(boilerplate.toUpperCase()), signature);
+    assert.strictEqual(DuplicateIndex.estimateSimilarity(signature, signature), 1);
+    assert.ok(DuplicateIndex.estimateSimilarity(signature, index.getSignature(variant)) >= 0.6);
+    assert.ok(DuplicateIndex.estimateSimilarity(signature, index.getSignature(distinct)) < 0.2);
+    assert.strictEqual(index.getSignature('Happy coding!'), null);
+});
+
+test('matches come from other articles of the same locale', () => {
+    const index = new DuplicateIndex(settings);
+    index.addArticle('en/a.md', 'en', article(distinct, boilerplate));
+    index.addArticle('en/b.md', 'en', article('A different opening that is long enough to be indexed by the duplicate index.', variant));
+    index.addArticle('de/a.md', 'de', article(distinct, boilerplate));
+    index.addArticle('en/broken.md', 'en', 'No front matter here.');
+
+    assert.deepStrictEqual([...index.articles], ['en/a.md', 'en/b.md', 'de/a.md']);
+
+    const matches = index.findMatches(boilerplate, { locale: 'en', article: 'en/c.md' });
+    assert.deepStrictEqual(matches.map(match => [match.article, match.section]), [['en/a.md', 'closing:1'], ['en/b.md', 'closing:1']]);
+    assert.strictEqual(matches[0].similarity, 1);
+
+    // An article never matches itself
+    assert.deepStrictEqual(index.findMatches(boilerplate, { locale: 'en', article: 'en/a.md' }).map(match => match.article), ['en/b.md']);
+    assert.deepStrictEqual(index.findMatches(distinct, { locale: 'fr', article: 'fr/a.md' }), []);
+});
+
+test('only duplicates a rewrite introduces count', () => {
+    const index = new DuplicateIndex(settings);
+    index.addArticle('en/a.md', 'en', article(distinct, boilerplate));
+
+    // Boilerplate the original already shared is not new, moving closer to it is
+    assert.deepStrictEqual(index.findNewMatches(boilerplate, boilerplate, { locale: 'en', article: 'en/b.md' }), []);
+    assert.strictEqual(index.findNewMatches(variant, boilerplate, { locale: 'en', article: 'en/b.md' }).length, 1);
+    const [match] = index.findNewMatches(distinct.replace('output', 'result'), boilerplate, { locale: 'en', article: 'en/b.md' });
+    assert.deepStrictEqual([match.article, match.section, match.similarity], ['en/a.md', 'closing:1', 1]);
+    assert.ok(match.originalSimilarity < match.similarity);
+});
+
+test('re-adding a section replaces it and clusters group near-duplicates', () => {
+    const index = new DuplicateIndex(settings);
+    index.addArticle('en/a.md', 'en', article(distinct, boilerplate));
+    index.addArticle('en/b.md', 'en', article('Another opening with enough words to be indexed by the duplicate detection.', variant));
+    index.addArticle('en/c.md', 'en', article('Yet another opening with plenty of words so that it is indexed as well.', boilerplate));
+
+    const [cluster, ...others] = index.findClusters();
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(cluster.locale, 'en');
+    assert.deepStrictEqual(cluster.paragraphs.map(paragraph => paragraph.article).sort(), ['en/a.md', 'en/b.md', 'en/c.md']);
+    assert.strictEqual(cluster.maxSimilarity, 1);
+
+    index.add({ article: 'en/c.md', locale: 'en', section: 'closing:1', text: distinct.replace('cell', 'column') });
+    assert.deepStrictEqual(index.findMatches(boilerplate, { locale: 'en', article: 'en/x.md' }).map(match => match.article), ['en/a.md', 'en/b.md']);
+});
+
+test('the index is built from every locale and platform of the content tree', () => {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-duplicates-'));
+    try {
+        const write = (relativePath, content) => {
+            fs.mkdirSync(path.dirname(path.join(repoRoot, relativePath)), { recursive: true });
+            fs.writeFileSync(path.join(repoRoot, relativePath), content);
+        };
+        write('content/en/total/java/a.md', article(distinct, boilerplate));
+        write('content/en/total/net/b.md', article(distinct, variant));
+        write('content/en/total/net/_index.md', article(distinct, boilerplate));
+        write('content/de/total/java/a.md', article(distinct, boilerplate));
+
+        const config = loadConfig({ argv: [], env: { KB_REWRITER_PATHS_REPO_ROOT: repoRoot } });
+        const index = DuplicateIndex.fromConfig(config);
+        assert.deepStrictEqual([...index.articles].sort(), [
+            'content/de/total/java/a.md',
+            'content/en/total/java/a.md',
+            'content/en/total/net/b.md'
+        ]);
+        assert.deepStrictEqual(index.findClusters().map(cluster => [cluster.locale, cluster.paragraphs.length]), [['en', 2], ['en', 2]]);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EditPlan, EditPlanError } = require('../edit-plan.js');
+
+const original = 'lastmod: 2024-01-10\n---\nOld opening.\n\nBody text.\n\nOld closing.\n';
+
+function planFor(content) {
+    const plan = new EditPlan({ file: 'a.md' });
+    for (const [text, replacement, section] of [['Old opening.', 'New opening paragraph.', 'opening'], ['Old closing.', 'New closing.', 'closing:1']]) {
+        const start = content.indexOf(text);
+        plan.addEdit({ start, end: start + text.length, original: text, replacement, section });
+    }
+    return plan;
+}
+
+test('apply and revert round-trip', () => {
+    const plan = planFor(original);
+    const applied = plan.apply(original);
+    assert.strictEqual(applied, 'lastmod: 2024-01-10\n---\nNew opening paragraph.\n\nBody text.\n\nNew closing.\n');
+    assert.strictEqual(plan.revert(applied), original);
+});
+
+test('revert still works after the file changed elsewhere', () => {
+    const plan = planFor(original);
+    const applied = plan.apply(original);
+    // A later edit before the rewritten paragraphs moves every offset
+    const edited = applied.replace('lastmod: 2024-01-10', 'lastmod: 2025-03-01T10:00:00Z\ntags: [pdf]').replace('Body text.', 'Body text, edited by hand.');
+    const reverted = plan.revert(edited);
+    assert.strictEqual(reverted, edited.replace('New opening paragraph.', 'Old opening.').replace('New closing.', 'Old closing.'));
+});
+
+test('a relocated edit picks the occurrence closest to its recorded offset', () => {
+    const plan = new EditPlan({ file: 'a.md' });
+    plan.addEdit({ start: 20, end: 23, original: 'foo', replacement: 'bar' });
+    assert.strictEqual(plan.apply('foo ........... xx foo ..... foo'), 'foo ........... xx bar ..... foo');
+});
+
+test('an edit whose original text is gone is stale', () => {
+    const plan = planFor(original);
+    const applied = plan.apply(original);
+    assert.throws(() => plan.revert(applied.replace('New closing.', 'Closing rewritten by hand.')), EditPlanError);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FrontMatter = require('../front-matter.js');
+const { FrontMatterSchema, FrontMatterSchemaError } = require('../front-matter-schema.js');
+
+const contentBase = path.resolve('/kb/content');
+
+const definition = {
+    version: 1,
+    additionalFields: false,
+    fields: {
+        title: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+        platformkey: { type: 'string', required: true, enum: ['java', 'net'] },
+        productkey: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        date: { type: 'date', required: true, format: 'date' },
+        lastmod: { type: 'date', required: true },
+        tags: { type: 'string[]' },
+        weight: { type: 'integer' },
+        draft: { type: 'boolean' }
+    },
+    dateOrder: [['date', 'lastmod']],
+    overrides: [
+        { match: { section: 'java' }, fields: { platformkey: { enum: ['java'] } } },
+        { match: { type: 'landing' }, fields: { lastmod: { required: false }, type: { type: 'string' } } }
+    ]
+};
+
+function parse(lines) {
+    return FrontMatter.parse(['---', ...lines, '---', 'Body.', ''].join('\n'));
+}
+
+const valid = [
+    'title: "Convert DOCX to PDF"',
+    'platformkey: java',
+    'productkey: words',
+    'date: 2024-01-15',
+    'lastmod: 2024-03-01',
+    'tags: [docx, pdf]'
+];
+
+test('valid front matter has no errors', () => {
+    const schema = new FrontMatterSchema(definition, { contentBase });
+    assert.deepStrictEqual(schema.validate(parse(valid), path.join(contentBase, 'java/convert.md')), []);
+});
+
+test('types, enums, patterns, lengths, formats and date order are checked', () => {
+    const schema = new FrontMatterSchema(definition, { contentBase });
+    const errors = schema.validate(parse([
+        `title: "${'x'.repeat(41)}"`,
+        'platformkey: python',
+        'productkey: Words!',
+        'date: 2024-03-01T10:00:00',
+        'lastmod: 2024-01-15',
+        'tags: docx',
+        'weight: 1.5',
+        'draft: "no"',
+        'author: someone'
+    ]));
+
+    assert.deepStrictEqual(errors, [
+        'title: length 41 exceeds the maximum of 40',
+        'platformkey: "python" is not one of java, net',
+        'productkey: "Words!" does not match ^[a-z0-9-]+$',
+        'date: "2024-03-01T10:00:00" does not match the YYYY-MM-DD format',
+        'tags: expected a list of strings, got string',
+        'weight: expected an integer, got 1.5',
+        'draft: expected true or false, got string',
+        'Unknown field: author',
+        'lastmod (2024-01-15) is earlier than date (2024-03-01T10:00:00)'
+    ]);
+});
+
+test('missing required fields and invalid dates are reported', () => {
+    const schema = new FrontMatterSchema(definition, { contentBase });
+    assert.deepStrictEqual(schema.validate(parse(['title: ""', 'platformkey: net', 'date: someday', 'lastmod: 2024-01-15'])), [
+        'Missing required field: title',
+        'date: "someday" is not a valid date'
+    ]);
+});
+
+test('overrides apply by content section and by front matter value', () => {
+    const schema = new FrontMatterSchema(definition, { contentBase });
+    const netArticle = parse(valid.map(line => line.replace('platformkey: java', 'platformkey: net')));
+
+    assert.strictEqual(schema.getSection(path.join(contentBase, 'java/convert.md')), 'java');
+    assert.strictEqual(schema.getSection(path.join(contentBase, '_index.md')), null);
+    assert.strictEqual(schema.getSection('/elsewhere/java/convert.md'), null);
+    assert.deepStrictEqual(schema.validate(netArticle, path.join(contentBase, 'net/convert.md')), []);
+    assert.deepStrictEqual(schema.validate(netArticle, path.join(contentBase, 'java/convert.md')), [
+        'platformkey: "net" is not one of java'
+    ]);
+
+    const landing = parse(['title: "Home"', 'platformkey: net', 'date: 2024-01-15', 'type: landing']);
+    assert.deepStrictEqual(schema.validate(landing), []);
+});
+
+test('invalid schemas are rejected with every problem listed', () => {
+    const problems = FrontMatterSchema.check({
+        version: 2,
+        fields: {
+            title: { type: 'text', required: 'yes', maxLenght: 10 },
+            tags: { enum: [] }
+        },
+        dateOrder: [['date']],
+        overrides: [{ match: {}, fields: { extra: { required: true } } }]
+    });
+    assert.deepStrictEqual(problems, [
+        'version must be 1',
+        'fields.title: unknown rule "maxLenght"',
+        'fields.title: type must be one of string, number, integer, boolean, date, string[]',
+        'fields.title: required must be a boolean',
+        'fields.tags: enum must be a non-empty array',
+        'fields.tags: type is required',
+        'dateOrder[0] must be a pair of field names',
+        'overrides[0].match must be a non-empty object',
+        'overrides[0].fields.extra: type is required for fields not in the base schema'
+    ]);
+    assert.throws(() => new FrontMatterSchema({ version: 1, fields: [] }), FrontMatterSchemaError);
+});
+
+test('schema files are loaded and the shipped schema is valid', () => {
+    const shipped = path.join(__dirname, '..', 'front-matter-schema.json');
+    assert.deepStrictEqual(FrontMatterSchema.check(JSON.parse(fs.readFileSync(shipped, 'utf8'))), []);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-schema-'));
+    try {
+        const schemaPath = path.join(dir, 'schema.json');
+        fs.writeFileSync(schemaPath, '{ "version": 1, ');
+        assert.throws(() => FrontMatterSchema.load(schemaPath), /Could not read front matter schema/);
+        fs.writeFileSync(schemaPath, JSON.stringify({ version: 1, fields: { title: { required: true } } }));
+        assert.throws(() => FrontMatterSchema.load(schemaPath), error =>
+            error instanceof FrontMatterSchemaError && error.problems[0] === 'fields.title: type is required');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const toml = require('smol-toml');
+const FrontMatter = require('../front-matter.js');
+
+test('YAML fields are updated in place, keeping quotes and comments', () => {
+    const fields = FrontMatter.parse("---\ntitle: 'T'\nlastmod: 2024-01-10 # updated by CI\n---\nBody\n");
+    fields.setField('lastmod', new Date('2025-03-01T00:00:00Z'));
+    assert.strictEqual(fields.raw, "title: 'T'\nlastmod: 2025-03-01 # updated by CI");
+});
+
+test('YAML timestamps keep their offset and show the local time at it', () => {
+    const fields = FrontMatter.parse('---\ndate: 2024-01-10T10:00:00+02:00\nlastmod: 2024-01-10 09:00:00 -0500\n---\n');
+    fields.setField('date', new Date('2025-03-01T23:30:00Z'));
+    fields.setField('lastmod', new Date('2025-03-01T03:15:00Z'));
+    assert.strictEqual(fields.raw, 'date: 2025-03-02T01:30:00+02:00\nlastmod: 2025-02-28 22:15:00 -0500');
+    assert.strictEqual(FrontMatter.parse(`---\n${fields.raw}\n---\n`).getDate('date').toISOString(), '2025-03-01T23:30:00.000Z');
+});
+
+test('YAML strings stay unquoted on an unquoted value when they read back unchanged', () => {
+    const fields = FrontMatter.parse('---\ntitle: Old title\ndescription: Old text\ntype: total\ncategory: docs\n---\n');
+    fields.setField('title', 'Convert DOCX to PDF in Java');
+    fields.setField('description', 'Convert files: a guide #1');
+    fields.setField('type', 'yes');
+    fields.setField('category', '2024');
+    assert.strictEqual(fields.raw, [
+        'title: Convert DOCX to PDF in Java',
+        'description: "Convert files: a guide #1"',
+        'type: "yes"',
+        'category: "2024"'
+    ].join('\n'));
+});
+
+test('TOML: a missing field is added as a top-level key, before the first table', () => {
+    const fields = FrontMatter.parse('+++\ntitle = "T"\n\n[params]\nx = 1\n+++\nBody\n');
+    fields.setField('lastmod', '2025-03-01');
+    assert.strictEqual(fields.raw, 'title = "T"\nlastmod = "2025-03-01"\n\n[params]\nx = 1');
+    const parsed = toml.parse(fields.raw);
+    assert.strictEqual(parsed.lastmod, '2025-03-01');
+    assert.strictEqual(parsed.params.x, 1);
+});
+
+test('TOML: keys inside tables are not mistaken for top-level fields', () => {
+    const fields = FrontMatter.parse('+++\ntitle = "T"\n[params]\nlastmod = 2020-01-01\n+++\n');
+    assert.strictEqual(fields.has('lastmod'), false);
+    assert.strictEqual(fields.getRawValue('lastmod'), null);
+    fields.setField('lastmod', new Date('2025-03-01T00:00:00Z'));
+    const parsed = toml.parse(fields.raw);
+    assert.strictEqual(parsed.lastmod.toISOString().slice(0, 10), '2025-03-01');
+    assert.strictEqual(parsed.params.lastmod.toISOString().slice(0, 10), '2020-01-01');
+});
+
+test('TOML: front matter that starts with a table gets the key at the top', () => {
+    const fields = FrontMatter.parse('+++\n[params]\nx = 1\n+++\n');
+    fields.setField('title', 'T');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(toml.parse(fields.raw))), { title: 'T', params: { x: 1 } });
+});
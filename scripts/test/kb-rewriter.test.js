@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, EXIT_CODES } = require('../kb-rewriter.js');
+
+const CLI = path.join(__dirname, '..', 'kb-rewriter.js');
+
+// Everything the CLI writes stays inside the temporary repository
+const repoConfig = {
+    paths: {
+        reportFile: 'processing-report.json',
+        reviewMarkdownFile: 'review-report.md',
+        reviewHtmlFile: 'review-report.html',
+        previewDir: 'preview',
+        editPlanDir: 'edit-plans'
+    },
+    llm: { provider: 'echo', cache: { dir: 'llm-cache' } },
+    seo: { description: 'off' }
+};
+
+function writeArticle(repoRoot, relativePath, { productKey = 'sample-product' } = {}) {
+    const filePath = path.join(repoRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+        '---',
+        'title: "Convert documents"',
+        'platformkey: "java"',
+        'productname: "Sample Product"',
+        `productkey: "${productKey}"`,
+        'date: 2024-01-10',
+        'lastmod: 2024-01-10',
+        'type: total',
+        '---',
+        'This opening explains how to convert documents with a few lines of code in your application.',
+        '',
+        '{{< gist "samples" "abc123" "example.java" >}}',
+        '',
+        'We hope this guide helps you get started quickly and makes your daily work with documents much easier.',
+        ''
+    ].join('\n'));
+    return filePath;
+}
+
+function withRepo(run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-cli-'));
+    try {
+        fs.writeFileSync(path.join(repoRoot, 'kb-rewriter.config.json'), JSON.stringify(repoConfig));
+        return run(repoRoot);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+function cli(repoRoot, ...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd: repoRoot,
+        env: { ...process.env, KB_REWRITER_PATHS_REPO_ROOT: repoRoot, LLM_API_KEY: '' },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('help and usage errors', () => {
+    withRepo(repoRoot => {
+        const help = cli(repoRoot, '--help');
+        assert.strictEqual(help.code, EXIT_CODES.OK);
+        assert.match(help.stdout, /^Usage: node kb-rewriter.js <command>/);
+
+        assert.strictEqual(cli(repoRoot).code, EXIT_CODES.USAGE);
+        assert.match(cli(repoRoot, 'rewrite').stderr, /Unknown command "rewrite"/);
+        assert.match(cli(repoRoot, 'select', '--check').stderr, /Unknown option --check for "select"/);
+        assert.strictEqual(cli(repoRoot, 'report', 'extra').code, EXIT_CODES.USAGE);
+        assert.strictEqual(cli(repoRoot, 'validate', '--diff').code, EXIT_CODES.USAGE);
+
+        const badConfig = cli(repoRoot, 'select', '--set', 'selection.maxArticlesPerRun=lots');
+        assert.strictEqual(badConfig.code, EXIT_CODES.USAGE);
+        assert.match(badConfig.stderr, /selection.maxArticlesPerRun/);
+    });
+});
+
+test('commands with nothing to work on exit with 3', () => {
+    withRepo(repoRoot => {
+        assert.strictEqual(cli(repoRoot, 'select').code, EXIT_CODES.NOTHING_TO_DO);
+        // select wrote an empty selection, so process has nothing to do either
+        assert.strictEqual(cli(repoRoot, 'process').code, EXIT_CODES.NOTHING_TO_DO);
+        assert.strictEqual(cli(repoRoot, 'report').code, EXIT_CODES.NOTHING_TO_DO);
+        assert.strictEqual(cli(repoRoot, 'revert').code, EXIT_CODES.NOTHING_TO_DO);
+        assert.strictEqual(cli(repoRoot, 'validate').code, EXIT_CODES.NOTHING_TO_DO);
+    });
+});
+
+test('missing inputs are usage errors', () => {
+    withRepo(repoRoot => {
+        const noSelection = cli(repoRoot, 'process');
+        assert.strictEqual(noSelection.code, EXIT_CODES.USAGE);
+        assert.match(noSelection.stderr, /No selection file at/);
+        assert.match(cli(repoRoot, 'validate', 'content/missing.md').stderr, /No such file or directory: content\/missing.md/);
+        assert.strictEqual(cli(repoRoot, 'revert', 'no-such-run').code, EXIT_CODES.USAGE);
+    });
+});
+
+test('validate exits with 1 on lint errors and prints only JSON with --json', () => {
+    withRepo(repoRoot => {
+        writeArticle(repoRoot, 'content/en/total/java/good.md');
+        assert.strictEqual(cli(repoRoot, 'validate').code, EXIT_CODES.OK);
+
+        writeArticle(repoRoot, 'content/en/total/java/bad.md', { productKey: 'Not Valid' });
+        const failed = cli(repoRoot, 'validate', '--json');
+        assert.strictEqual(failed.code, EXIT_CODES.FAILED);
+        const results = JSON.parse(failed.stdout);
+        assert.strictEqual(results.failed, 1);
+        assert.match(failed.stderr, /bad\.md/);
+
+        assert.strictEqual(cli(repoRoot, 'validate', 'content/**/good.md').code, EXIT_CODES.OK);
+        assert.strictEqual(cli(repoRoot, 'validate', '--exclude', 'content/**/bad.md').code, EXIT_CODES.OK);
+    });
+});
+
+test('process and report run offline with the echo provider', () => {
+    withRepo(repoRoot => {
+        writeArticle(repoRoot, 'content/en/total/java/a.md');
+        const processed = cli(repoRoot, 'process', 'content/en/total/java/a.md', '--dry-run', '--json');
+        assert.strictEqual(processed.code, EXIT_CODES.OK, processed.stderr);
+        const report = JSON.parse(processed.stdout);
+        assert.strictEqual(report.summary.total, 1);
+        assert.strictEqual(report.summary.failed, 0);
+        assert.match(processed.stderr, /📊 Processing Summary/);
+        assert.ok(fs.existsSync(path.join(repoRoot, 'processing-report.json')));
+
+        // Paths in a hand-written selection resolve against the repo root
+        fs.writeFileSync(path.join(repoRoot, 'selection.json'), JSON.stringify({ articles: [{ path: 'content/en/total/java/a.md' }] }));
+        const selected = cli(repoRoot, 'process', '--selection', 'selection.json', '--dry-run', '--json');
+        assert.strictEqual(selected.code, EXIT_CODES.OK, selected.stderr);
+        assert.strictEqual(JSON.parse(selected.stdout).files[0].filePath, path.join(repoRoot, 'content/en/total/java/a.md'));
+
+        const summary = cli(repoRoot, 'report');
+        assert.strictEqual(summary.code, EXIT_CODES.OK);
+        assert.match(summary.stdout, /dry run/);
+        assert.match(fs.readFileSync(path.join(repoRoot, 'review-report.md'), 'utf8'), /a\.md/);
+    });
+});
+
+test('--json leaves the global console alone', async () => {
+    const { log, error } = console;
+    console.error = () => {};
+    try {
+        assert.strictEqual(await main(['select', '--json', '--set', 'selection.maxArticlesPerRun=lots']), EXIT_CODES.USAGE);
+        assert.strictEqual(console.log, log);
+    } finally {
+        Object.assign(console, { log, error });
+    }
+});
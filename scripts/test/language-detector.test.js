@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, checkLanguage } = require('../language-detector.js');
+
+const english = 'This guide shows how to convert a document to PDF with the Java API, and it explains which options you can use.';
+const german = 'Diese Anleitung zeigt, wie Sie ein Dokument mit der Java API in PDF konvertieren und welche Optionen es auch für die Ausgabe gibt.';
+const french = 'Ce guide explique comment convertir un document en PDF avec la bibliothèque Java et les options disponibles pour vous.';
+
+test('latin-script languages are told apart by function words', () => {
+    assert.strictEqual(detectLanguage(english).language, 'en');
+    assert.strictEqual(detectLanguage(german).language, 'de');
+    assert.strictEqual(detectLanguage(french).language, 'fr');
+    assert.ok(detectLanguage(english).confidence > 0.3);
+});
+
+test('non-latin scripts are recognized by their characters', () => {
+    assert.strictEqual(detectLanguage('この記事では、Java を使用して文書を PDF に変換する方法を説明します。').language, 'ja');
+    assert.strictEqual(detectLanguage('本文介绍如何使用 Java 将文档转换为 PDF。').language, 'zh');
+    assert.strictEqual(detectLanguage('В этой статье описано, как преобразовать документ в PDF.').language, 'ru');
+    assert.strictEqual(detectLanguage('У цій статті описано, як перетворити документ на PDF і зберегти його.').language, 'uk');
+    assert.strictEqual(detectLanguage('이 문서에서는 문서를 PDF로 변환하는 방법을 설명합니다.').language, 'ko');
+});
+
+test('code, links, shortcodes and placeholders are ignored; short text is undecided', () => {
+    const masked = 'Call `Document.save()` @@P0@@ {{< gist "a" "b" >}} [docs](https://example.com/die/der/das) now.';
+    assert.deepStrictEqual(detectLanguage(masked), { language: null, confidence: 0 });
+    assert.deepStrictEqual(detectLanguage('Convert DOCX to PDF.'), { language: null, confidence: 0 });
+    assert.deepStrictEqual(detectLanguage('`code` @@P1@@'), { language: null, confidence: 0 });
+});
+
+test('a rewrite in the wrong language is rejected', () => {
+    const wrong = checkLanguage(english, 'de');
+    assert.strictEqual(wrong.accepted, false);
+    assert.strictEqual(wrong.detected, 'en');
+    assert.strictEqual(wrong.reason, 'language: expected de but the text reads as en');
+
+    assert.strictEqual(checkLanguage(german, 'de').accepted, true);
+    // Languages the detector does not know, and undecidable text, pass
+    assert.strictEqual(checkLanguage(english, 'fi').accepted, true);
+    assert.strictEqual(checkLanguage('Convert DOCX to PDF.', 'de').accepted, true);
+});
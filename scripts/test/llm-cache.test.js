@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LLMCache, LLMCacheMissError } = require('../llm-cache.js');
+
+const request = {
+    model: 'gpt-test',
+    messages: [{ role: 'user', content: 'Rewrite this.' }],
+    params: { temperature: 0.7, maxTokens: 100 }
+};
+const completion = { content: 'Rewritten.', finishReason: 'stop', usage: { promptTokens: 5, completionTokens: 2 }, model: 'gpt-test' };
+
+function withCacheDir(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-llm-cache-'));
+    try {
+        return run(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('keys ignore property order and undefined values but not content', () => {
+    const reordered = { params: { maxTokens: 100, temperature: 0.7, seed: undefined }, messages: request.messages, model: 'gpt-test' };
+    assert.strictEqual(LLMCache.keyFor(reordered), LLMCache.keyFor(request));
+    assert.notStrictEqual(LLMCache.keyFor({ ...request, model: 'other' }), LLMCache.keyFor(request));
+    assert.notStrictEqual(LLMCache.keyFor({ ...request, params: { ...request.params, temperature: 0 } }), LLMCache.keyFor(request));
+});
+
+test('responses recorded in record mode are replayed', () => {
+    withCacheDir(dir => {
+        const recorder = new LLMCache({ mode: 'record', dir });
+        assert.strictEqual(recorder.readEnabled, false);
+        assert.strictEqual(recorder.writeEnabled, true);
+        const key = recorder.set(request, completion);
+        assert.ok(fs.existsSync(path.join(dir, key.slice(0, 2), `${key}.json`)));
+
+        const replay = new LLMCache({ mode: 'replay', dir });
+        assert.strictEqual(replay.readEnabled, true);
+        assert.strictEqual(replay.writeEnabled, false);
+        assert.deepStrictEqual(replay.get(request), { ...completion, cached: true, cacheKey: key });
+        assert.deepStrictEqual(replay.stats, { hits: 1, misses: 0, writes: 0 });
+    });
+});
+
+test('a replay miss fails instead of calling the LLM', () => {
+    withCacheDir(dir => {
+        const replay = new LLMCache({ mode: 'replay', dir });
+        assert.throws(() => replay.get(request), error => error instanceof LLMCacheMissError && error.key === LLMCache.keyFor(request));
+        assert.strictEqual(replay.stats.misses, 1);
+    });
+});
+
+test('passthrough neither reads nor writes; unknown modes are rejected', () => {
+    const cache = new LLMCache({ dir: 'unused' });
+    assert.strictEqual(cache.mode, 'passthrough');
+    assert.strictEqual(cache.readEnabled, false);
+    assert.strictEqual(cache.writeEnabled, false);
+    assert.throws(() => new LLMCache({ mode: 'sometimes', dir: 'unused' }), /Unknown LLM cache mode: sometimes/);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProvider, requiresApiKey, EchoProvider } = require('../llm-providers.js');
+const { loadConfig } = require('../config.js');
+
+const messages = [
+    { role: 'system', content: 'You are an editor.' },
+    { role: 'user', content: 'Rewrite this.' }
+];
+
+/**
+ * Serve one canned JSON response per request, recording the request bodies
+ */
+async function withServer(respond, run) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: JSON.parse(body) });
+            const { status = 200, json } = respond(requests.length);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await run(`http://127.0.0.1:${server.address().port}`, requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('openai-compatible responses are normalized', async () => {
+    const json = {
+        model: 'served-model',
+        choices: [{ message: { content: 'Rewritten.' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+    };
+    await withServer(() => ({ json }), async (url, requests) => {
+        const provider = createProvider({ provider: 'openai', apiUrl: `${url}/v1/chat/completions`, model: 'gpt-test' }, 'secret');
+        const completion = await provider.complete(messages, { temperature: 0.5, maxTokens: 100 });
+
+        assert.deepStrictEqual(completion, {
+            content: 'Rewritten.',
+            finishReason: 'stop',
+            usage: { promptTokens: 12, completionTokens: 3 },
+            model: 'served-model'
+        });
+        assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+        assert.deepStrictEqual(requests[0].body, { model: 'gpt-test', messages, temperature: 0.5, max_tokens: 100 });
+    });
+});
+
+test('ollama responses are normalized', async () => {
+    const json = { message: { content: 'Local rewrite.' }, done_reason: 'length', prompt_eval_count: 20, eval_count: 7 };
+    await withServer(() => ({ json }), async (url, requests) => {
+        const provider = createProvider({ provider: 'ollama', apiUrl: `${url}/api/chat`, model: 'llama3' });
+        const completion = await provider.complete(messages, { temperature: 0.2, maxTokens: 50 });
+
+        assert.deepStrictEqual(completion, {
+            content: 'Local rewrite.',
+            finishReason: 'length',
+            usage: { promptTokens: 20, completionTokens: 7 },
+            model: 'llama3'
+        });
+        assert.deepStrictEqual(requests[0].body.options, { temperature: 0.2, num_predict: 50 });
+        assert.strictEqual(requests[0].body.stream, false);
+    });
+});
+
+test('HTTP errors and malformed responses are rejected', async () => {
+    await withServer(count => (count === 1 ? { status: 500, json: { error: 'boom' } } : { json: { choices: [] } }), async url => {
+        const provider = createProvider({ provider: 'openai', apiUrl: url, model: 'gpt-test' }, 'secret');
+        await assert.rejects(provider.complete(messages, {}), /HTTP 500/);
+        await assert.rejects(provider.complete(messages, {}), /Malformed response/);
+    });
+});
+
+test('echo transforms the source text offline', async () => {
+    const input = 'Convert  PDF files\nto images with {{< gist >}} ease';
+    const complete = transform => new EchoProvider({ model: 'echo', transform }).complete(messages, { input });
+
+    assert.strictEqual((await complete('identity')).content, input);
+    assert.strictEqual((await complete('tidy')).content, 'Convert PDF files\nto images with {{< gist >}} ease');
+
+    const swapped = (await complete('swap')).content;
+    assert.strictEqual(swapped, 'PDF  Convert files\nimages to with {{< gist >}} ease');
+    const restored = await new EchoProvider({ model: 'echo', transform: 'swap' }).complete(messages, { input: swapped });
+    assert.strictEqual(restored.content, input);
+
+    // Tidying is the default, so echoed rewrites never scramble an article
+    assert.strictEqual((await new EchoProvider({ model: 'echo' }).complete(messages, { input })).content, 'Convert PDF files\nto images with {{< gist >}} ease');
+
+    // Without the source text the last user message is echoed
+    assert.strictEqual((await new EchoProvider({ model: 'echo', transform: 'identity' }).complete(messages)).content, 'Rewrite this.');
+});
+
+test('provider lookup and API key requirement', () => {
+    assert.throws(() => createProvider({ provider: 'nope' }), /Unknown LLM provider: nope/);
+    assert.strictEqual(requiresApiKey({ provider: 'openai' }), true);
+    assert.strictEqual(requiresApiKey({ provider: 'ollama' }), false);
+    assert.strictEqual(requiresApiKey({ provider: 'echo' }), false);
+    assert.strictEqual(createProvider(loadConfig({ argv: ['--set', 'llm.provider=echo'], env: {} }).llm).transform, 'tidy');
+});
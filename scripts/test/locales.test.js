@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getLanguage,
+    getDefaultLocale,
+    discoverLocales,
+    discoverPlatforms,
+    resolveContentLocation
+} = require('../locales.js');
+
+function withContent(run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-locales-'));
+    try {
+        for (const dir of ['content/en/total/java', 'content/en/total/net', 'content/de/total/java', 'content/fr/other', 'content/es']) {
+            fs.mkdirSync(path.join(repoRoot, dir), { recursive: true });
+        }
+        fs.writeFileSync(path.join(repoRoot, 'content/readme.txt'), 'not a locale');
+        return run(repoRoot, path.join(repoRoot, 'content/{locale}/total'));
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+test('locales name their language by primary subtag', () => {
+    assert.deepStrictEqual(getLanguage('pt-br'), { locale: 'pt-br', code: 'pt', name: 'Portuguese' });
+    assert.deepStrictEqual(getLanguage('zh_CN'), { locale: 'zh_CN', code: 'zh', name: 'Chinese' });
+    assert.deepStrictEqual(getLanguage('xx'), { locale: 'xx', code: 'xx', name: 'xx' });
+    assert.strictEqual(getDefaultLocale([]), 'en');
+    assert.strictEqual(getDefaultLocale(['de', 'en']), 'de');
+});
+
+test('locales with an existing content base are discovered', () => {
+    withContent((repoRoot, contentBase) => {
+        assert.deepStrictEqual(discoverLocales(contentBase).map(entry => entry.locale), ['de', 'en']);
+        assert.deepStrictEqual(discoverLocales(contentBase, ['en', 'fr']), [
+            { locale: 'en', base: path.join(repoRoot, 'content/en/total') }
+        ]);
+        assert.deepStrictEqual(discoverPlatforms(path.join(repoRoot, 'content/de/total'), ['java', 'net']), ['java']);
+
+        // Without a {locale} segment the content base is one locale
+        const single = path.join(repoRoot, 'content/en/total');
+        assert.deepStrictEqual(discoverLocales(single, ['en']), [{ locale: 'en', base: single }]);
+        assert.deepStrictEqual(discoverLocales(path.join(repoRoot, 'missing')), []);
+    });
+});
+
+test('files resolve to their locale and section', () => {
+    withContent((repoRoot, contentBase) => {
+        assert.deepStrictEqual(resolveContentLocation(path.join(repoRoot, 'content/de/total/java/a.md'), contentBase), {
+            locale: 'de',
+            base: path.join(repoRoot, 'content/de/total'),
+            section: 'java'
+        });
+        assert.strictEqual(resolveContentLocation(path.join(repoRoot, 'content/de/total/_index.md'), contentBase).section, null);
+        assert.strictEqual(resolveContentLocation(path.join(repoRoot, 'content/fr/other/a.md'), contentBase), null);
+        assert.strictEqual(resolveContentLocation(path.join(repoRoot, 'elsewhere/a.md'), path.join(repoRoot, 'content')), null);
+        assert.strictEqual(resolveContentLocation(path.join(repoRoot, 'content/es/java/a.md'), path.join(repoRoot, 'content'), ['es']).locale, 'es');
+    });
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sanitize } = require('../output-sanitizer.js');
+
+const original = 'Aspose.Words converts DOCX files to PDF.';
+
+function clean(content, originalText = original) {
+    return sanitize({ content, finishReason: 'stop' }, originalText);
+}
+
+test('wrapping artifacts are stripped and reported', () => {
+    const result = clean('<think>The user wants a rewrite.</think>\nSure! Here is the rewrite:\n"Convert DOCX files to PDF with Aspose.Words."\nLet me know if you need changes.');
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.text, 'Convert DOCX files to PDF with Aspose.Words.');
+    assert.deepStrictEqual(result.actions, [
+        'removed <think> block',
+        'removed preamble',
+        'removed closing remark',
+        'removed wrapping quotes'
+    ]);
+
+    const fenced = clean('```markdown\nConvert DOCX files to PDF with Aspose.Words.\n```');
+    assert.strictEqual(fenced.text, 'Convert DOCX files to PDF with Aspose.Words.');
+    assert.deepStrictEqual(fenced.actions, ['removed code fence']);
+});
+
+test('clean output passes through untouched', () => {
+    assert.deepStrictEqual(clean('Convert DOCX files to PDF with Aspose.Words.'), {
+        ok: true,
+        text: 'Convert DOCX files to PDF with Aspose.Words.',
+        actions: [],
+        failure: null
+    });
+    // Quotes that were already in the original are kept
+    assert.strictEqual(clean('"Quoted on purpose."', '"A quoted opening."').text, '"Quoted on purpose."');
+    assert.strictEqual(clean('Rewritten paragraph: Convert DOCX files to PDF.').text, 'Convert DOCX files to PDF.');
+});
+
+test('refusals, empty and truncated output are rejected', () => {
+    assert.strictEqual(clean("I'm sorry, but I can't help with that.").failure, 'refusal');
+    assert.strictEqual(clean('As an AI, I cannot rewrite this.').failure, 'refusal');
+    assert.strictEqual(clean('   ').failure, 'empty output');
+    assert.strictEqual(clean('<think>Still thinking about the').failure, 'empty output');
+    assert.strictEqual(clean('Convert DOCX files to PDF with').failure, 'truncated: output ends mid-sentence');
+    assert.strictEqual(sanitize({ content: 'Convert DOCX.', finishReason: 'length' }, original).failure, 'truncated: finish_reason "length"');
+
+    const failed = clean('I am unable to do that.');
+    assert.strictEqual(failed.ok, false);
+    assert.strictEqual(failed.text, null);
+});
+
+test('output may end with a placeholder or shortcode', () => {
+    assert.strictEqual(clean('See the guide at @@P0@@').ok, true);
+    assert.strictEqual(clean('Embed it with {{< gist "a" "b" >}}').ok, true);
+    // An original without a final full stop does not require one
+    assert.strictEqual(clean('Convert DOCX files', 'Convert DOCX').ok, true);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mask, unmask, PlaceholderError } = require('../placeholder-masker.js');
+
+/**
+ * Mask, let `model` rewrite the masked text, and restore it
+ */
+function roundTrip(text, model = masked => masked) {
+    const { masked, placeholders } = mask(text);
+    return { masked, placeholders, restored: unmask(model(masked), placeholders) };
+}
+
+function problemsOf(run) {
+    try {
+        run();
+    } catch (error) {
+        assert.ok(error instanceof PlaceholderError, error.message);
+        return error.problems;
+    }
+    assert.fail('expected a PlaceholderError');
+}
+
+test('nested links and images inside links round-trip', () => {
+    const text = 'See [![Logo](https://example.com/logo.png)](https://example.com/docs "Docs") and [the [beta] guide](/guide/beta/).';
+    const { masked, placeholders, restored } = roundTrip(text);
+    assert.strictEqual(restored, text);
+    assert.strictEqual(masked, 'See [![Logo](@@P0@@)](@@P1@@) and [the [beta] guide](@@P2@@).');
+    assert.deepStrictEqual(placeholders.map(placeholder => placeholder.kind), ['link-target', 'link-target', 'link-target']);
+});
+
+test('inline code is masked whole, even when it contains @@ or token-like text', () => {
+    const text = 'Use `a @@ b`, ``x = `@@P0@@` `` and `@@p 3@@` as written.';
+    const { masked, placeholders, restored } = roundTrip(text, value => value.replace('Use', 'Write'));
+    assert.strictEqual(masked, 'Use @@P0@@, @@P1@@ and @@P2@@ as written.');
+    assert.deepStrictEqual(placeholders.map(placeholder => placeholder.kind), ['code', 'code', 'code']);
+    assert.strictEqual(restored, text.replace('Use', 'Write'));
+});
+
+test('shortcodes, bare URLs and replacement patterns are restored literally', () => {
+    const text = 'Run {{< gist "user" "abc123" "Example.java" >}} or {{% note %}}read more{{% /note %}} at https://example.com/a_(b). Costs $& and $1.';
+    const { placeholders, restored } = roundTrip(text, masked => masked.replace('Run', 'Try'));
+    assert.deepStrictEqual(placeholders.map(placeholder => placeholder.kind), ['shortcode', 'shortcode', 'shortcode', 'url']);
+    assert.strictEqual(restored, text.replace('Run', 'Try'));
+});
+
+test('a model that drops or duplicates a placeholder is rejected', () => {
+    const text = 'Read the [guide](https://example.com/guide) and run `npm test` first.';
+    const { masked, placeholders } = mask(text);
+
+    const dropped = problemsOf(() => unmask(masked.replace(' and run @@P0@@ first', ''), placeholders));
+    assert.deepStrictEqual(dropped, ['missing @@P0@@ (`npm test`)']);
+
+    const duplicated = problemsOf(() => unmask(`${masked} Again: @@P1@@.`, placeholders));
+    assert.deepStrictEqual(duplicated, ['duplicated @@P1@@ (https://example.com/guide) x2']);
+});
+
+test('altered or invented placeholders are rejected', () => {
+    const { masked, placeholders } = mask('Call `init()` before `run()`.');
+    const problems = problemsOf(() => unmask(masked.replace('@@P1@@', '@@ p1 @@') + ' @@P7@@', placeholders));
+    assert.deepStrictEqual(problems, ['missing @@P1@@ (`run()`)', 'unknown or altered placeholder @@ p1 @@', 'unknown or altered placeholder @@P7@@']);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const PreviewWriter = require('../preview-writer.js');
+
+const original = '---\ntitle: "A"\n---\nOld opening.\n\nBody.\n';
+const rewritten = '---\ntitle: "A"\n---\nNew opening.\n\nBody.\n';
+
+function withRepo(run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-preview-'));
+    try {
+        return run(repoRoot);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+test('no diff for unchanged content', () => {
+    withRepo(repoRoot => {
+        const writer = new PreviewWriter(path.join(repoRoot, 'preview'), repoRoot);
+        const filePath = path.join(repoRoot, 'content/en/a.md');
+        assert.strictEqual(writer.createUnifiedDiff(filePath, original, original), '');
+        assert.strictEqual(writer.writeArticleDiff(filePath, original, original), null);
+        assert.strictEqual(writer.writeCombinedPatch(), null);
+    });
+});
+
+test('article diffs get flattened names and the combined patch applies with git apply', () => {
+    withRepo(repoRoot => {
+        const previewDir = path.join(repoRoot, 'preview');
+        const writer = new PreviewWriter(previewDir, repoRoot);
+        const files = ['content/en/java/a.md', 'content/en/net/a.md'].map(name => path.join(repoRoot, name));
+        for (const filePath of files) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, original);
+        }
+
+        const diffPath = writer.writeArticleDiff(files[0], original, rewritten);
+        assert.strictEqual(path.basename(diffPath), 'content__en__java__a.diff');
+        assert.match(fs.readFileSync(diffPath, 'utf8'), /^diff --git a\/content\/en\/java\/a\.md b\/content\/en\/java\/a\.md\n/);
+        writer.writeArticleDiff(files[1], original, rewritten);
+
+        const patchPath = writer.writeCombinedPatch();
+        execFileSync('git', ['apply', patchPath], { cwd: repoRoot });
+        for (const filePath of files) {
+            assert.strictEqual(fs.readFileSync(filePath, 'utf8'), rewritten);
+        }
+    });
+});
+
+test('reset removes the diffs of a previous run only', () => {
+    withRepo(repoRoot => {
+        const previewDir = path.join(repoRoot, 'preview');
+        const writer = new PreviewWriter(previewDir, repoRoot);
+        writer.writeArticleDiff(path.join(repoRoot, 'a.md'), original, rewritten);
+        writer.writeCombinedPatch();
+        fs.writeFileSync(path.join(previewDir, 'notes.txt'), 'keep me');
+
+        writer.reset();
+        assert.deepStrictEqual(fs.readdirSync(previewDir), ['notes.txt']);
+        assert.strictEqual(writer.writeCombinedPatch(), null);
+    });
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptTemplates, PromptTemplateError } = require('../prompt-templates.js');
+
+const REQUIRED = ['system', 'opening', 'intro', 'closing', 'seo'];
+
+function template(body) {
+    return `---\nversion: 1\n---\n${body}\n`;
+}
+
+/**
+ * A prompt directory holding the required templates plus `files` ({ relativePath: source })
+ */
+function withPromptDir(files, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-prompts-'));
+    try {
+        for (const name of REQUIRED) {
+            fs.writeFileSync(path.join(dir, `${name}.md`), template(`Default ${name} for {{title}}.`));
+        }
+        for (const [file, source] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), source);
+        }
+        return run(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('the shipped templates load', () => {
+    const prompts = new PromptTemplates(path.join(__dirname, '..', 'prompts'));
+    for (const name of REQUIRED) {
+        assert.match(prompts.resolve(name).id, new RegExp(`^${name}@\\d+#[0-9a-f]{8}$`));
+    }
+});
+
+test('variables and conditional blocks are rendered; shortcodes are left alone', () => {
+    const opening = template([
+        'Rewrite the opening of "{{title}}" in {{language}}.',
+        '{{#if heading}}It sits under "{{heading}}"{{#if nextHeading}}, before "{{nextHeading}}"{{/if}}.{{/if}}',
+        'Keep {{< site/baseurl >}} links.',
+        '{{text}}'
+    ].join('\n'));
+
+    withPromptDir({ 'opening.md': opening }, dir => {
+        const prompts = new PromptTemplates(dir);
+        const rendered = prompts.render('opening', { title: 'Convert DOCX', language: 'German', heading: 'Steps', nextHeading: null, text: 'Body @@P0@@' });
+        assert.strictEqual(rendered.text, [
+            'Rewrite the opening of "Convert DOCX" in German.',
+            'It sits under "Steps".',
+            'Keep {{< site/baseurl >}} links.',
+            'Body @@P0@@'
+        ].join('\n'));
+        assert.strictEqual(rendered.id, prompts.resolve('opening').id);
+
+        // Without a heading the whole block is dropped
+        assert.strictEqual(prompts.render('opening', { title: 'T', language: 'English', text: 'x' }).text.split('\n')[1], '');
+    });
+});
+
+test('product overrides win over platform overrides and the default', () => {
+    const files = {
+        'platforms/java/closing.md': template('Java closing.'),
+        'products/words/closing.md': template('Words closing.'),
+        'platforms/net/intro.md': template('.NET intro.')
+    };
+    withPromptDir(files, dir => {
+        const prompts = new PromptTemplates(dir);
+        assert.strictEqual(prompts.render('closing', { platform: 'java', productKey: 'words' }).text, 'Words closing.');
+        assert.strictEqual(prompts.render('closing', { platform: 'java', productKey: 'cells' }).text, 'Java closing.');
+        assert.strictEqual(prompts.render('intro', { platform: 'java', title: 'T' }).text, 'Default intro for T.');
+        assert.strictEqual(prompts.render('intro', { platform: 'net' }).text, '.NET intro.');
+        assert.strictEqual(prompts.resolve('closing', { platform: 'java' }).id.split('#')[0], 'platforms/java/closing@1');
+    });
+});
+
+test('template ids change with every edit', () => {
+    const first = PromptTemplates.parse(template('Rewrite {{text}}.'), 'opening');
+    const edited = PromptTemplates.parse(template('Rewrite this: {{text}}.'), 'opening');
+    const crlf = PromptTemplates.parse(template('Rewrite {{text}}.').replace(/\n/g, '\r\n'), 'opening');
+
+    assert.strictEqual(first.version, 1);
+    assert.notStrictEqual(first.id, edited.id);
+    assert.strictEqual(first.id, crlf.id);
+});
+
+test('invalid templates are reported together', () => {
+    const files = {
+        'closing.md': template('Unknown {{author}} and {{#if draft}}x{{/if}}.'),
+        'intro.md': template('{{#if heading}}Unclosed block.'),
+        'seo.md': '---\nversion: "1"\n---\nNo integer version.\n'
+    };
+    withPromptDir(files, dir => {
+        fs.rmSync(path.join(dir, 'system.md'));
+        assert.throws(() => new PromptTemplates(dir), error => {
+            assert.ok(error instanceof PromptTemplateError);
+            assert.deepStrictEqual(error.problems, [
+                'closing.md: unknown variables: author, draft',
+                'intro.md: unbalanced {{#if}} block',
+                'seo.md: front matter needs an integer `version` >= 1',
+                'system.md is missing',
+                // Invalid templates are not loaded, so they count as missing too
+                'intro.md is missing',
+                'closing.md is missing',
+                'seo.md is missing'
+            ]);
+            return true;
+        });
+    });
+    assert.throws(() => new PromptTemplates(path.join(os.tmpdir(), 'kb-no-such-prompts')), /Could not read prompt templates/);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../rate-limiter.js');
+
+/**
+ * A clock whose sleep advances time instantly, recording each wait
+ */
+function fakeClock() {
+    const clock = { time: 0, sleeps: [] };
+    clock.now = () => clock.time;
+    clock.sleep = async ms => {
+        clock.sleeps.push(ms);
+        clock.time += ms;
+    };
+    return clock;
+}
+
+test('requests beyond the per-minute budget wait for the bucket to refill', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerMinute: 2 }, clock);
+
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.deepStrictEqual(clock.sleeps, []);
+
+    await limiter.acquire();
+    assert.deepStrictEqual(clock.sleeps, [30000]);
+    assert.deepStrictEqual(limiter.stats, { requests: 3, waits: 1, waitedMs: 30000 });
+});
+
+test('token budget is taken by estimate and settled with real usage', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ tokensPerMinute: 1000 }, clock);
+
+    await limiter.acquire(800);
+    // Only 300 of the 800 estimated tokens were used
+    limiter.settle(800, 300);
+    await limiter.acquire(700);
+    assert.deepStrictEqual(clock.sleeps, []);
+
+    // Requests larger than the bucket wait for a full bucket instead of forever
+    await limiter.acquire(5000);
+    assert.strictEqual(clock.time, 60000);
+});
+
+test('a limit of 0 is unlimited and callers are served in order', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerMinute: 1 }, clock);
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(id => limiter.acquire().then(() => order.push(id))));
+    assert.deepStrictEqual(order, [1, 2, 3]);
+    assert.strictEqual(clock.time, 120000);
+
+    const unlimited = new RateLimiter({}, clock);
+    for (let i = 0; i < 100; i++) {
+        await unlimited.acquire(10000);
+    }
+    assert.strictEqual(unlimited.stats.waits, 0);
+});
+
+test('token estimates count prompt characters and the completion budget', () => {
+    const messages = [{ role: 'system', content: 'x'.repeat(10) }, { role: 'user', content: 'y'.repeat(30) }];
+    assert.strictEqual(RateLimiter.estimateTokens(messages, 100), 110);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreReadability, compareReadability, countSyllables } = require('../readability.js');
+
+const simple = 'Open the file. Save it as PDF. It takes one line of code.';
+const dense = 'Comprehensive document manipulation functionality is provided by the sophisticated application programming interface, which was specifically engineered for enterprise-grade conversion scenarios.';
+
+test('syllables are counted with the silent final e dropped', () => {
+    assert.strictEqual(countSyllables('the'), 1);
+    assert.strictEqual(countSyllables('convert'), 2);
+    assert.strictEqual(countSyllables('save'), 1);
+    assert.strictEqual(countSyllables('document'), 3);
+    assert.strictEqual(countSyllables('2024'), 1);
+});
+
+test('short plain sentences score higher than long dense ones', () => {
+    const easy = scoreReadability(simple);
+    const hard = scoreReadability(dense);
+
+    assert.strictEqual(easy.sentences, 3);
+    assert.strictEqual(easy.words, 13);
+    assert.strictEqual(easy.averageSentenceLength, 4.3);
+    assert.strictEqual(easy.passiveVoiceRatio, 0);
+    assert.ok(easy.fleschReadingEase > 90, `${easy.fleschReadingEase}`);
+
+    assert.strictEqual(hard.sentences, 1);
+    assert.strictEqual(hard.passiveVoiceRatio, 1);
+    assert.ok(hard.fleschReadingEase < 0, `${hard.fleschReadingEase}`);
+    assert.ok(hard.longWordRatio > easy.longWordRatio);
+});
+
+test('markdown, code and abbreviations do not distort the score', () => {
+    const markdown = scoreReadability('Call `Document.Save("out.pdf", SaveFormat.Pdf)` e.g. in a [short console app](https://example.com/a/very/long/path). {{< gist "user" "id" >}}');
+    assert.strictEqual(markdown.sentences, 1);
+    assert.strictEqual(markdown.words, 9);
+
+    assert.deepStrictEqual(scoreReadability('{{< gist "user" "id" >}}'), {
+        fleschReadingEase: 0, averageSentenceLength: 0, passiveVoiceRatio: 0, longWordRatio: 0, sentences: 0, words: 0
+    });
+});
+
+test('a rewrite that reads worse by more than the margin is rejected', () => {
+    const worse = compareReadability(simple, dense, 5);
+    assert.strictEqual(worse.accepted, false);
+    assert.strictEqual(worse.delta, Math.round((worse.rewritten.fleschReadingEase - worse.original.fleschReadingEase) * 10) / 10);
+    assert.match(worse.reason, /^readability: Flesch reading ease dropped from [\d.]+ to -?[\d.]+ \(more than 5 points\)$/);
+
+    const better = compareReadability(dense, simple, 5);
+    assert.strictEqual(better.accepted, true);
+    assert.strictEqual(better.reason, null);
+
+    const slightlyWorse = compareReadability('Open the file now.', 'Open the document now.', 30);
+    assert.ok(slightlyWorse.delta < 0);
+    assert.strictEqual(slightlyWorse.accepted, true);
+});
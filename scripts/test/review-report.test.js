@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReviewReport, diffWords } = require('../review-report.js');
+
+const repoRoot = path.join(os.tmpdir(), 'kb-review-repo');
+
+function paragraph(section, original, rewritten, extra = {}) {
+    return { section, status: rewritten === null ? 'kept' : 'rewritten', original, rewritten, ...extra };
+}
+
+function report(files) {
+    return {
+        runId: 'run-1',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        dryRun: false,
+        summary: {
+            total: files.length,
+            successful: files.filter(file => file.status === 'success').length,
+            skipped: files.filter(file => file.status === 'skipped').length,
+            failed: files.filter(file => file.status === 'error').length
+        },
+        rejections: { readability: 1 },
+        files
+    };
+}
+
+function article(name, paragraphs, extra = {}) {
+    return {
+        filePath: path.join(repoRoot, 'content', 'en', 'total', 'java', name),
+        fileName: name,
+        locale: 'en',
+        platform: 'java',
+        status: 'success',
+        paragraphs,
+        ...extra
+    };
+}
+
+test('word diffs mark removed and added words', () => {
+    const { before, after } = diffWords('Convert the file to PDF.', 'Convert any file to PDF.');
+    assert.deepStrictEqual(before.filter(part => part.changed).map(part => part.text), ['the']);
+    assert.deepStrictEqual(after.filter(part => part.changed).map(part => part.text), ['any']);
+    assert.strictEqual(before.map(part => part.text).join(''), 'Convert the file to PDF.');
+    assert.strictEqual(after.map(part => part.text).join(''), 'Convert any file to PDF.');
+});
+
+test('section labels and scores', () => {
+    assert.strictEqual(ReviewReport.getSectionLabel({ section: 'opening' }), 'Opening');
+    assert.strictEqual(ReviewReport.getSectionLabel({ section: 'intro:2', heading: 'Save' }), 'Intro of "Save"');
+    assert.strictEqual(ReviewReport.getSectionLabel({ section: 'intro:2' }), 'Intro 2');
+    assert.strictEqual(ReviewReport.getSectionLabel({ section: 'closing:1' }), 'Closing 1');
+
+    assert.deepStrictEqual(ReviewReport.getScores({
+        readability: { before: { fleschReadingEase: 40 }, after: { fleschReadingEase: 55.5 }, fleschDelta: 15.5 },
+        similarity: { score: 0.71, keyTermCoverage: 0.8 },
+        candidates: { generated: 3, chosen: 2 }
+    }), ['Flesch 40 → 55.5 (+15.5)', 'similarity 0.71', 'key terms 80%', 'candidate 2 of 3']);
+    assert.strictEqual(ReviewReport.formatRejections({ readability: 2, duplicate: 1 }), '2 readability, 1 duplicate');
+    assert.strictEqual(ReviewReport.formatRejections({}), null);
+});
+
+test('the Markdown report shows each paragraph next to its original', () => {
+    const markdown = new ReviewReport(report([
+        article('a.md', [
+            paragraph('opening', 'Convert the file to PDF.', 'Convert any file to PDF.'),
+            paragraph('closing:1', 'Keep `a | b` as is.', null, { sanitization: { failure: 'refusal' } })
+        ], { warnings: ['Description is long'] }),
+        article('b.md', [], { status: 'skipped', reason: 'Recently rewritten' }),
+        article('c.md', [], { status: 'error', error: 'Broken front matter' })
+    ]), repoRoot).renderMarkdown();
+
+    assert.match(markdown, /- \*\*Articles\*\*: 1 rewritten, 1 skipped, 1 failed/);
+    assert.match(markdown, /- \*\*Paragraphs\*\*: 1 rewritten, 1 kept original \(rejected by 1 readability\)/);
+    assert.match(markdown, /`content\/en\/total\/java\/a\.md`/);
+    assert.match(markdown, /- ⚠️ \*\*Warning\*\*: Description is long/);
+    assert.ok(markdown.includes('| **Opening** | Convert <del>the</del> file to PDF. | Convert <ins>any</ins> file to PDF. |'));
+    // Table markup inside a paragraph is escaped
+    assert.ok(markdown.includes('| **Closing 1** | Keep \\`a \\| b\\` as is. | _Kept original: refusal_ |'));
+    assert.match(markdown, /### ⏭️ Skipped Articles\n- `b\.md` - Recently rewritten/);
+    assert.match(markdown, /### ⚠️ Processing Errors\n- `c\.md` - Broken front matter/);
+    assert.match(markdown, /### ✅ Review Checklist/);
+});
+
+test('paragraphs are left out of the Markdown report once it grows too long', () => {
+    const long = 'Convert the document to PDF with a single call. '.repeat(150);
+    const files = Array.from({ length: 12 }, (_, index) =>
+        article(`${index}.md`, [paragraph('opening', long, long.replace(/single/g, 'short'))]));
+    const markdown = new ReviewReport(report(files), repoRoot).renderMarkdown();
+
+    assert.ok(markdown.length < 65536, `${markdown.length}`);
+    assert.match(markdown, /#### `11\.md`/);
+    assert.match(markdown, /Paragraphs left out to keep this description within GitHub's size limit/);
+});
+
+test('the HTML report escapes markup and lists every article', () => {
+    const rendered = new ReviewReport(report([
+        article('a.md', [paragraph('opening', 'Use <b>bold</b> text.', 'Use <b>strong</b> text.')]),
+        article('c.md', [], { status: 'error', error: 'Broken <front> matter' })
+    ]), repoRoot).renderHtml();
+
+    assert.match(rendered, /^<!DOCTYPE html>/);
+    assert.ok(rendered.includes('<td>Use &lt;b&gt;<del>bold</del>&lt;/b&gt; text.</td><td>Use &lt;b&gt;<ins>strong</ins>&lt;/b&gt; text.</td>'));
+    assert.ok(rendered.includes('<li class="error"><strong>Error</strong>: Broken &lt;front&gt; matter</li>'));
+    assert.match(rendered, /❌ Failed/);
+});
+
+test('write creates both reports', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-review-'));
+    try {
+        const written = new ReviewReport(report([]), repoRoot)
+            .write(path.join(dir, 'md', 'review.md'), path.join(dir, 'review.html'));
+        assert.deepStrictEqual(written, { markdown: path.join(dir, 'md', 'review.md'), html: path.join(dir, 'review.html') });
+        assert.match(fs.readFileSync(written.markdown, 'utf8'), /^## 🤖 Automated Content Enhancement/);
+        assert.match(fs.readFileSync(written.html, 'utf8'), /<title>Rewrite review - run-1<\/title>/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RewriteLedger = require('../rewrite-ledger.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00Z');
+const rules = { cooldownDays: 90, maxRewritesPerYear: 2, skipHumanEdited: true };
+const content = '---\ntitle: "A"\n---\nRewritten opening.\n';
+
+function withLedger(run) {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-ledger-'));
+    try {
+        return run(new RewriteLedger(path.join(repoRoot, 'rewrite-ledger.json'), repoRoot), repoRoot);
+    } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+}
+
+function rewriteDaysAgo(ledger, days, text = content) {
+    return ledger.record({
+        filePath: 'content/en/a.md',
+        runId: `run-${days}`,
+        sections: ['opening'],
+        model: 'test-model',
+        content: text,
+        date: new Date(now.getTime() - days * DAY_MS)
+    });
+}
+
+test('entries are keyed by repository-relative path and survive save and load', () => {
+    withLedger((ledger, repoRoot) => {
+        rewriteDaysAgo(ledger, 10);
+        rewriteDaysAgo(ledger, 200);
+        ledger.save();
+
+        const reloaded = new RewriteLedger(ledger.ledgerPath, repoRoot);
+        const entries = reloaded.getEntries(path.join(repoRoot, 'content/en/a.md'));
+        assert.deepStrictEqual(entries.map(entry => entry.runId), ['run-200', 'run-10']);
+        assert.strictEqual(entries[0].article, 'content/en/a.md');
+        assert.strictEqual(reloaded.getLastEntry('content/en/b.md'), null);
+    });
+});
+
+test('cooldown, yearly limit and human edits make an article ineligible', () => {
+    withLedger(ledger => {
+        assert.deepStrictEqual(ledger.checkEligibility('content/en/a.md', content, rules, now), { eligible: true });
+
+        rewriteDaysAgo(ledger, 30);
+        assert.match(ledger.checkEligibility('content/en/a.md', content, rules, now).reason, /^cooldown: rewritten 30 days ago/);
+    });
+    withLedger(ledger => {
+        rewriteDaysAgo(ledger, 300);
+        rewriteDaysAgo(ledger, 100);
+        assert.match(ledger.checkEligibility('content/en/a.md', content, rules, now).reason, /^limit: 2 rewrites in the last year/);
+    });
+    withLedger(ledger => {
+        rewriteDaysAgo(ledger, 100);
+        assert.deepStrictEqual(ledger.checkEligibility('content/en/a.md', content, rules, now), { eligible: true });
+        assert.strictEqual(ledger.checkEligibility('content/en/a.md', content + 'Edited by hand.\n', rules, now).reason, 'human edit after last AI rewrite');
+        assert.deepStrictEqual(ledger.checkEligibility('content/en/a.md', content + 'Edited.\n', { ...rules, skipHumanEdited: false }, now), { eligible: true });
+    });
+});
+
+test('content hashes ignore line endings', () => {
+    assert.strictEqual(RewriteLedger.hashContent('a\r\nb\r\n'), RewriteLedger.hashContent('a\nb\n'));
+    withLedger(ledger => {
+        rewriteDaysAgo(ledger, 100);
+        assert.deepStrictEqual(ledger.checkEligibility('content/en/a.md', content.replace(/\n/g, '\r\n'), rules, now), { eligible: true });
+    });
+});
+
+test('an unreadable ledger is an error', () => {
+    withLedger((ledger, repoRoot) => {
+        fs.writeFileSync(ledger.ledgerPath, '{"entries": {}}');
+        assert.throws(() => new RewriteLedger(ledger.ledgerPath, repoRoot), /has no "entries" array/);
+    });
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    stripMarkdown,
+    getDescriptionProblem,
+    parseSeoResponse,
+    validateSeoFields,
+    normalizeKeywords
+} = require('../seo-fields.js');
+
+const seoConfig = { descriptionMinLength: 20, descriptionMaxLength: 60, maxKeywords: 3 };
+const description = 'Convert DOCX files to PDF in Java with a few lines.';
+
+test('markdown is flattened to one line of text', () => {
+    assert.strictEqual(
+        stripMarkdown('Use **`Document.save()`** in the [Java API](https://example.com)\n![diagram](a.png) {{< gist "a" "b" >}} to _convert_.'),
+        'Use Document.save() in the Java API to convert.'
+    );
+});
+
+test('descriptions are regenerated when missing, too short or too long', () => {
+    assert.strictEqual(getDescriptionProblem(undefined, seoConfig), 'missing');
+    assert.strictEqual(getDescriptionProblem('   ', seoConfig), 'missing');
+    assert.strictEqual(getDescriptionProblem('Too short.', seoConfig), 'too short (10 < 20 characters)');
+    assert.strictEqual(getDescriptionProblem('x'.repeat(61), seoConfig), 'too long (61 > 60 characters)');
+    assert.strictEqual(getDescriptionProblem(description, seoConfig), null);
+});
+
+test('JSON is parsed from fenced or chatty responses', () => {
+    assert.deepStrictEqual(parseSeoResponse('```json\n{"description": "  Convert\\n DOCX files. ", "keywords": ["docx"]}\n```'), {
+        description: 'Convert DOCX files.',
+        keywords: ['docx']
+    });
+    assert.deepStrictEqual(parseSeoResponse('Here you go: {"description": "A"} Enjoy!'), { description: 'A', keywords: undefined });
+    assert.throws(() => parseSeoResponse('No JSON here.'), /response is not a JSON object/);
+    assert.throws(() => parseSeoResponse('{"description": }'), /response is not valid JSON/);
+});
+
+test('generated fields are validated', () => {
+    assert.deepStrictEqual(validateSeoFields({ description, keywords: ['docx to pdf', 'java'] }, seoConfig, { wantKeywords: true }), []);
+    assert.deepStrictEqual(validateSeoFields({ description: 'See https://example.com for `code`.' }, seoConfig), [
+        'description contains markdown, markup or URLs'
+    ]);
+    assert.deepStrictEqual(validateSeoFields({ description: 'Convert DOCX to PDF in Java' }, seoConfig, { title: 'Convert DOCX to PDF in Java' }), [
+        'description repeats the title'
+    ]);
+    assert.deepStrictEqual(validateSeoFields({ description: null, keywords: 'docx' }, seoConfig, { wantKeywords: true }), [
+        'description is missing',
+        'keywords must be a non-empty list of strings'
+    ]);
+    // Keywords are ignored unless requested
+    assert.deepStrictEqual(validateSeoFields({ description, keywords: 'docx' }, seoConfig), []);
+
+    const long = 'k'.repeat(51);
+    assert.deepStrictEqual(validateSeoFields({ description, keywords: ['a', 'b', 'c', long] }, seoConfig, { wantKeywords: true }), [
+        'too many keywords (4 > 3)',
+        `keywords longer than 50 characters: ${long}`
+    ]);
+});
+
+test('keywords are trimmed and deduplicated ignoring case', () => {
+    assert.deepStrictEqual(normalizeKeywords([' DOCX  to PDF ', 'docx to pdf', 'Java']), ['DOCX to PDF', 'Java']);
+});
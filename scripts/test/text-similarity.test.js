@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { similarity, keyTermCoverage } = require('../text-similarity.js');
+
+const original = 'Convert DOCX files to PDF with a few lines of Java code.';
+
+test('identical and empty paragraphs are fully similar', () => {
+    assert.strictEqual(similarity(original, original), 1);
+    assert.strictEqual(similarity('', ''), 1);
+    assert.strictEqual(similarity('{{< gist "a" "b" >}}', ''), 1);
+});
+
+test('case, punctuation, link targets and shortcodes do not count', () => {
+    assert.strictEqual(similarity('Read the [guide](https://a.example/x).', 'read the [Guide](https://b.example/y) {{< gist "a" "b" >}}'), 1);
+});
+
+test('rewording scores between unrelated text and the original', () => {
+    const reworded = similarity(original, 'With a few lines of Java code you can convert DOCX files to PDF.');
+    const unrelated = similarity(original, 'Spreadsheets keep their formulas when saved as images.');
+    assert.ok(reworded > 0.5 && reworded < 1, `${reworded}`);
+    assert.strictEqual(unrelated, 0);
+    // Same words in a different order share few word pairs
+    assert.ok(similarity('a b c d', 'd c b a') < 0.1);
+    assert.strictEqual(similarity('word', 'word'), 1);
+});
+
+test('key-term coverage matches inflections and ignores short words', () => {
+    assert.strictEqual(keyTermCoverage(original, 'Convert DOCX documents into PDF using Java.'), 0.333);
+    assert.strictEqual(keyTermCoverage(original, 'Converting each file to PDF takes a few lines.'), 0.667);
+    assert.strictEqual(keyTermCoverage(original, 'Spreadsheets keep their formulas.'), 0);
+    // Nothing to lose when the original has no key terms
+    assert.strictEqual(keyTermCoverage('Do it now.', 'Something else entirely.'), 1);
+});
+
+test('a keyword list keeps the key terms but few word pairs', () => {
+    const keywords = 'Java code: PDF, DOCX, files, convert, lines.';
+    assert.strictEqual(keyTermCoverage(original, keywords), 1);
+    assert.ok(similarity(original, keywords) < 0.3);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UsageTracker, BudgetExceededError } = require('../usage-tracker.js');
+
+const pricing = { inputPerMillion: { 'gpt-test': 1 }, outputPerMillion: { 'gpt-test': 4 } };
+
+test('prices each call and keeps run totals', () => {
+    const tracker = new UsageTracker({ pricing }, 'gpt-test');
+    const call = tracker.record({ promptTokens: 1000, completionTokens: 500 });
+    assert.deepStrictEqual(call, { promptTokens: 1000, completionTokens: 500, cost: 0.003, cached: false });
+    tracker.record({ promptTokens: 1000, completionTokens: 500 }, { cached: true });
+
+    const totals = tracker.toJSON();
+    assert.strictEqual(totals.requests, 2);
+    assert.strictEqual(totals.cachedRequests, 1);
+    assert.strictEqual(totals.totalTokens, 1500);
+    assert.strictEqual(totals.cost, 0.003);
+    assert.strictEqual(totals.budget.state, 'ok');
+});
+
+test('unpriced models count tokens at no cost', () => {
+    const tracker = new UsageTracker({ pricing }, 'other-model');
+    assert.strictEqual(tracker.record({ promptTokens: 10, completionTokens: 5 }).cost, 0);
+    assert.strictEqual(tracker.toJSON().priced, false);
+});
+
+test('refuses further requests once the budget is spent', () => {
+    const tracker = new UsageTracker({ pricing, budget: { maxCost: 0.005 } }, 'gpt-test');
+    tracker.record({ promptTokens: 1000, completionTokens: 500 });
+    tracker.check();
+    tracker.record({ promptTokens: 1000, completionTokens: 500 });
+    assert.strictEqual(tracker.isExhausted, true);
+    assert.throws(() => tracker.check(), BudgetExceededError);
+});
+
+test('a token budget works without prices', () => {
+    const tracker = new UsageTracker({ budget: { maxTokens: 100 } }, 'other-model');
+    tracker.record({ promptTokens: 60, completionTokens: 40 });
+    assert.match(tracker.reason, /100 of llm\.budget\.maxTokens 100/);
+});
+
+test('a request that could go past the budget is refused before it is sent', () => {
+    const tracker = new UsageTracker({ pricing, budget: { maxCost: 0.005 } }, 'gpt-test');
+    tracker.record({ promptTokens: 1000, completionTokens: 500 });
+
+    // 0.003 spent: 1000 + 250 tokens could cost 0.002 more and still fit
+    const hold = tracker.check({ promptTokens: 1000, completionTokens: 250 });
+    assert.deepStrictEqual(hold, { tokens: 1250, cost: 0.002 });
+    // The request in flight counts, so even a small one no longer fits
+    assert.throws(() => tracker.check({ promptTokens: 10, completionTokens: 10 }), /next request could cost 0.00005, 0 of llm\.budget\.maxCost 0.005 left/);
+    assert.strictEqual(tracker.isExhausted, true);
+
+    tracker.record({ promptTokens: 1000, completionTokens: 200 }, { hold });
+    assert.deepStrictEqual(tracker.held, { tokens: 0, cost: 0 });
+    assert.ok(tracker.toJSON().cost <= 0.005);
+});
+
+test('failed requests give their hold back', () => {
+    const tracker = new UsageTracker({ budget: { maxTokens: 100 } }, 'other-model');
+    const hold = tracker.check({ promptTokens: 40, completionTokens: 60 });
+    tracker.release(hold);
+    tracker.check({ promptTokens: 40, completionTokens: 60 });
+    assert.throws(() => tracker.check({ promptTokens: 1, completionTokens: 0 }), /could use 1 tokens, 0 of llm\.budget\.maxTokens 100 left/);
+});
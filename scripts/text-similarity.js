@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Text Similarity
+ * Measures how close a rewrite stays to the original paragraph: the overlap of word pairs (Dice
+ * coefficient over word bigrams) tells a barely changed rewrite apart and, below a floor, one
+ * that shares no phrasing with the original any more; the share of the original's key terms
+ * still present tells a rewrite that drifted off-topic
+ */
+
+// Words this long (or containing a digit) are key terms; shorter ones are mostly function words
+const KEY_TERM_MIN_LENGTH = 5;
+// Key terms are compared by their first letters so plurals and other inflections still match
+const KEY_TERM_STEM_LENGTH = 6;
+
+/**
+ * Lower-cased words of a markdown paragraph; link targets, shortcodes and URLs are dropped
+ */
+function getWords(text) {
+    const prose = text
+        .replace(/\{\{[<%][\s\S]*?[%>]\}\}/g, ' ')
+        .replace(/\]\([^)]*\)/g, ' ')
+        .replace(/\b(?:https?|ftp):\/\/\S+/g, ' ');
+    return prose.toLowerCase().match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Word bigrams with their counts; a single word counts as its own bigram
+ */
+function getBigrams(words) {
+    const bigrams = new Map();
+    const add = bigram => bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    if (words.length === 1) {
+        add(words[0]);
+    }
+    for (let i = 0; i < words.length - 1; i++) {
+        add(`${words[i]} ${words[i + 1]}`);
+    }
+    return bigrams;
+}
+
+/**
+ * Similarity of two paragraphs between 0 (no word pair in common) and 1 (same words in the same order)
+ */
+function similarity(a, b) {
+    const first = getBigrams(getWords(a));
+    const second = getBigrams(getWords(b));
+    const total = [...first.values(), ...second.values()].reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return 1;
+    }
+
+    let shared = 0;
+    for (const [bigram, count] of first) {
+        shared += Math.min(count, second.get(bigram) || 0);
+    }
+    return Math.round(2 * shared / total * 1000) / 1000;
+}
+
+/**
+ * Key terms of a text as a set of stems
+ */
+function getKeyTerms(text) {
+    return new Set(getWords(text)
+        .filter(word => word.length >= KEY_TERM_MIN_LENGTH || /\p{N}/u.test(word))
+        .map(word => word.slice(0, KEY_TERM_STEM_LENGTH)));
+}
+
+/**
+ * Share of the original's key terms that the rewrite still uses, between 0 and 1
+ * (1 when the original has none)
+ */
+function keyTermCoverage(original, rewritten) {
+    const originalTerms = getKeyTerms(original);
+    if (originalTerms.size === 0) {
+        return 1;
+    }
+
+    const rewrittenTerms = getKeyTerms(rewritten);
+    const covered = [...originalTerms].filter(term => rewrittenTerms.has(term)).length;
+    return Math.round(covered / originalTerms.size * 1000) / 1000;
+}
+
+module.exports = {
+    getWords,
+    similarity,
+    keyTermCoverage
+};
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Tracker
+ * Counts the tokens of every LLM request, prices them from llm.pricing and enforces the per-run
+ * budget (llm.budget). Before each request its largest possible usage (the estimated prompt plus
+ * the completion limit) is held against what is left of the budget, so a run never sets off a
+ * request that could take it past the cap
+ */
+
+class BudgetExceededError extends Error {
+    constructor(reason) {
+        super(`LLM budget exhausted: ${reason}`);
+        this.name = 'BudgetExceededError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Round a cost to a millionth of the currency unit
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * One-line summary of run totals (UsageTracker#toJSON) or of an article's summed usage
+ */
+function formatUsage(usage) {
+    const parts = [];
+    if (usage.requests !== undefined) {
+        parts.push(`${usage.requests} requests${usage.cachedRequests > 0 ? ` (${usage.cachedRequests} cached)` : ''}`);
+    }
+    parts.push(`${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens`);
+    parts.push(usage.priced === false ? `no price for ${usage.model}` : `cost ${usage.cost}`);
+    return parts.join(', ');
+}
+
+class UsageTracker {
+    constructor({ pricing = {}, budget = {} } = {}, model = '') {
+        const inputPrices = pricing.inputPerMillion || {};
+        const outputPrices = pricing.outputPerMillion || {};
+        this.model = model;
+        this.priced = model in inputPrices && model in outputPrices;
+        this.inputPerMillion = this.priced ? inputPrices[model] : 0;
+        this.outputPerMillion = this.priced ? outputPrices[model] : 0;
+        this.maxCost = budget.maxCost || 0;
+        this.maxTokens = budget.maxTokens || 0;
+        this.totals = { requests: 0, cachedRequests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        // Largest possible usage of the requests in flight
+        this.held = { tokens: 0, cost: 0 };
+        this.reason = null;
+    }
+
+    get isExhausted() {
+        return this.reason !== null;
+    }
+
+    /**
+     * Cost of { promptTokens, completionTokens } at the model's prices
+     */
+    getCost(usage) {
+        return roundCost((usage.promptTokens * this.inputPerMillion + usage.completionTokens * this.outputPerMillion) / 1e6);
+    }
+
+    /**
+     * Throw BudgetExceededError when the budget has run out. With `estimate` ({ promptTokens,
+     * completionTokens }, the most a request can use), the budget also runs out when the request
+     * could take the run past it, counting the requests in flight. Otherwise the estimate is held
+     * until the request is recorded or released, and the hold is returned
+     */
+    check(estimate = null) {
+        if (!this.isExhausted && estimate) {
+            const tokens = estimate.promptTokens + estimate.completionTokens;
+            const cost = this.getCost(estimate);
+            const usedTokens = this.totals.promptTokens + this.totals.completionTokens + this.held.tokens;
+            const spent = roundCost(this.totals.cost + this.held.cost);
+            if (this.maxCost > 0 && spent + cost > this.maxCost) {
+                this.exhaust(`next request could cost ${cost}, ${roundCost(Math.max(0, this.maxCost - spent))} of llm.budget.maxCost ${this.maxCost} left`);
+            } else if (this.maxTokens > 0 && usedTokens + tokens > this.maxTokens) {
+                this.exhaust(`next request could use ${tokens} tokens, ${Math.max(0, this.maxTokens - usedTokens)} of llm.budget.maxTokens ${this.maxTokens} left`);
+            }
+        }
+        if (this.isExhausted) {
+            throw new BudgetExceededError(this.reason);
+        }
+        if (!estimate) {
+            return null;
+        }
+
+        const hold = { tokens: estimate.promptTokens + estimate.completionTokens, cost: this.getCost(estimate) };
+        this.held.tokens += hold.tokens;
+        this.held.cost = roundCost(this.held.cost + hold.cost);
+        return hold;
+    }
+
+    /**
+     * Give back a hold taken by check() for a request that failed
+     */
+    release(hold) {
+        if (hold) {
+            this.held.tokens -= hold.tokens;
+            this.held.cost = roundCost(this.held.cost - hold.cost);
+        }
+    }
+
+    /**
+     * Count one completion's usage ({ promptTokens, completionTokens }, null when the provider
+     * reported none) and release the request's hold. Cached responses are counted as requests
+     * but cost nothing
+     *
+     * Returns the usage of this call: { promptTokens, completionTokens, cost, cached }
+     */
+    record(usage, { cached = false, hold = null } = {}) {
+        this.release(hold);
+        const call = {
+            promptTokens: cached || !usage ? 0 : usage.promptTokens,
+            completionTokens: cached || !usage ? 0 : usage.completionTokens,
+            cost: 0,
+            cached
+        };
+        call.cost = this.getCost(call);
+
+        this.totals.requests++;
+        if (cached) {
+            this.totals.cachedRequests++;
+        }
+        this.totals.promptTokens += call.promptTokens;
+        this.totals.completionTokens += call.completionTokens;
+        this.totals.cost = roundCost(this.totals.cost + call.cost);
+
+        if (!this.isExhausted) {
+            const tokens = this.totals.promptTokens + this.totals.completionTokens;
+            if (this.maxCost > 0 && this.totals.cost >= this.maxCost) {
+                this.exhaust(`spent ${this.totals.cost} of llm.budget.maxCost ${this.maxCost}`);
+            } else if (this.maxTokens > 0 && tokens >= this.maxTokens) {
+                this.exhaust(`used ${tokens} of llm.budget.maxTokens ${this.maxTokens} tokens`);
+            }
+        }
+
+        return call;
+    }
+
+    exhaust(reason) {
+        this.reason = reason;
+        console.error(`💸 ${new BudgetExceededError(reason).message}`);
+    }
+
+    /**
+     * Add up per-call usage objects (as returned by record)
+     */
+    static sum(calls) {
+        const total = { promptTokens: 0, completionTokens: 0, cost: 0 };
+        for (const call of calls) {
+            total.promptTokens += call.promptTokens;
+            total.completionTokens += call.completionTokens;
+            total.cost = roundCost(total.cost + call.cost);
+        }
+        return total;
+    }
+
+    /**
+     * Sum of per-call usage objects, labelled with the model and whether it is priced
+     */
+    summarize(calls) {
+        return { model: this.model, priced: this.priced, ...UsageTracker.sum(calls) };
+    }
+
+    toJSON() {
+        return {
+            model: this.model,
+            priced: this.priced,
+            ...this.totals,
+            totalTokens: this.totals.promptTokens + this.totals.completionTokens,
+            budget: {
+                maxCost: this.maxCost,
+                maxTokens: this.maxTokens,
+                state: this.isExhausted ? 'exhausted' : 'ok',
+                reason: this.reason
+            }
+        };
+    }
+}
+
+module.exports = {
+    UsageTracker,
+    BudgetExceededError,
+    formatUsage
+};